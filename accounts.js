@@ -0,0 +1,312 @@
+import { isWithinPath } from "./capabilities.js";
+import { GROUP_PREFIX } from "./groups.js";
+
+const ACCESS_LISTS = ["allowedPublicKeys", "allowedReaders", "allowedDeleters"];
+
+/**
+ * Returns the path of a user's own space.
+ * @param {string} publicKey - The public key of the user.
+ * @returns {string} The path, 'users/<publicKey>'.
+ */
+export const userSpace = (publicKey) => `users/${publicKey}`;
+
+/**
+ * Checks whether a document of the user store is a user account rather than data.
+ * @param {Object} doc - The document.
+ * @returns {boolean} True if the document is an account, `{ _id: alias, publicKey, ... }`.
+ */
+export const isAccount = (doc) =>
+  typeof doc.publicKey === "string" && !("data" in doc);
+
+/**
+ * Moves a path from one prefix to another, e.g. from 'users/<old>/a' to 'users/<new>/a'.
+ * @param {string} path - The path, which must be within `from`.
+ * @param {string} from - The old prefix.
+ * @param {string} to - The new prefix.
+ * @returns {string} The moved path.
+ */
+const movePath = (path, from, to) => `${to}${path.slice(from.length)}`;
+
+/**
+ * Replaces or removes a grantee in the access lists and expiry times of an ACL entry.
+ * @param {Object} accessRights - The ACL entry.
+ * @param {string} oldKey - The public key or group reference to replace.
+ * @param {string} [newKey] - The replacement, or undefined to remove the grantee.
+ * @returns {Object} The updated ACL entry.
+ */
+export function replaceGrantee(accessRights, oldKey, newKey) {
+  const updated = { ...accessRights };
+
+  for (const field of ACCESS_LISTS) {
+    if (!updated[field]?.includes(oldKey)) continue;
+    const list = updated[field].filter((key) => key !== oldKey);
+    updated[field] =
+      newKey && !list.includes(newKey) ? [...list, newKey] : list;
+
+    const expiresAt = updated.expirations?.[field]?.[oldKey];
+    if (expiresAt !== undefined) {
+      const fieldExpirations = { ...updated.expirations[field] };
+      delete fieldExpirations[oldKey];
+      if (newKey) fieldExpirations[newKey] = expiresAt;
+      updated.expirations = {
+        ...updated.expirations,
+        [field]: fieldExpirations,
+      };
+    }
+  }
+
+  // Wrapped data keys are sealed to a public key, so they cannot be carried over
+  if (updated.keyWraps?.[oldKey]) {
+    updated.keyWraps = { ...updated.keyWraps };
+    delete updated.keyWraps[oldKey];
+  }
+
+  return updated;
+}
+
+/**
+ * Checks whether an ACL entry mentions a public key, or group reference, as owner or grantee.
+ * @param {Object} accessRights - The ACL entry.
+ * @param {string} publicKey - The public key or group reference.
+ * @returns {boolean} True if the entry mentions the key.
+ */
+export const mentions = (accessRights, publicKey) =>
+  accessRights.owner === publicKey ||
+  ACCESS_LISTS.some((field) => accessRights[field]?.includes(publicKey)) ||
+  Boolean(accessRights.keyWraps?.[publicKey]);
+
+/**
+ * Creates the account lifecycle operations, which keep a user's documents, ACL
+ * entries, groups, tombstones and version history consistent when the user's key pair is replaced
+ * or the account is removed.
+ *
+ * @param {Object} stores - The stores returned by `initStorage`.
+ * @param {Object} options - The options.
+ * @param {function(import("./storage.js").StorageAdapter, string): Promise<void>} options.pinEntry - Pins an entry written to a store.
+ * @returns {Object} The account operations.
+ */
+export function createAccounts(
+  { userDb, aclStore, groupStore, tombstoneStore, historyStore },
+  { pinEntry }
+) {
+  /**
+   * Writes a document and pins it.
+   * @async
+   * @param {import("./storage.js").StorageAdapter} store - The store.
+   * @param {Object} doc - The document.
+   * @returns {Promise<void>}
+   */
+  const save = async (store, doc) => {
+    const cid = await store.put(doc);
+    await pinEntry(store, cid);
+  };
+
+  /**
+   * Returns the documents of a store within any of a set of paths.
+   * @async
+   * @param {import("./storage.js").StorageAdapter} store - The store.
+   * @param {string[]} paths - The paths.
+   * @returns {Promise<Object[]>} The documents, each listed once.
+   */
+  const listWithin = async (store, paths) => {
+    const docs = new Map();
+    for (const path of paths) {
+      for (const doc of await store.listByPrefix(path)) {
+        if (isWithinPath(doc._id, path)) docs.set(doc._id, doc);
+      }
+    }
+    return [...docs.values()];
+  };
+
+  /**
+   * Returns the versions of the paths within any of a set of paths.
+   * @async
+   * @param {string[]} paths - The paths.
+   * @returns {Promise<Object[]>} The versions, each listed once.
+   */
+  const listVersionsWithin = async (paths) => {
+    const versions = new Map();
+    for (const path of paths) {
+      for (const version of await historyStore.listByPrefix(path)) {
+        if (isWithinPath(version.path, path)) {
+          versions.set(version._id, version);
+        }
+      }
+    }
+    return [...versions.values()];
+  };
+
+  const accounts = {
+    /**
+     * Replaces a user's public key. The user document gets the new key; data,
+     * ACL entries, tombstones and versions under 'users/<oldKey>' move to 'users/<newKey>';
+     * every ACL entry and group owned by, or granting access to, the old key is
+     * updated to the new key. Key wraps for the old key are dropped, since they
+     * cannot be opened with the new key, and so is the provenance of moved data,
+     * since its signatures cover the old path.
+     *
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} oldKey - The current public key.
+     * @param {string} newKey - The new public key.
+     * @returns {Promise<{movedPaths: number, updatedAccessRights: number, updatedGroups: number}>} What was migrated.
+     */
+    async rotateKey(alias, oldKey, newKey) {
+      const oldSpace = userSpace(oldKey);
+      const newSpace = userSpace(newKey);
+
+      const user = await userDb.get(alias);
+      await save(userDb, { ...user, publicKey: newKey });
+
+      const docs = await listWithin(userDb, [oldSpace]);
+      for (const { provenance, ...doc } of docs) {
+        await save(userDb, {
+          ...doc,
+          _id: movePath(doc._id, oldSpace, newSpace),
+        });
+        await userDb.del(doc._id);
+      }
+
+      for (const tombstone of await listWithin(tombstoneStore, [oldSpace])) {
+        const path = movePath(tombstone._id, oldSpace, newSpace);
+        const { provenance, ...doc } = tombstone.doc;
+        await tombstoneStore.put({
+          ...tombstone,
+          _id: path,
+          doc: { ...doc, _id: path },
+        });
+        await tombstoneStore.del(tombstone._id);
+      }
+
+      for (const version of await listVersionsWithin([oldSpace])) {
+        const path = movePath(version.path, oldSpace, newSpace);
+        const { provenance, ...doc } = version.doc;
+        await save(historyStore, {
+          ...version,
+          _id: movePath(version._id, oldSpace, newSpace),
+          path,
+          doc: { ...doc, _id: path },
+        });
+        await historyStore.del(version._id);
+      }
+
+      let updatedAccessRights = 0;
+      for (const accessRights of await aclStore.listByPrefix("")) {
+        const moved = isWithinPath(accessRights._id, oldSpace);
+        if (!moved && !mentions(accessRights, oldKey)) continue;
+
+        const updated = replaceGrantee(accessRights, oldKey, newKey);
+        if (updated.owner === oldKey) updated.owner = newKey;
+        if (moved) {
+          updated._id = movePath(accessRights._id, oldSpace, newSpace);
+        }
+
+        await save(aclStore, updated);
+        if (moved) await aclStore.del(accessRights._id);
+        updatedAccessRights++;
+      }
+
+      let updatedGroups = 0;
+      for (const group of await groupStore.listByPrefix("")) {
+        if (group.owner !== oldKey && !group.members.includes(oldKey)) continue;
+
+        await save(groupStore, {
+          ...group,
+          owner: group.owner === oldKey ? newKey : group.owner,
+          members: group.members.map((member) =>
+            member === oldKey ? newKey : member
+          ),
+        });
+        updatedGroups++;
+      }
+
+      return { movedPaths: docs.length, updatedAccessRights, updatedGroups };
+    },
+
+    /**
+     * Removes a user's account: the user document, the data, tombstones and versions within
+     * 'users/<publicKey>', the ACL entries the user owns and the groups the user owns,
+     * along with the grants to those groups (see `deleteGroup`).
+     * Data outside the user's space is left to its other writers, even where the user
+     * owns its ACL entry. The user's key is also removed from the access lists of other
+     * ACL entries and from the members of other groups.
+     *
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} publicKey - The public key of the user.
+     * @returns {Promise<{deletedPaths: number, deletedAccessRights: number, deletedGroups: number}>} What was deleted.
+     */
+    async deleteAccount(alias, publicKey) {
+      const space = userSpace(publicKey);
+
+      const docs = await listWithin(userDb, [space]);
+      for (const doc of docs) {
+        await userDb.del(doc._id);
+      }
+      for (const tombstone of await listWithin(tombstoneStore, [space])) {
+        await tombstoneStore.del(tombstone._id);
+      }
+      for (const version of await listVersionsWithin([space])) {
+        await historyStore.del(version._id);
+      }
+
+      let deletedAccessRights = 0;
+      for (const accessRights of await aclStore.listByPrefix("")) {
+        if (accessRights.owner === publicKey) {
+          await aclStore.del(accessRights._id);
+          deletedAccessRights++;
+        } else if (mentions(accessRights, publicKey)) {
+          await save(aclStore, replaceGrantee(accessRights, publicKey));
+        }
+      }
+
+      let deletedGroups = 0;
+      for (const group of await groupStore.listByPrefix("")) {
+        if (group.owner !== publicKey) continue;
+        await accounts.deleteGroup(group._id);
+        deletedGroups++;
+      }
+      // Listed again, since deleting the groups changed the members of others
+      for (const group of await groupStore.listByPrefix("")) {
+        if (!group.members.includes(publicKey)) continue;
+        await save(groupStore, {
+          ...group,
+          members: group.members.filter((member) => member !== publicKey),
+        });
+      }
+
+      await userDb.del(alias);
+
+      return { deletedPaths: docs.length, deletedAccessRights, deletedGroups };
+    },
+
+    /**
+     * Deletes a group. Grants to the group are removed from every ACL entry, and the
+     * group from the members of other groups, so that a group created later under the
+     * same name does not inherit them.
+     *
+     * @async
+     * @param {string} name - The group name.
+     * @returns {Promise<void>}
+     */
+    async deleteGroup(name) {
+      // Remove the references first, so that no grant outlives the group
+      const reference = `${GROUP_PREFIX}${name}`;
+      for (const accessRights of await aclStore.listByPrefix("")) {
+        if (!mentions(accessRights, reference)) continue;
+        await save(aclStore, replaceGrantee(accessRights, reference));
+      }
+      for (const other of await groupStore.listByPrefix("")) {
+        if (!other.members.includes(reference)) continue;
+        await save(groupStore, {
+          ...other,
+          members: other.members.filter((member) => member !== reference),
+        });
+      }
+
+      await groupStore.del(name);
+    },
+  };
+
+  return accounts;
+}
@@ -0,0 +1,363 @@
+import sodium from "libsodium-wrappers";
+import { createGroups, parseGroupReference } from "./groups.js";
+
+await sodium.ready;
+
+/**
+ * Walks the ACL entries of a path and its ancestors, from the most specific to
+ * the least specific, until the visitor returns a decision.
+ * For 'users/abc/x/' the entries 'users/abc/x/', 'users/abc/x', 'users/abc'
+ * and 'users' are visited, in that order.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL store.
+ * @param {string} path - The path to start from.
+ * @param {function(Object): (boolean|undefined|Promise<boolean|undefined>)} visit - Called with each
+ * existing ACL entry. Returning a boolean stops the walk with that decision.
+ * @returns {Promise<boolean|undefined>} The decision, or undefined if no entry decided.
+ */
+export async function walkAccessRights(aclStore, path, visit) {
+  let current = path;
+
+  while (current !== "") {
+    const accessRights = await aclStore.get(current);
+    if (accessRights) {
+      const decision = await visit(accessRights);
+      if (decision !== undefined) return decision;
+    }
+
+    // Trim the last segment of the path if no decision was made
+    if (current.lastIndexOf("/") === -1) break;
+    current = current.substring(0, current.lastIndexOf("/"));
+  }
+
+  return undefined;
+}
+
+/**
+ * Checks whether a grant in an access list of an ACL entry has expired.
+ * Expiry times are kept per access list in the entry's `expirations`,
+ * e.g. `{ allowedReaders: { [publicKey]: expiresAt } }`, in milliseconds.
+ * @param {Object} accessRights - The ACL entry.
+ * @param {string} field - The access list, e.g. 'allowedReaders'.
+ * @param {string} principal - The public key, '*' or group reference.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {boolean} True if the grant has an expiry time that has passed.
+ */
+export function isGrantExpired(
+  accessRights,
+  field,
+  principal,
+  now = Date.now()
+) {
+  const expiresAt = accessRights.expirations?.[field]?.[principal];
+  return expiresAt !== undefined && expiresAt <= now;
+}
+
+/**
+ * Sets or clears the expiry time of a grant in an access list of an ACL entry.
+ * @param {Object} accessRights - The ACL entry, which is modified.
+ * @param {string} field - The access list, e.g. 'allowedReaders'.
+ * @param {string} principal - The public key, '*' or group reference.
+ * @param {number} [expiresAt] - The expiry time in milliseconds, or undefined for a permanent grant.
+ */
+export function setGrantExpiry(accessRights, field, principal, expiresAt) {
+  const expirations = { ...accessRights.expirations };
+  const fieldExpirations = { ...expirations[field] };
+
+  if (expiresAt === undefined) delete fieldExpirations[principal];
+  else fieldExpirations[principal] = expiresAt;
+
+  if (Object.keys(fieldExpirations).length > 0) {
+    expirations[field] = fieldExpirations;
+  } else {
+    delete expirations[field];
+  }
+
+  if (Object.keys(expirations).length > 0) {
+    accessRights.expirations = expirations;
+  } else {
+    delete accessRights.expirations;
+  }
+}
+
+/**
+ * Creates the access checks of an ACL store. Access lists (allowedPublicKeys,
+ * allowedReaders, allowedDeleters) hold public keys, '*' for every user, or
+ * group references such as 'group:team', which are resolved through the
+ * group store, including nested groups. Expired grants are ignored.
+ *
+ * @param {Object} stores - The stores.
+ * @param {import("./storage.js").StorageAdapter} stores.aclStore - The ACL store.
+ * @param {import("./storage.js").StorageAdapter} stores.groupStore - The group store.
+ * @returns {Object} The access checks.
+ */
+export function createAccessControl({ aclStore, groupStore }) {
+  const groups = createGroups(groupStore);
+
+  /**
+   * Checks whether an access list of an ACL entry grants access to a user.
+   * @async
+   * @param {Object} accessRights - The ACL entry.
+   * @param {string} field - The access list, e.g. 'allowedReaders'.
+   * @param {string|undefined} userPublicKey - The public key of the user, or undefined for anonymous users.
+   * @returns {Promise<boolean>} True if the list holds an unexpired grant to '*', the user's key or a group the user is a member of.
+   */
+  const isListed = async (accessRights, field, userPublicKey) => {
+    const now = Date.now();
+    const list = (accessRights[field] || []).filter(
+      (principal) => !isGrantExpired(accessRights, field, principal, now)
+    );
+
+    if (list.includes("*")) return true;
+    if (!userPublicKey) return false;
+    if (list.includes(userPublicKey)) return true;
+
+    for (const principal of list) {
+      const group = parseGroupReference(principal);
+      if (group !== null && (await groups.isMember(group, userPublicKey))) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  return {
+    groups,
+    isListed,
+
+    /**
+     * Checks whether a user may write to a path.
+     * Only paths starting with 'users/' are protected. Access is granted if the
+     * nearest ACL entry listing the user as owner, or in its allowedPublicKeys,
+     * is found on the path or one of its ancestors.
+     *
+     * @async
+     * @param {string} userPublicKey - The public key of the user.
+     * @param {string} path - The path to write to.
+     * @returns {Promise<boolean>} True if the user has write access.
+     */
+    async canWrite(userPublicKey, path) {
+      if (!path.startsWith("users/")) return true;
+
+      const decision = await walkAccessRights(
+        aclStore,
+        `${path}/`,
+        async (accessRights) =>
+          accessRights.owner === userPublicKey ||
+          (await isListed(accessRights, "allowedPublicKeys", userPublicKey)) ||
+          undefined
+      );
+      return decision === true;
+    },
+
+    /**
+     * Checks whether a user may delete the entry at a path.
+     * Only paths starting with 'users/' are protected. Access is granted if the
+     * nearest ACL entry listing the user as owner, or in its allowedDeleters,
+     * is found on the path or one of its ancestors.
+     * Writers cannot delete unless they are also granted delete access.
+     *
+     * @async
+     * @param {string} userPublicKey - The public key of the user.
+     * @param {string} path - The path to delete.
+     * @returns {Promise<boolean>} True if the user has delete access.
+     */
+    async canDelete(userPublicKey, path) {
+      if (!path.startsWith("users/")) return true;
+
+      const decision = await walkAccessRights(
+        aclStore,
+        `${path}/`,
+        async (accessRights) =>
+          accessRights.owner === userPublicKey ||
+          (await isListed(accessRights, "allowedDeleters", userPublicKey)) ||
+          undefined
+      );
+      return decision === true;
+    },
+
+    /**
+     * Checks whether a user may read a path.
+     * Paths are public unless the nearest ACL entry that decides marks them private.
+     * Walking from the path upwards, an entry grants access if the user is its owner,
+     * a writer or a reader, denies it if it is marked private, and grants it if it is
+     * explicitly marked public.
+     *
+     * @async
+     * @param {string|undefined} userPublicKey - The public key of the user, or undefined for anonymous reads.
+     * @param {string} path - The path to read.
+     * @returns {Promise<boolean>} True if the user has read access.
+     */
+    async canRead(userPublicKey, path) {
+      const decision = await walkAccessRights(
+        aclStore,
+        `${path}/`,
+        async (accessRights) => {
+          if (
+            (userPublicKey && accessRights.owner === userPublicKey) ||
+            (await isListed(accessRights, "allowedReaders", userPublicKey)) ||
+            (userPublicKey &&
+              (await isListed(
+                accessRights,
+                "allowedPublicKeys",
+                userPublicKey
+              )))
+          ) {
+            return true;
+          }
+          if (accessRights.private === true) return false;
+          if (accessRights.private === false) return true;
+          return undefined;
+        }
+      );
+      return decision !== false;
+    },
+  };
+}
+
+/**
+ * Returns the user whose space a path is in.
+ * @param {string} path - The path.
+ * @returns {string|undefined} The public key in 'users/<publicKey>/...', or undefined
+ * if the path is not in a user's space.
+ */
+export const spaceOwner = (path) => {
+  const [root, publicKey] = path.split("/");
+  return root === "users" && publicKey ? publicKey : undefined;
+};
+
+/**
+ * Returns the ACL entry of a path, or a new unsaved one if it has none.
+ * A new entry is owned by the owner of the nearest ancestor entry. If no ancestor
+ * has an entry, a path in a user's space, 'users/<publicKey>/...', is owned by
+ * that user. Any other path is shared by every user and has no owner, so a new
+ * entry is only created for it if a claimant is given, who then owns it.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL store.
+ * @param {string} path - The path.
+ * @param {string} [claimant] - The public key of the user taking ownership of the path
+ * if it has no owner, e.g. an administrator.
+ * @returns {Promise<Object|undefined>} The ACL entry, or undefined if the path has no
+ * owner and no claimant.
+ */
+export async function getOrCreateAccessRights(aclStore, path, claimant) {
+  const accessRights = await aclStore.get(path);
+  if (accessRights) return accessRights;
+
+  const owner =
+    (await findOwner(aclStore, path)) || spaceOwner(path) || claimant;
+  if (!owner) return undefined;
+
+  return { _id: path, owner, allowedPublicKeys: [] };
+}
+
+/**
+ * Returns the owner of a path: the owner of the nearest ACL entry on the path or its ancestors.
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL store.
+ * @param {string} path - The path.
+ * @returns {Promise<string|undefined>} The owner's public key, or undefined if no entry was found.
+ */
+export async function findOwner(aclStore, path) {
+  let owner;
+  await walkAccessRights(aclStore, path, (accessRights) => {
+    owner = accessRights.owner;
+    return true;
+  });
+  return owner;
+}
+
+/**
+ * Describes who may access a path, following the same walk of ACL entries as the
+ * access checks of `createAccessControl`: the owner of any entry on the walk and
+ * every unexpired grantee may write or delete, while reads are public unless the
+ * nearest entry marking the path private or public marks it private.
+ * Group references are listed as they are, without resolving their members.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL store.
+ * @param {string} path - The path.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {Promise<{path: string, owner: string|undefined, private: boolean, writers: string[],
+ * deleters: string[], readers: string[], entries: Object[]}>} The principals with each kind of
+ * access, where '*' means every user, and the ACL entries visited, most specific first.
+ */
+export async function describeAccess(aclStore, path, now = Date.now()) {
+  const entries = [];
+  await walkAccessRights(aclStore, `${path}/`, (accessRights) => {
+    entries.push(accessRights);
+    return undefined;
+  });
+
+  const listed = (visited, fields) => [
+    ...new Set(
+      visited.flatMap((accessRights) => [
+        ...(accessRights.owner ? [accessRights.owner] : []),
+        ...fields.flatMap((field) =>
+          (accessRights[field] || []).filter(
+            (principal) => !isGrantExpired(accessRights, field, principal, now)
+          )
+        ),
+      ])
+    ),
+  ];
+
+  // Only paths below 'users/' are protected from writes and deletes
+  const isProtected = path.startsWith("users/");
+  const deciding = entries.findIndex(
+    (accessRights) => typeof accessRights.private === "boolean"
+  );
+  const isPrivate = deciding !== -1 && entries[deciding].private;
+
+  return {
+    path,
+    owner: entries[0]?.owner,
+    private: isPrivate,
+    writers: isProtected ? listed(entries, ["allowedPublicKeys"]) : ["*"],
+    deleters: isProtected ? listed(entries, ["allowedDeleters"]) : ["*"],
+    readers: isPrivate
+      ? listed(entries.slice(0, deciding + 1), [
+          "allowedReaders",
+          "allowedPublicKeys",
+        ])
+      : ["*"],
+    entries,
+  };
+}
+
+/**
+ * Verifies a detached Ed25519 signature made over a message.
+ * @param {string} message - The signed message.
+ * @param {string} signature - The base64 encoded signature.
+ * @param {string} publicKey - The base64 encoded public key of the signer.
+ * @returns {boolean} True if the signature is valid. Malformed input is treated as invalid.
+ */
+export function verifySignature(message, signature, publicKey) {
+  try {
+    return sodium.crypto_sign_verify_detached(
+      sodium.from_base64(signature),
+      sodium.from_string(message),
+      sodium.from_base64(publicKey)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a value is a base64 encoded Ed25519 public key.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value decodes to a 32 byte key.
+ */
+export function isPublicKey(value) {
+  if (typeof value !== "string") return false;
+  try {
+    return (
+      sodium.from_base64(value).length === sodium.crypto_sign_PUBLICKEYBYTES
+    );
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+import { parseArgs } from "util";
+import { initStorage, storageAdapter, storagePath } from "./storage.js";
+import { findRunningServer } from "./serverLock.js";
+import {
+  describeAccess,
+  findOwner,
+  isPublicKey,
+  setGrantExpiry,
+  spaceOwner,
+} from "./acl.js";
+import { isAccount, userSpace } from "./accounts.js";
+import { normalizeAlias } from "./directory.js";
+import { isValidGroupName, parseGroupReference } from "./groups.js";
+import { createSessions } from "./sessions.js";
+
+const USAGE = `Usage:
+  fabstirdb-admin users list
+  fabstirdb-admin users show <alias>
+  fabstirdb-admin users lock <alias>
+  fabstirdb-admin users unlock <alias>
+  fabstirdb-admin acl show <path>
+  fabstirdb-admin acl grant <path> <publicKey|*|group:name> [--access write|read|delete] [--owner <publicKey>]
+  fabstirdb-admin acl revoke <path> <publicKey|*|group:name> [--access write|read|delete]
+  fabstirdb-admin orphans [--prefix <path>]
+  fabstirdb-admin reindex`;
+
+// The access list of an ACL entry each kind of grant is kept in
+const ACCESS_LISTS = {
+  write: "allowedPublicKeys",
+  read: "allowedReaders",
+  delete: "allowedDeleters",
+};
+
+/**
+ * An error in the use of a command, reported without a stack trace.
+ */
+class UsageError extends Error {}
+
+/**
+ * Prints a value as indented JSON.
+ * @param {*} value - The value.
+ */
+const print = (value) => console.log(JSON.stringify(value, null, 2));
+
+/**
+ * Returns the account of an alias, looked up the way the server does on login.
+ * @async
+ * @param {import("./storage.js").StorageAdapter} userDb - The user store.
+ * @param {string} alias - The alias.
+ * @returns {Promise<Object>} The account.
+ * @throws {UsageError} If there is no such account.
+ */
+async function findAccount(userDb, alias) {
+  for (const id of [alias, normalizeAlias(alias)]) {
+    const doc = await userDb.get(id);
+    if (doc && isAccount(doc)) return doc;
+  }
+  throw new UsageError(`User not found: ${alias}`);
+}
+
+/**
+ * Checks that a principal can be granted access: a public key, '*' or a group reference.
+ * @param {string} principal - The principal.
+ * @throws {UsageError} If it cannot.
+ */
+function checkPrincipal(principal) {
+  const group = parseGroupReference(principal);
+  if (
+    principal !== "*" &&
+    !isPublicKey(principal) &&
+    !(group !== null && isValidGroupName(group))
+  ) {
+    throw new UsageError(
+      `Not a public key, '*' or group reference: ${principal}`
+    );
+  }
+}
+
+/**
+ * Returns the access list named by the --access option.
+ * @param {string} access - 'write', 'read' or 'delete'.
+ * @returns {string} The access list, e.g. 'allowedPublicKeys'.
+ * @throws {UsageError} If the kind of access is unknown.
+ */
+function accessListOf(access) {
+  const field = ACCESS_LISTS[access];
+  if (!field) {
+    throw new UsageError(
+      `--access must be one of: ${Object.keys(ACCESS_LISTS).join(", ")}.`
+    );
+  }
+  return field;
+}
+
+const commands = {
+  /**
+   * Lists the accounts, one per line: alias, public key and whether it is locked.
+   */
+  async "users list"({ userDb }) {
+    const accounts = (await userDb.listByPrefix("")).filter(isAccount);
+    for (const account of accounts) {
+      console.log(
+        [account._id, account.publicKey, account.locked ? "locked" : ""]
+          .join("\t")
+          .trimEnd()
+      );
+    }
+  },
+
+  /**
+   * Shows an account, the ACL entry of its space, how many documents the space
+   * holds and the active sessions. The password hash is not shown.
+   */
+  async "users show"({ userDb, aclStore, sessionStore }, [alias]) {
+    const { hashedPassword, ...account } = await findAccount(userDb, alias);
+    const space = userSpace(account.publicKey);
+    // No sessions are started here, so their lifetime does not matter
+    const sessions = createSessions(sessionStore, { ttl: 0 });
+
+    print({
+      ...account,
+      hasPassword: Boolean(hashedPassword),
+      space,
+      documents: (await userDb.keysByPrefix(`${space}/`)).length,
+      access: (await aclStore.get(space)) ?? null,
+      sessions: (await sessions.list(account._id)).length,
+    });
+  },
+
+  /**
+   * Locks an account, so that it cannot log in, and logs out its sessions.
+   */
+  async "users lock"({ userDb, sessionStore }, [alias]) {
+    const account = await findAccount(userDb, alias);
+    await userDb.put({ ...account, locked: true, lockedAt: Date.now() });
+    const revoked = await createSessions(sessionStore, { ttl: 0 }).revokeAll(
+      account._id
+    );
+    console.log(`Locked ${account._id} and revoked ${revoked} sessions`);
+  },
+
+  /**
+   * Unlocks an account.
+   */
+  async "users unlock"({ userDb }, [alias]) {
+    const { locked, lockedAt, ...account } = await findAccount(userDb, alias);
+    await userDb.put(account);
+    console.log(`Unlocked ${account._id}`);
+  },
+
+  /**
+   * Shows who may write, delete and read a path, and the ACL entries deciding it.
+   */
+  async "acl show"({ aclStore }, [path]) {
+    print(await describeAccess(aclStore, path));
+  },
+
+  /**
+   * Grants access to a path as the server, without the owner's signature.
+   * A path without an ACL entry gets one, owned by the owner of the path: the owner
+   * of the nearest ACL entry, or else the user whose space the path is in. Only a
+   * path without an owner takes the one given with --owner; any other --owner is an error.
+   */
+  async "acl grant"({ aclStore }, [path, principal], { access, owner }) {
+    const field = accessListOf(access);
+    checkPrincipal(principal);
+    if (owner !== undefined && !isPublicKey(owner)) {
+      throw new UsageError(`--owner is not a public key: ${owner}`);
+    }
+
+    const currentOwner = (await findOwner(aclStore, path)) ?? spaceOwner(path);
+    if (owner !== undefined && currentOwner && owner !== currentOwner) {
+      throw new UsageError(
+        `${path} is owned by ${currentOwner}, not the --owner given.`
+      );
+    }
+
+    const accessRights = (await aclStore.get(path)) ?? {
+      _id: path,
+      owner: currentOwner ?? owner,
+      allowedPublicKeys: [],
+    };
+    if (!accessRights.owner) {
+      throw new UsageError(
+        `${path} has no owner; pass --owner <publicKey> to create its ACL entry.`
+      );
+    }
+
+    const list = accessRights[field] ?? [];
+    if (!list.includes(principal)) accessRights[field] = [...list, principal];
+    setGrantExpiry(accessRights, field, principal, undefined);
+    await aclStore.put(accessRights);
+    console.log(`Granted ${access} access to ${path} to ${principal}`);
+  },
+
+  /**
+   * Revokes access to a path granted by its ACL entry, as the server.
+   */
+  async "acl revoke"({ aclStore }, [path, principal], { access }) {
+    const field = accessListOf(access);
+    const accessRights = await aclStore.get(path);
+    if (!accessRights?.[field]?.includes(principal)) {
+      throw new UsageError(
+        `${principal} has no ${access} access granted by the ACL entry of ${path}.`
+      );
+    }
+
+    accessRights[field] = accessRights[field].filter(
+      (key) => key !== principal
+    );
+    setGrantExpiry(accessRights, field, principal, undefined);
+    await aclStore.put(accessRights);
+    console.log(`Revoked ${access} access to ${path} from ${principal}`);
+  },
+
+  /**
+   * Lists the data without an owner, i.e. without an ACL entry on its path or
+   * its ancestors. Hashed data is addressed by its content and has no owner, so
+   * it is not listed.
+   */
+  async orphans({ userDb, aclStore }, args, { prefix }) {
+    for (const doc of await userDb.listByPrefix(prefix)) {
+      if (isAccount(doc) || doc._id.startsWith("%23")) continue;
+      if (!(await findOwner(aclStore, doc._id))) console.log(doc._id);
+    }
+  },
+
+  /**
+   * Rebuilds the path index of the user store from its contents. A running server
+   * keeps its own index, which is rebuilt with `POST /admin/reindex`.
+   */
+  async reindex({ userDb }) {
+    const paths = await userDb.rebuildIndex();
+    console.log(`Path index rebuilt with ${paths} paths`);
+  },
+};
+
+// How many arguments each command takes after its name
+const ARITY = {
+  "users list": 0,
+  "users show": 1,
+  "users lock": 1,
+  "users unlock": 1,
+  "acl show": 1,
+  "acl grant": 2,
+  "acl revoke": 2,
+  orphans: 0,
+  reindex: 0,
+};
+
+/**
+ * Runs the command given on the command line.
+ * @async
+ * @returns {Promise<number>} The exit code.
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      access: { type: "string", default: "write" },
+      owner: { type: "string" },
+      prefix: { type: "string", default: "" },
+    },
+  });
+
+  const name = ["users", "acl"].includes(positionals[0])
+    ? positionals.slice(0, 2).join(" ")
+    : positionals[0];
+  const args = positionals.slice(name?.split(" ").length);
+  if (!commands[name] || args.length !== ARITY[name]) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (storageAdapter === "memory") {
+    console.error(
+      "The memory storage adapter keeps nothing between runs; set STORAGE_ADAPTER to orbitdb or file."
+    );
+    return 1;
+  }
+
+  // The server holds the stores in memory and would overwrite the changes
+  const running = await findRunningServer(storagePath);
+  if (running !== undefined) {
+    console.error(
+      `The server (pid ${running}) is using ${storagePath}; stop it first, or use its /admin routes.`
+    );
+    return 1;
+  }
+
+  // Opened as the server opens them, with initUserDB() and initAclDB() for OrbitDB
+  const stores = await initStorage();
+  try {
+    await commands[name](stores, args, values);
+    return 0;
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(error.message);
+    return 1;
+  } finally {
+    await Promise.all(Object.values(stores).map((store) => store.close()));
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error("Admin command failed:", error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,54 @@
+import { toSignedDoc } from "./provenance.js";
+
+export const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * Applies the validated operations of a batch write in order. If an operation
+ * fails, the operations applied before it are undone, so that either every
+ * operation is applied or none is.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} store - The store written to.
+ * @param {Object} tombstones - The graveyard deleted entries are buried in (see `createTombstones`).
+ * @param {Object[]} operations - The operations: `{ op: 'put', path, data, provenance? }` or
+ * `{ op: 'delete', path, paths }`, where `paths` are the entries to delete.
+ * @param {string} deletedBy - The public key of the user applying the batch.
+ * @returns {Promise<Object[]>} The result of each operation: `{ op: 'put', path, hash }` or
+ * `{ op: 'delete', path, deletedPaths, restorableUntil }`.
+ * @throws {Error} If an operation fails, after undoing the applied ones.
+ */
+export async function applyBatch(store, tombstones, operations, deletedBy) {
+  const undo = [];
+
+  try {
+    const results = [];
+    for (const { op, path, data, provenance, paths } of operations) {
+      if (op === "put") {
+        const previous = await store.get(path);
+        const hash = await store.put(toSignedDoc(path, data, provenance));
+        undo.push(() => (previous ? store.put(previous) : store.del(path)));
+        results.push({ op, path, hash });
+      } else {
+        let restorableUntil;
+        for (const entryPath of paths) {
+          const replaced = await tombstones.get(entryPath);
+          const tombstone = await tombstones.bury(store, entryPath, deletedBy);
+          if (!tombstone) continue;
+          undo.push(() => tombstones.restore(store, tombstone, replaced));
+          restorableUntil = tombstone.purgeAfter;
+        }
+        results.push({ op, path, deletedPaths: paths, restorableUntil });
+      }
+    }
+    return results;
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error("Failed to undo batch operation:", undoError);
+      }
+    }
+    throw error;
+  }
+}
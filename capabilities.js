@@ -0,0 +1,133 @@
+import sodium from "libsodium-wrappers";
+import { verifySignature } from "./acl.js";
+
+await sodium.ready;
+
+export const CAPABILITY_SCOPES = ["read", "write", "delete"];
+
+const MAX_CHAIN_LENGTH = 8;
+
+/**
+ * Checks whether a path is the same as, or below, another path.
+ * @param {string} path - The path.
+ * @param {string} parent - The possible ancestor.
+ * @returns {boolean} True if path is within parent.
+ */
+export function isWithinPath(path, parent) {
+  const trimmedPath = path.replace(/\/+$/, "");
+  const trimmedParent = parent.replace(/\/+$/, "");
+  return (
+    trimmedPath === trimmedParent || trimmedPath.startsWith(`${trimmedParent}/`)
+  );
+}
+
+/**
+ * Decodes a capability token without verifying it.
+ * A token is `<payload>.<signature>`: the base64 encoded JSON payload and the
+ * issuer's detached Ed25519 signature over the encoded payload.
+ *
+ * @param {string} token - The token.
+ * @returns {{payload: Object, encodedPayload: string, signature: string}} The decoded token.
+ * @throws {Error} If the token is malformed.
+ */
+export function decodeCapability(token) {
+  if (typeof token !== "string") throw new Error("Malformed capability token");
+
+  const [encodedPayload, signature, ...rest] = token.split(".");
+  if (!encodedPayload || !signature || rest.length > 0) {
+    throw new Error("Malformed capability token");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(sodium.to_string(sodium.from_base64(encodedPayload)));
+  } catch (error) {
+    throw new Error("Malformed capability token");
+  }
+  return { payload, encodedPayload, signature };
+}
+
+/**
+ * Verifies a capability token and its chain of proofs.
+ *
+ * The root token of the chain must be signed by the owner of the path it delegates.
+ * Each token may delegate further by naming its audience as the issuer of a new token
+ * that embeds it as proof (`prf`). A delegated token can only narrow its proof: its path
+ * must lie within the proof's path, its scope must be a subset and it must expire no later.
+ *
+ * Payload: `{ v: 1, iss, aud, path, scope, expiresAt, prf }`, where `iss` and `aud` are
+ * public keys, `scope` lists 'read', 'write' and/or 'delete', and `expiresAt` is in
+ * milliseconds since the epoch.
+ *
+ * @async
+ * @param {string} token - The token presented by the user.
+ * @param {Object} request - What the token is used for.
+ * @param {string} request.audience - The public key of the presenting user.
+ * @param {string} request.path - The path being accessed.
+ * @param {string} request.scope - 'read', 'write' or 'delete'.
+ * @param {function(string): Promise<string|undefined>} request.findOwner - Resolves the owner of a path.
+ * @param {number} [request.now=Date.now()] - The current time.
+ * @returns {Promise<void>}
+ * @throws {Error} If the token does not grant the requested access; the message says why.
+ */
+export async function verifyCapability(token, request) {
+  const { audience, path, scope, findOwner, now = Date.now() } = request;
+
+  let current = token;
+  let child;
+  for (let depth = 0; current; depth++) {
+    if (depth >= MAX_CHAIN_LENGTH) {
+      throw new Error("Capability chain is too long");
+    }
+
+    const { payload, encodedPayload, signature } = decodeCapability(current);
+    const { v, iss, aud, scope: scopes, expiresAt } = payload;
+
+    if (
+      v !== 1 ||
+      typeof iss !== "string" ||
+      typeof aud !== "string" ||
+      typeof payload.path !== "string" ||
+      !Array.isArray(scopes) ||
+      !scopes.every((s) => CAPABILITY_SCOPES.includes(s)) ||
+      !Number.isFinite(expiresAt)
+    ) {
+      throw new Error("Malformed capability token");
+    }
+    if (!verifySignature(encodedPayload, signature, iss)) {
+      throw new Error("Capability signature verification failed");
+    }
+    if (expiresAt <= now) {
+      throw new Error("Capability has expired");
+    }
+
+    if (!child) {
+      if (aud !== audience) {
+        throw new Error("Capability was not issued to this user");
+      }
+      if (!isWithinPath(path, payload.path)) {
+        throw new Error("Capability does not cover this path");
+      }
+      if (!scopes.includes(scope)) {
+        throw new Error(`Capability does not grant ${scope} access`);
+      }
+    } else if (
+      child.iss !== aud ||
+      !isWithinPath(child.path, payload.path) ||
+      !child.scope.every((s) => scopes.includes(s)) ||
+      child.expiresAt > expiresAt
+    ) {
+      throw new Error("Capability exceeds the authority of its proof");
+    }
+
+    if (!payload.prf) {
+      const owner = await findOwner(payload.path);
+      if (!owner || owner !== iss) {
+        throw new Error("Root capability is not signed by the path owner");
+      }
+    }
+
+    child = payload;
+    current = payload.prf;
+  }
+}
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import { verifySignature } from "./acl.js";
+
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Returns the message a user signs to answer a login challenge.
+ * @param {string} alias - The alias of the user.
+ * @param {string} challenge - The challenge.
+ * @returns {string} The message to sign.
+ */
+export const challengeMessage = (alias, challenge) =>
+  `${alias}-${challenge}-login`;
+
+/**
+ * Creates the issuer of login challenges. A challenge is a random string issued
+ * for an alias; the user logs in by signing it with the key they registered.
+ * Each challenge can be answered once, within its time to live.
+ *
+ * @param {import("./storage.js").StorageAdapter} challengeStore - The store holding open challenges.
+ * @param {Object} options - The options.
+ * @param {number} options.ttl - How long a challenge can be answered, in milliseconds.
+ * @returns {Object} The issuer.
+ */
+export function createChallenges(challengeStore, { ttl }) {
+  let purgeTimer;
+  const answering = new Set();
+
+  const challenges = {
+    /**
+     * Issues a challenge for an alias.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @returns {Promise<{challenge: string, expiresAt: number}>} The challenge and when it expires.
+     */
+    async issue(alias) {
+      const challenge = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = Date.now() + ttl;
+
+      // Challenges are temporary, so they are not pinned
+      await challengeStore.put({ _id: challenge, alias, expiresAt });
+      return { challenge, expiresAt };
+    },
+
+    /**
+     * Uses up a challenge and verifies the answer to it.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} challenge - The challenge.
+     * @param {string} signature - The user's signature over `challengeMessage(alias, challenge)`.
+     * @param {string} publicKey - The public key the user registered.
+     * @returns {Promise<boolean>} True if the challenge was issued for the alias, has not
+     * expired or been used before, and is signed with the public key.
+     */
+    async answer(alias, challenge, signature, publicKey) {
+      if (typeof challenge !== "string" || answering.has(challenge)) {
+        return false;
+      }
+
+      answering.add(challenge);
+      let issued;
+      try {
+        issued = await challengeStore.get(challenge);
+        if (!issued) return false;
+        await challengeStore.del(challenge);
+      } finally {
+        answering.delete(challenge);
+      }
+
+      return (
+        issued.alias === alias &&
+        issued.expiresAt > Date.now() &&
+        verifySignature(
+          challengeMessage(alias, challenge),
+          signature,
+          publicKey
+        )
+      );
+    },
+
+    /**
+     * Deletes the challenges that have expired without being answered.
+     * @async
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<number>} The number of purged challenges.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await challengeStore.listByPrefix("")).filter(
+        (issued) => issued.expiresAt <= now
+      );
+      for (const issued of expired) {
+        await challengeStore.del(issued._id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired challenges periodically.
+     */
+    startPurging() {
+      purgeTimer = setInterval(async () => {
+        try {
+          const purged = await challenges.purgeExpired();
+          if (purged > 0) console.log(`Purged ${purged} expired challenges`);
+        } catch (error) {
+          console.error("Challenge purge failed:", error);
+        }
+      }, PURGE_INTERVAL);
+      purgeTimer.unref();
+    },
+
+    /**
+     * Stops purging expired challenges.
+     */
+    stopPurging() {
+      clearInterval(purgeTimer);
+    },
+  };
+
+  return challenges;
+}
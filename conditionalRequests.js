@@ -0,0 +1,73 @@
+/**
+ * Returns the ETag of a stored entry: its entry hash, as a strong entity tag.
+ * @param {string} hash - The entry hash.
+ * @returns {string} The ETag, e.g. '"zdpu..."'.
+ */
+export const toEtag = (hash) => `"${hash}"`;
+
+/**
+ * Checks whether the value of an `If-Match` or `If-None-Match` header lists an ETag.
+ * @param {string} header - The header value: '*' or a comma-separated list of ETags.
+ * @param {string|undefined} etag - The current ETag, or undefined if there is no entry.
+ * @param {boolean} weak - Whether weak ETags ('W/"..."') match too, as they do for `If-None-Match`.
+ * @returns {boolean} True if the header lists the ETag.
+ */
+const listsEtag = (header, etag, weak) =>
+  etag !== undefined &&
+  header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some(
+      (tag) => tag === "*" || tag === etag || (weak && tag === `W/${etag}`)
+    );
+
+/**
+ * Evaluates the `If-Match` and `If-None-Match` headers of a request against the
+ * current ETag of the entry it targets, in the order RFC 9110 does.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string|undefined} etag - The current ETag, or undefined if there is no entry.
+ * @returns {number|undefined} 412 if a precondition fails, 304 if the client's copy of a
+ * GET or HEAD is current, or undefined if the request can proceed.
+ */
+export function evaluatePreconditions(req, etag) {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch !== undefined && !listsEtag(ifMatch, etag, false)) return 412;
+
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch !== undefined && listsEtag(ifNoneMatch, etag, true)) {
+    return ["GET", "HEAD"].includes(req.method) ? 304 : 412;
+  }
+  return undefined;
+}
+
+/**
+ * Creates a queue running the tasks on the same path one at a time, so that a
+ * conditional write cannot be overtaken between checking the ETag and writing.
+ * @returns {{run: function(string, function(): Promise<*>): Promise<*>, runAll: function(string[], function(): Promise<*>): Promise<*>}} The queue.
+ * `run` resolves to the result of the task once the earlier tasks on the path have settled;
+ * `runAll` once the earlier tasks on every one of the paths have settled.
+ */
+export function createPathQueue() {
+  const running = new Map();
+
+  const queue = {
+    run: (path, task) => queue.runAll([path], task),
+
+    runAll(paths, task) {
+      const unique = [...new Set(paths)];
+      const result = Promise.all(unique.map((path) => running.get(path))).then(
+        () => task()
+      );
+      const settled = result.catch(() => {});
+      for (const path of unique) running.set(path, settled);
+      settled.then(() => {
+        for (const path of unique) {
+          if (running.get(path) === settled) running.delete(path);
+        }
+      });
+      return result;
+    },
+  };
+  return queue;
+}
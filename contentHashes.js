@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import Gun from "gun";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256, sha512 } from "multiformats/hashes/sha2";
+
+const SEA = Gun.SEA;
+
+// Length of the base64url digest of each algorithm named in a hashed path
+const DIGEST_LENGTHS = { sha256: 43, sha512: 86, blake2b512: 86 };
+
+// Hashers of the multihashes CIDs may use, by multihash code
+const CID_HASHERS = { [sha256.code]: sha256, [sha512.code]: sha512 };
+
+export const HASH_ALGORITHMS = [...Object.keys(DIGEST_LENGTHS), "cid"];
+
+const MALFORMED = "Malformed hashed path: expected '%23<namespace>/<hash>/'.";
+
+/**
+ * Returns the text whose hash addresses some data: the data itself if it is a
+ * string, its JSON otherwise, as `SEA.work` hashes it.
+ * @param {*} data - The data.
+ * @returns {string} The text.
+ */
+const contentOf = (data) =>
+  typeof data === "string" ? data : JSON.stringify(data);
+
+/**
+ * Parses a hashed path, '%23<namespace>/<hash>/', whose data is addressed by its hash.
+ * The hash segment is one of:
+ * - `<algorithm>-<digest>`, where the algorithm is 'sha256', 'sha512' or 'blake2b512'
+ *   and the digest is base64url encoded without padding;
+ * - `cid-<cid>`, an IPFS CIDv1 of the data with the raw codec and a sha2-256 or sha2-512 multihash;
+ * - the URI-encoded SHA-256 work of the data computed with SEA, up to its first '/'
+ *   (algorithm 'sea-sha256'), as written by earlier clients.
+ *
+ * @param {string} path - The path.
+ * @returns {{path?: string, namespace?: string, algorithm?: string, hash?: string, err?: string}}
+ * The parsed path, whose `path` is its canonical form, or why it is malformed.
+ */
+export function parseHashedPath(path) {
+  if (typeof path !== "string" || !path.startsWith("%23")) {
+    return { err: "Malformed hashed path: it must start with '%23'." };
+  }
+
+  const segments = path.slice(3).split("/");
+  if (segments.length === 3 && segments[2] === "") segments.pop();
+  if (segments.length !== 2 || segments[0] === "") return { err: MALFORMED };
+
+  const [namespace, segment] = segments;
+  const parsed = (algorithm, hash) => ({
+    path: `%23${namespace}/${hash}/`,
+    namespace,
+    algorithm,
+    hash,
+  });
+
+  // SEA hashes are URI-encoded standard base64, which never contains '-'
+  const separator = segment.indexOf("-");
+  if (separator === -1) return parsed("sea-sha256", segment);
+
+  const algorithm = segment.slice(0, separator);
+  const digest = segment.slice(separator + 1);
+
+  if (algorithm === "cid") {
+    let cid;
+    try {
+      cid = CID.parse(digest);
+    } catch (error) {
+      return { err: "Malformed hashed path: invalid CID." };
+    }
+    if (
+      cid.version !== 1 ||
+      cid.code !== raw.code ||
+      !CID_HASHERS[cid.multihash.code]
+    ) {
+      return {
+        err: "Unsupported CID: only CIDv1 with the raw codec and a sha2-256 or sha2-512 multihash is supported.",
+      };
+    }
+    return parsed(algorithm, `cid-${cid}`);
+  }
+
+  const length = DIGEST_LENGTHS[algorithm];
+  if (!length) {
+    return {
+      err: `Unsupported hash algorithm '${algorithm}'. Use one of: ${HASH_ALGORITHMS.join(
+        ", "
+      )}.`,
+    };
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(digest) || digest.length !== length) {
+    return {
+      err: `Malformed hashed path: a ${algorithm} digest is ${length} base64url characters.`,
+    };
+  }
+  return parsed(algorithm, segment);
+}
+
+/**
+ * Checks that data matches the hash of a parsed hashed path.
+ * @async
+ * @param {{algorithm?: string, hash?: string}} hashedPath - The path, parsed with `parseHashedPath`.
+ * @param {*} data - The data.
+ * @returns {Promise<boolean>} True if the hash of the data is the one in the path.
+ */
+export async function verifyContent({ algorithm, hash }, data) {
+  if (data === undefined) return false;
+
+  if (algorithm === "sea-sha256") {
+    const work = await SEA.work(data, null, null, { name: "SHA-256" });
+    return encodeURIComponent(work.split("/")[0]) === hash;
+  }
+
+  if (algorithm === "cid") {
+    const cid = CID.parse(hash.slice("cid-".length));
+    const digest = await CID_HASHERS[cid.multihash.code].digest(
+      new TextEncoder().encode(contentOf(data))
+    );
+    return CID.create(1, raw.code, digest).equals(cid);
+  }
+
+  const digest = crypto
+    .createHash(algorithm)
+    .update(contentOf(data))
+    .digest("base64url");
+  return `${algorithm}-${digest}` === hash;
+}
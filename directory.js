@@ -0,0 +1,252 @@
+const ALIAS = /^[a-z0-9][a-z0-9_.-]{2,31}$/;
+
+const RESERVED_ALIASES = [
+  "admin",
+  "administrator",
+  "root",
+  "system",
+  "support",
+  "help",
+  "security",
+  "fabstir",
+  "fabstirdb",
+  "api",
+  "users",
+  "group",
+  "me",
+  "null",
+  "undefined",
+];
+
+const PROFILE_FIELDS = { displayName: 64, bio: 280, avatar: 512 };
+
+/**
+ * Normalizes an alias for comparison: Unicode NFKC, trimmed and lower-cased,
+ * so that 'Alice', ' alice' and 'ａｌｉｃｅ' are the same alias.
+ * @param {*} alias - The alias.
+ * @returns {string} The normalized alias, or '' if the alias is not a string.
+ */
+export function normalizeAlias(alias) {
+  if (typeof alias !== "string") return "";
+  return alias.normalize("NFKC").trim().toLowerCase();
+}
+
+/**
+ * Checks whether an alias is reserved for the service or blocked by the operator.
+ * @param {*} alias - The alias.
+ * @param {string[]} [blocked=[]] - Additional aliases that may not be registered.
+ * @returns {boolean} True if the normalized alias is reserved or blocked.
+ */
+export function isReservedAlias(alias, blocked = []) {
+  const normalized = normalizeAlias(alias);
+  return (
+    RESERVED_ALIASES.includes(normalized) ||
+    blocked.map(normalizeAlias).includes(normalized)
+  );
+}
+
+/**
+ * Checks whether an alias may be registered.
+ * A normalized alias has 3 to 32 letters, digits, '_', '.' or '-', starting with a
+ * letter or digit, and is neither reserved nor blocked.
+ * @param {*} alias - The alias.
+ * @param {string[]} [blocked=[]] - Additional aliases that may not be registered.
+ * @returns {string|undefined} Why the alias cannot be registered, or undefined if it can.
+ */
+export function checkAlias(alias, blocked = []) {
+  const normalized = normalizeAlias(alias);
+  if (!ALIAS.test(normalized)) {
+    return "Alias must have 3 to 32 letters, digits, '_', '.' or '-', starting with a letter or digit.";
+  }
+  if (isReservedAlias(normalized, blocked)) return "Alias is reserved.";
+  return undefined;
+}
+
+/**
+ * Checks a profile update, which may set `displayName` (up to 64 characters),
+ * `bio` (up to 280) and `avatar` (a URL, up to 512). A field set to null is cleared.
+ * @param {Object} fields - The fields to update.
+ * @returns {string|undefined} Why the update is invalid, or undefined if it is valid.
+ */
+export function checkProfile(fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    const maxLength = PROFILE_FIELDS[field];
+    if (maxLength === undefined) return `Unknown profile field: ${field}`;
+    if (value === null) continue;
+    if (typeof value !== "string" || value.length > maxLength) {
+      return `${field} must be a string of at most ${maxLength} characters.`;
+    }
+  }
+  if (fields.avatar && !/^https?:\/\//.test(fields.avatar)) {
+    return "avatar must be an http(s) URL.";
+  }
+  return undefined;
+}
+
+/**
+ * Creates the user directory, which maps aliases to public keys and back and holds
+ * each user's public profile. Aliases are stored as `{ _id: normalizedAlias, alias, publicKey }`
+ * and profiles as `{ _id: publicKey, alias, displayName, bio, avatar, updatedAt }`.
+ *
+ * @param {Object} stores - The stores.
+ * @param {import("./storage.js").StorageAdapter} stores.aliasStore - The store holding the aliases.
+ * @param {import("./storage.js").StorageAdapter} stores.profileStore - The store holding the profiles.
+ * @param {Object} options - The options.
+ * @param {function(import("./storage.js").StorageAdapter, string): Promise<void>} options.pinEntry - Pins an entry written to a store.
+ * @returns {Object} The directory.
+ */
+export function createDirectory({ aliasStore, profileStore }, { pinEntry }) {
+  const claiming = new Set();
+
+  /**
+   * Writes a document and pins it.
+   * @async
+   * @param {import("./storage.js").StorageAdapter} store - The store.
+   * @param {Object} doc - The document.
+   * @returns {Promise<void>}
+   */
+  const save = async (store, doc) => {
+    const cid = await store.put(doc);
+    await pinEntry(store, cid);
+  };
+
+  const directory = {
+    /**
+     * Claims an alias for a public key. Claims of the same alias or key are handled
+     * one at a time, so two users cannot claim the same alias at once.
+     * @async
+     * @param {string} alias - The alias, as the user typed it.
+     * @param {string} publicKey - The public key.
+     * @param {function(string): Promise<boolean>} [isTaken] - Checks whether a normalized
+     * alias is taken outside the directory, e.g. by an account registered before it existed.
+     * @returns {Promise<string|undefined>} Why the alias cannot be claimed, or undefined if it was claimed.
+     */
+    async claim(alias, publicKey, isTaken = async () => false) {
+      const normalized = normalizeAlias(alias);
+      if (claiming.has(normalized) || claiming.has(publicKey)) {
+        return "Alias is already taken.";
+      }
+
+      claiming.add(normalized);
+      claiming.add(publicKey);
+      try {
+        if ((await aliasStore.get(normalized)) || (await isTaken(normalized))) {
+          return "Alias is already taken.";
+        }
+        if (await profileStore.get(publicKey)) {
+          return "Public key is already registered.";
+        }
+
+        await save(aliasStore, { _id: normalized, alias, publicKey });
+        await save(profileStore, {
+          _id: publicKey,
+          alias: normalized,
+          updatedAt: Date.now(),
+        });
+        return undefined;
+      } finally {
+        claiming.delete(normalized);
+        claiming.delete(publicKey);
+      }
+    },
+
+    /**
+     * Claims the aliases of existing accounts, so that accounts registered before the
+     * directory existed, or before aliases were normalized, keep their alias: a
+     * legacy account 'Alice' then blocks the registration of 'alice'. Accounts
+     * whose alias or key is already in the directory are skipped.
+     * @async
+     * @param {Object[]} accounts - The account documents, `{ _id: alias, publicKey }`.
+     * @returns {Promise<number>} The number of claimed aliases.
+     */
+    async claimAccounts(accounts) {
+      let claimed = 0;
+      for (const { _id, publicKey } of accounts) {
+        if (!(await directory.claim(_id, publicKey))) claimed++;
+      }
+      return claimed;
+    },
+
+    /**
+     * Looks up a user by alias.
+     * @async
+     * @param {string} alias - The alias, in any form that normalizes to it.
+     * @returns {Promise<Object|undefined>} The user's profile, including `alias` and `publicKey`, or undefined.
+     */
+    async findByAlias(alias) {
+      const entry = await aliasStore.get(normalizeAlias(alias));
+      return entry && directory.findByPublicKey(entry.publicKey);
+    },
+
+    /**
+     * Looks up a user by public key.
+     * @async
+     * @param {string} publicKey - The public key.
+     * @returns {Promise<Object|undefined>} The user's profile, including `alias` and `publicKey`, or undefined.
+     */
+    async findByPublicKey(publicKey) {
+      const profile = await profileStore.get(publicKey);
+      if (!profile) return undefined;
+
+      const { _id, ...fields } = profile;
+      return { ...fields, publicKey: _id };
+    },
+
+    /**
+     * Updates the public profile of a user. Fields set to null are removed.
+     * @async
+     * @param {string} publicKey - The public key of the user.
+     * @param {Object} fields - The fields to update, checked with `checkProfile`.
+     * @returns {Promise<Object|undefined>} The updated profile, or undefined if the user has none.
+     */
+    async updateProfile(publicKey, fields) {
+      const profile = await profileStore.get(publicKey);
+      if (!profile) return undefined;
+
+      const updated = { ...profile, ...fields, updatedAt: Date.now() };
+      for (const [field, value] of Object.entries(fields)) {
+        if (value === null) delete updated[field];
+      }
+      await save(profileStore, updated);
+      return directory.findByPublicKey(publicKey);
+    },
+
+    /**
+     * Moves a user's alias and profile to a new public key.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} oldKey - The old public key.
+     * @param {string} newKey - The new public key.
+     * @returns {Promise<void>}
+     */
+    async moveKey(alias, oldKey, newKey) {
+      const normalized = normalizeAlias(alias);
+      const entry = await aliasStore.get(normalized);
+      if (entry?.publicKey === oldKey) {
+        await save(aliasStore, { ...entry, publicKey: newKey });
+      }
+
+      const profile = await profileStore.get(oldKey);
+      if (profile) {
+        await save(profileStore, { ...profile, _id: newKey });
+        await profileStore.del(oldKey);
+      }
+    },
+
+    /**
+     * Releases a user's alias and deletes their profile.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} publicKey - The public key of the user.
+     * @returns {Promise<void>}
+     */
+    async release(alias, publicKey) {
+      const normalized = normalizeAlias(alias);
+      const entry = await aliasStore.get(normalized);
+      if (entry?.publicKey === publicKey) await aliasStore.del(normalized);
+      if (await profileStore.get(publicKey)) await profileStore.del(publicKey);
+    },
+  };
+
+  return directory;
+}
@@ -0,0 +1,80 @@
+import sodium from "libsodium-wrappers";
+import { walkAccessRights } from "./acl.js";
+
+await sodium.ready;
+
+export const ENVELOPE_ALGORITHM = "xchacha20poly1305_ietf";
+
+/**
+ * Checks whether a value is a base64 string that decodes to the expected length.
+ * @param {*} value - The value.
+ * @param {number} [length] - The expected number of decoded bytes, if any.
+ * @returns {boolean} True if the value is valid base64 of that length.
+ */
+function isBase64(value, length) {
+  if (typeof value !== "string" || value === "") return false;
+  try {
+    const bytes = sodium.from_base64(value);
+    return length === undefined || bytes.length === length;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a value is an encrypted envelope. Envelopes are produced by
+ * clients, which encrypt the payload of a path with its data key:
+ * `{ v: 1, alg: 'xchacha20poly1305_ietf', keyVersion, nonce, ciphertext }`,
+ * with the nonce and ciphertext base64 encoded (URL-safe, no padding).
+ * The server cannot decrypt envelopes; it only checks their shape.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a well-formed envelope.
+ */
+export function isEnvelope(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    value.v === 1 &&
+    value.alg === ENVELOPE_ALGORITHM &&
+    Number.isInteger(value.keyVersion) &&
+    isBase64(
+      value.nonce,
+      sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
+    ) &&
+    isBase64(value.ciphertext)
+  );
+}
+
+/**
+ * Checks whether a value is a data key wrapped for a reader, i.e. a base64
+ * `crypto_box_seal` of a 32 byte key to the reader's X25519 public key.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value has the size of a sealed data key.
+ */
+export function isWrappedKey(value) {
+  return isBase64(
+    value,
+    sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES +
+      sodium.crypto_box_SEALBYTES
+  );
+}
+
+/**
+ * Finds the ACL entry deciding whether a path is encrypted: the nearest entry on
+ * the path or its ancestors that has its `encrypted` flag set.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL store.
+ * @param {string} path - The path.
+ * @returns {Promise<Object|undefined>} The entry, or undefined if the path is not encrypted.
+ */
+export async function findEncryptedAccessRights(aclStore, path) {
+  let found;
+  await walkAccessRights(aclStore, `${path}/`, (accessRights) => {
+    if (accessRights.encrypted === undefined) return undefined;
+    if (accessRights.encrypted) found = accessRights;
+    return true;
+  });
+  return found;
+}
@@ -0,0 +1,311 @@
+import { createPathQueue } from "./conditionalRequests.js";
+
+// How far in the future the state of a write may be; later writes are rejected
+export const MAX_DEFERRAL = 5 * 60 * 1000;
+
+/**
+ * Checks whether a value is a link to another node, `{ '#': soul }`.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is a link.
+ */
+export const isLink = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  Object.keys(value).length === 1 &&
+  typeof value["#"] === "string";
+
+/**
+ * Checks whether a value is a plain object, which is stored as a node of its own.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is a plain object other than a link.
+ */
+const isNodeValue = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  !Array.isArray(value) &&
+  !isLink(value);
+
+/**
+ * Decides whether an incoming write of a field wins over the current one, with
+ * GUN's Hypothetical Amnesia Machine (HAM). The write with the later state wins;
+ * writes with the same state are ordered by their JSON, so that every peer picks
+ * the same winner. Writes from the future are deferred.
+ *
+ * @param {number} machineState - The current time of this server.
+ * @param {number} incomingState - The state of the incoming write.
+ * @param {number} currentState - The state of the current value, or -Infinity if there is none.
+ * @param {*} incomingValue - The incoming value.
+ * @param {*} currentValue - The current value.
+ * @returns {string} 'defer' if the incoming write is from the future, 'historical' if it is
+ * older than the current value, 'incoming' or 'current' for the winning value, or 'same'
+ * if both writes are the same.
+ */
+export function ham(
+  machineState,
+  incomingState,
+  currentState,
+  incomingValue,
+  currentValue
+) {
+  if (machineState < incomingState) return "defer";
+  if (incomingState < currentState) return "historical";
+  if (currentState < incomingState) return "incoming";
+
+  const incomingLexical = JSON.stringify(incomingValue) ?? "";
+  const currentLexical = JSON.stringify(currentValue) ?? "";
+  if (incomingLexical === currentLexical) return "same";
+  return incomingLexical > currentLexical ? "incoming" : "current";
+}
+
+/**
+ * Checks a value written with field-level merge: an object whose fields hold
+ * strings, numbers, booleans, null, links or nested objects.
+ * @param {*} value - The value.
+ * @returns {string|undefined} Why the value cannot be merged, or undefined if it can.
+ */
+export function checkNodeValue(value) {
+  if (!isNodeValue(value)) return "value must be an object.";
+
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (field === "" || field === "_" || field.includes("/")) {
+      return `Invalid field name: '${field}'`;
+    }
+    if (Array.isArray(fieldValue)) {
+      return `${field}: arrays are not supported, use an object keyed by id.`;
+    }
+    if (isNodeValue(fieldValue)) {
+      const error = checkNodeValue(fieldValue);
+      if (error) return `${field}.${error}`;
+    } else if (
+      fieldValue !== null &&
+      !isLink(fieldValue) &&
+      !["string", "number", "boolean"].includes(typeof fieldValue)
+    ) {
+      return `${field}: unsupported value.`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Splits a value into the nodes of a graph. Nested objects become nodes of their
+ * own, whose soul (path) is the parent's soul and the field name joined by '/',
+ * and are replaced by links to them. Every field gets the same state.
+ *
+ * @param {string} soul - The soul of the root node.
+ * @param {Object} value - The value, checked with `checkNodeValue`.
+ * @param {number} state - The state of the write, usually the writer's current time.
+ * @returns {Object<string, {data: Object, state: Object<string, number>}>} The nodes by soul.
+ */
+export function toGraph(soul, value, state) {
+  /** @type {Object<string, {data: Object, state: Object<string, number>}>} */
+  const graph = {};
+
+  const addNode = (nodeSoul, fields) => {
+    const node = { data: {}, state: {} };
+    graph[nodeSoul] = node;
+
+    for (const [field, fieldValue] of Object.entries(fields)) {
+      if (isNodeValue(fieldValue)) {
+        const childSoul = `${nodeSoul}/${field}`;
+        addNode(childSoul, fieldValue);
+        node.data[field] = { "#": childSoul };
+      } else {
+        node.data[field] = fieldValue;
+      }
+      node.state[field] = state;
+    }
+  };
+
+  addNode(soul, value);
+  return graph;
+}
+
+/**
+ * Checks the states of the nodes of a graph: writes from the future are deferred
+ * until their state is reached, but only up to `MAX_DEFERRAL` ahead of this server.
+ * @param {Object<string, {data: Object, state: Object<string, number>}>} graph - The nodes by soul.
+ * @param {number} [machineState=Date.now()] - The current time of this server.
+ * @returns {string|undefined} Why the graph cannot be merged, or undefined if it can.
+ */
+export function checkGraphStates(graph, machineState = Date.now()) {
+  for (const [soul, node] of Object.entries(graph)) {
+    for (const [field, state] of Object.entries(node.state)) {
+      if (state > machineState + MAX_DEFERRAL) {
+        return `${soul}.${field}: state is more than ${
+          MAX_DEFERRAL / 1000
+        } seconds in the future.`;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the node stored in a document. Documents written before field-level
+ * merge have no states: their fields count as written at state 0, and data
+ * other than an object is replaced by the first merge.
+ * @param {Object} [doc] - The stored document.
+ * @returns {{data: Object, state: Object<string, number>}} The node.
+ */
+export function nodeOf(doc) {
+  if (!isNodeValue(doc?.data)) return { data: {}, state: {} };
+
+  /** @type {Object<string, number>} */
+  const state = {};
+  for (const field of Object.keys(doc.data)) {
+    state[field] = doc.state?.[field] ?? 0;
+  }
+  return { data: { ...doc.data }, state };
+}
+
+/**
+ * Merges an incoming node into the current one, field by field (see `ham`).
+ * @param {{data: Object, state: Object<string, number>}} current - The current node.
+ * @param {{data: Object, state: Object<string, number>}} incoming - The incoming node.
+ * @param {number} machineState - The current time of this server.
+ * @returns {{node: Object, changed: string[], deferred: string[]}} The merged node, the
+ * fields taken from the incoming node and the fields deferred because their state is in the future.
+ */
+export function mergeNode(current, incoming, machineState) {
+  const node = { data: { ...current.data }, state: { ...current.state } };
+  const changed = [];
+  const deferred = [];
+
+  for (const [field, value] of Object.entries(incoming.data)) {
+    const result = ham(
+      machineState,
+      incoming.state[field],
+      current.state[field] ?? -Infinity,
+      value,
+      current.data[field]
+    );
+    if (result === "defer") {
+      deferred.push(field);
+    } else if (result === "incoming") {
+      node.data[field] = value;
+      node.state[field] = incoming.state[field];
+      changed.push(field);
+    }
+  }
+
+  return { node, changed, deferred };
+}
+
+/**
+ * Creates the graph of nodes kept in a store, as `{ _id: soul, data, state }`
+ * documents where `state` holds the HAM state of every field of `data`.
+ *
+ * @param {import("./storage.js").StorageAdapter} store - The store holding the nodes.
+ * @param {Object} [options={}] - The options.
+ * @param {{run: function(string, function(): Promise<*>): Promise<*>}} [options.writes] - The queue
+ * of writes to the store (see `createPathQueue`), shared with its other writers.
+ * @returns {Object} The graph.
+ */
+export function createGraph(store, { writes = createPathQueue() } = {}) {
+  // Merges into the same node are applied one at a time, so no update is lost
+  /**
+   * Merges an incoming node into the stored one and writes the result if it changed.
+   * @async
+   * @param {string} soul - The soul of the node.
+   * @param {Object} incoming - The incoming node.
+   * @param {number} machineState - The current time of this server.
+   * @returns {Promise<Object>} The merge result, with the written `doc` and its `hash` if it changed.
+   */
+  const mergeInto = async (soul, incoming, machineState) => {
+    const result = mergeNode(
+      nodeOf(await store.get(soul)),
+      incoming,
+      machineState
+    );
+    if (result.changed.length === 0) return result;
+
+    const doc = { _id: soul, data: result.node.data, state: result.node.state };
+    return { ...result, doc, hash: await store.put(doc) };
+  };
+
+  /**
+   * Merges deferred fields of a node once the latest of their states is reached.
+   * @param {string} soul - The soul of the node.
+   * @param {Object} incoming - The incoming node.
+   * @param {string[]} fields - The deferred fields.
+   * @param {Object} options - The options of the merge that deferred them.
+   */
+  const deferMerge = (
+    soul,
+    incoming,
+    fields,
+    { machineState, onDeferredMerge }
+  ) => {
+    const later = { data: {}, state: {} };
+    for (const field of fields) {
+      later.data[field] = incoming.data[field];
+      later.state[field] = incoming.state[field];
+    }
+    const delay = Math.max(...Object.values(later.state)) - machineState;
+
+    const timer = setTimeout(async () => {
+      try {
+        const results = await graph.merge(
+          { [soul]: later },
+          { onDeferredMerge }
+        );
+        // A timer may fire just before the state is reached, deferring the fields again
+        if (onDeferredMerge && results[soul].changed.length > 0) {
+          await onDeferredMerge(results);
+        }
+      } catch (error) {
+        console.error(`Deferred merge into ${soul} failed:`, error);
+      }
+    }, delay);
+    // Pending merges do not keep the process alive
+    timer.unref();
+  };
+
+  const graph = {
+    /**
+     * Returns a node.
+     * @async
+     * @param {string} soul - The soul of the node.
+     * @returns {Promise<{data: Object, state: Object<string, number>}|undefined>} The node, or undefined if there is none.
+     */
+    async get(soul) {
+      const doc = await store.get(soul);
+      return doc && nodeOf(doc);
+    },
+
+    /**
+     * Merges the nodes of a graph into the stored ones. Fields whose state is in
+     * the future are deferred and merged once their state is reached, as GUN does;
+     * check the graph with `checkGraphStates` first. Deferred fields are kept in
+     * memory only, so they are lost if the server stops before they are merged.
+     * @async
+     * @param {Object<string, {data: Object, state: Object<string, number>}>} graph - The nodes by soul.
+     * @param {Object} [options={}] - The options.
+     * @param {number} [options.machineState=Date.now()] - The current time of this server.
+     * @param {function(Object): Promise<void>} [options.onDeferredMerge] - Called with the
+     * results of each later merge of deferred fields, like those returned here.
+     * @returns {Promise<Object<string, {node: Object, changed: string[], deferred: string[], doc?: Object, hash?: string}>>}
+     * The merge result of every node by soul.
+     */
+    async merge(graph, { machineState = Date.now(), onDeferredMerge } = {}) {
+      /** @type {Object<string, Object>} */
+      const results = {};
+      for (const [soul, incoming] of Object.entries(graph)) {
+        results[soul] = await writes.run(soul, () =>
+          mergeInto(soul, incoming, machineState)
+        );
+
+        if (results[soul].deferred.length > 0) {
+          deferMerge(soul, incoming, results[soul].deferred, {
+            machineState,
+            onDeferredMerge,
+          });
+        }
+      }
+      return results;
+    },
+  };
+
+  return graph;
+}
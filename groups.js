@@ -0,0 +1,85 @@
+export const GROUP_PREFIX = "group:";
+
+const GROUP_NAME = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Checks whether a group name is valid: 1 to 64 letters, digits, '_', '.' or '-'.
+ * @param {*} name - The name.
+ * @returns {boolean} True if the name is valid.
+ */
+export const isValidGroupName = (name) =>
+  typeof name === "string" && GROUP_NAME.test(name);
+
+/**
+ * Returns the group name of a group reference such as 'group:team', as used in
+ * ACL access lists and group member lists.
+ * @param {string} principal - A public key, '*' or a group reference.
+ * @returns {string|null} The group name, or null if the principal is not a group reference.
+ */
+export function parseGroupReference(principal) {
+  if (typeof principal !== "string" || !principal.startsWith(GROUP_PREFIX)) {
+    return null;
+  }
+  return principal.slice(GROUP_PREFIX.length);
+}
+
+/**
+ * Creates the resolver of group memberships. Groups are stored as
+ * `{ _id: name, owner, members }`, where members are public keys or
+ * references to other groups.
+ *
+ * @param {import("./storage.js").StorageAdapter} groupStore - The store holding the groups.
+ * @returns {Object} The resolver.
+ */
+export function createGroups(groupStore) {
+  /**
+   * Returns every group reachable from a group through nested group members,
+   * including the group itself. Each group is visited once, so cycles end the walk.
+   * @async
+   * @param {string} name - The group name.
+   * @param {Set<string>} [visited] - The groups visited so far.
+   * @returns {Promise<Object[]>} The reachable groups.
+   */
+  const expand = async (name, visited = new Set()) => {
+    if (visited.has(name)) return [];
+    visited.add(name);
+
+    const group = await groupStore.get(name);
+    if (!group) return [];
+
+    const reachable = [group];
+    for (const member of group.members) {
+      const nested = parseGroupReference(member);
+      if (nested !== null) reachable.push(...(await expand(nested, visited)));
+    }
+    return reachable;
+  };
+
+  return {
+    get: (name) => groupStore.get(name),
+
+    /**
+     * Checks whether a public key is a member of a group, directly or through nested groups.
+     * @async
+     * @param {string} name - The group name.
+     * @param {string} publicKey - The public key.
+     * @returns {Promise<boolean>} True if the public key is a member.
+     */
+    async isMember(name, publicKey) {
+      const groups = await expand(name);
+      return groups.some((group) => group.members.includes(publicKey));
+    },
+
+    /**
+     * Checks whether adding a nested group to a group would make the group contain itself.
+     * @async
+     * @param {string} name - The group being added to.
+     * @param {string} nestedName - The group being added.
+     * @returns {Promise<boolean>} True if the nesting would create a cycle.
+     */
+    async wouldCycle(name, nestedName) {
+      const groups = await expand(nestedName);
+      return groups.some((group) => group._id === name);
+    },
+  };
+}
@@ -0,0 +1,345 @@
+import crypto from "crypto";
+import WebSocket from "ws";
+import { checkGraphStates } from "./graph.js";
+
+const DEDUP_WINDOW = 9 * 1000;
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Returns a new random message id.
+ * @returns {string} The id.
+ */
+const randomId = () => crypto.randomBytes(9).toString("base64url");
+
+/**
+ * Checks whether a value can be stored in a field of a GUN node: null, a
+ * string, a finite number, a boolean or a link `{ '#': soul }`.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is valid.
+ */
+const isValidValue = (value) =>
+  value === null ||
+  typeof value === "string" ||
+  typeof value === "boolean" ||
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 1 &&
+    typeof value["#"] === "string");
+
+/**
+ * Converts a node of the graph to the GUN wire format, `{ _: { '#': soul, '>': states }, ...fields }`.
+ * @param {string} soul - The soul of the node.
+ * @param {{data: Object, state: Object<string, number>}} node - The node.
+ * @param {string} [field] - The only field to include, if any.
+ * @returns {Object} The wire node.
+ */
+export function toWireNode(soul, { data, state }, field) {
+  const fields = field === undefined ? Object.keys(data) : [field];
+  const wire = { _: { "#": soul, ">": {} } };
+  for (const key of fields) {
+    if (!(key in data)) continue;
+    wire[key] = data[key];
+    wire._[">"][key] = state[key];
+  }
+  return wire;
+}
+
+/**
+ * Converts the nodes of a GUN put message to nodes of the graph.
+ * @param {Object} put - The `put` of the message, wire nodes by soul.
+ * @returns {{nodes?: Object, err?: string}} The nodes by soul, or why the put is invalid.
+ */
+export function fromWirePut(put) {
+  if (typeof put !== "object" || put === null) {
+    return { err: "Invalid graph: no nodes." };
+  }
+
+  const nodes = {};
+  for (const [soul, wire] of Object.entries(put)) {
+    const meta = wire?._;
+    if (!meta) return { err: `Invalid graph: '${soul}' has no meta.` };
+    if (meta["#"] !== soul) {
+      return { err: `Invalid graph: '${soul}' soul not same.` };
+    }
+    const states = meta[">"];
+    if (typeof states !== "object" || states === null) {
+      return { err: `Invalid graph: '${soul}' has no state.` };
+    }
+
+    const node = { data: {}, state: {} };
+    for (const [field, value] of Object.entries(wire)) {
+      if (field === "_") continue;
+      if (!Number.isFinite(states[field])) {
+        return { err: `Invalid graph: '${field}' on '${soul}' has no state.` };
+      }
+      if (!isValidValue(value)) {
+        return { err: `Invalid graph: '${field}' on '${soul}' is invalid.` };
+      }
+      node.data[field] = value;
+      node.state[field] = states[field];
+    }
+    nodes[soul] = node;
+  }
+  return { nodes };
+}
+
+/**
+ * Creates the tracker of message ids seen recently, so that a message relayed
+ * by several peers, or sent twice, is only handled once.
+ * @param {number} window - How long an id is remembered, in milliseconds.
+ * @returns {{check: function(string): boolean}} The tracker. `check` returns true if
+ * the id has been seen before, and remembers it otherwise.
+ */
+function createDup(window) {
+  const seen = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, time] of seen) {
+      if (time + window <= now) seen.delete(id);
+    }
+  }, window);
+  sweep.unref();
+
+  return {
+    check(id) {
+      if (seen.has(id)) return true;
+      seen.set(id, Date.now());
+      return false;
+    },
+  };
+}
+
+/**
+ * Attaches a WebSocket endpoint speaking GUN's wire protocol to an HTTP server,
+ * so that stock GUN clients can use this server as a peer. Clients pass their
+ * access token in the `token` query parameter; without one they can only read.
+ * A capability token may be passed in the `capability` query parameter, and is
+ * handed to `canRead` and `checkWrite` along with the user.
+ *
+ * `get` messages are answered with the requested node, or a field of it, and
+ * subscribe the client to later changes of the node. `put` messages are merged
+ * into the graph with HAM and acknowledged with `ok`, or with `err` if the
+ * message is invalid or any node in it may not be written. Messages are deduplicated
+ * by their '#' id and may be sent singly or batched in a JSON array.
+ *
+ * @param {import("http").Server} server - The HTTP server.
+ * @param {Object} options - The options.
+ * @param {string} options.path - The path of the endpoint, e.g. '/gun'.
+ * @param {Object} options.graph - The graph the nodes are read from and merged into (see `createGraph`).
+ * @param {Object} options.subscriptions - The registry of changes to the store of the graph (see `createSubscriptions`).
+ * @param {function(string): Promise<Object|undefined>} options.authenticate - Returns the user of an access token,
+ * or undefined if the token is invalid, expired or revoked.
+ * @param {function(Object|undefined, string, (string|null)): Promise<boolean>} options.canRead - Checks whether a user,
+ * or an anonymous client, may read a node, given the client's capability token.
+ * @param {function(Object, string, (string|null)): Promise<string|undefined>} options.checkWrite - Returns why a user
+ * may not write a node, given the client's capability token, or undefined if they may.
+ * @param {function(Object, Object): Promise<void>} options.onWrite - Called with every merge result
+ * that changed a node, and the writing user.
+ * @returns {{close: function(): void}} The endpoint.
+ */
+export function attachGunPeer(
+  server,
+  { path, graph, subscriptions, authenticate, canRead, checkWrite, onWrite }
+) {
+  const wss = new WebSocket.Server({
+    noServer: true,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+  const dup = createDup(DEDUP_WINDOW);
+  const pid = randomId();
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) return;
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      connect(
+        ws,
+        url.searchParams.get("token"),
+        url.searchParams.get("capability")
+      );
+    });
+  });
+
+  /**
+   * Handles a connected client.
+   * @param {WebSocket} ws - The connection.
+   * @param {string|null} token - The access token of the client.
+   * @param {string|null} capability - The capability token of the client.
+   */
+  const connect = (ws, token, capability) => {
+    const unsubscribes = new Map();
+
+    /**
+     * Sends a message to the client.
+     * @param {Object} msg - The message.
+     */
+    const say = (msg) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+    };
+
+    /**
+     * Returns the user of the client. The token is checked on every message, so
+     * expired and revoked tokens stop working.
+     * @async
+     * @returns {Promise<Object|undefined>} The user, or undefined for an anonymous client or an invalid token.
+     */
+    const getUser = async () => (token ? authenticate(token) : undefined);
+
+    /**
+     * Subscribes the client to the changes of a node it has read.
+     * @param {string} soul - The soul of the node.
+     */
+    const subscribe = (soul) => {
+      if (unsubscribes.has(soul)) return;
+      unsubscribes.set(
+        soul,
+        subscriptions.subscribe(
+          { path: soul, prefix: false },
+          async (change) => {
+            if (change.type !== "put") return;
+            const user = await getUser();
+            if (token && !user) return;
+            if (!(await canRead(user, soul, capability))) return;
+
+            const node = await graph.get(soul);
+            if (node) {
+              say({ "#": randomId(), put: { [soul]: toWireNode(soul, node) } });
+            }
+          }
+        )
+      );
+    };
+
+    /**
+     * Answers a `get` message with the node, or the field of it, it asks for.
+     * @async
+     * @param {Object} msg - The message.
+     */
+    const onGet = async (msg) => {
+      const soul = msg.get["#"];
+      const field = msg.get["."];
+      if (
+        typeof soul !== "string" ||
+        (field !== undefined && typeof field !== "string")
+      ) {
+        return say({
+          "#": randomId(),
+          "@": msg["#"],
+          err: "Unsupported query.",
+        });
+      }
+
+      const user = await getUser();
+      if (token && !user) {
+        return say({ "#": randomId(), "@": msg["#"], err: "Invalid token." });
+      }
+      if (!(await canRead(user, soul, capability))) {
+        return say({ "#": randomId(), "@": msg["#"], err: "Access denied." });
+      }
+
+      subscribe(soul);
+      const node = await graph.get(soul);
+      const wire = node && toWireNode(soul, node, field);
+      say({
+        "#": randomId(),
+        "@": msg["#"],
+        ...(wire && Object.keys(wire).length > 1 && { put: { [soul]: wire } }),
+      });
+    };
+
+    /**
+     * Merges the nodes of a `put` message into the graph and acknowledges it.
+     * @async
+     * @param {Object} msg - The message.
+     */
+    const onPut = async (msg) => {
+      const user = await getUser();
+      if (!user) {
+        return say({
+          "#": randomId(),
+          "@": msg["#"],
+          err: "Authentication required.",
+        });
+      }
+
+      const { nodes, err } = fromWirePut(msg.put);
+      if (err) return say({ "#": randomId(), "@": msg["#"], err });
+      const stateError = checkGraphStates(nodes);
+      if (stateError) {
+        return say({ "#": randomId(), "@": msg["#"], err: stateError });
+      }
+
+      for (const soul of Object.keys(nodes)) {
+        const reason = await checkWrite(user, soul, capability);
+        if (reason) {
+          return say({
+            "#": randomId(),
+            "@": msg["#"],
+            err: `${soul}: ${reason}`,
+          });
+        }
+      }
+
+      // Fields from the future are written once their state is reached
+      const recordMerge = async (results) => {
+        for (const result of Object.values(results)) {
+          if (result.doc) await onWrite(result, user);
+        }
+      };
+      await recordMerge(
+        await graph.merge(nodes, { onDeferredMerge: recordMerge })
+      );
+      say({ "#": randomId(), "@": msg["#"], ok: { "": 1 } });
+    };
+
+    /**
+     * Handles a message from the client, unless it has been seen before.
+     * @async
+     * @param {Object} msg - The message.
+     */
+    const hear = async (msg) => {
+      if (typeof msg !== "object" || msg === null) return;
+      if (typeof msg["#"] !== "string") msg["#"] = randomId();
+      if (dup.check(msg["#"])) return;
+
+      if (msg.dam === "?") {
+        if (!msg["@"]) say({ dam: "?", pid, "@": msg["#"] });
+        return;
+      }
+      // Acknowledgements of the changes pushed to the client need no answer
+      if (msg["@"] && !msg.get && !msg.put) return;
+
+      try {
+        if (msg.put) await onPut(msg);
+        else if (msg.get) await onGet(msg);
+      } catch (error) {
+        console.error("GUN message failed:", error);
+        say({ "#": randomId(), "@": msg["#"], err: "Server error" });
+      }
+    };
+
+    ws.on("message", (raw) => {
+      let msgs;
+      try {
+        msgs = JSON.parse(raw.toString());
+      } catch (error) {
+        return say({ dam: "!", err: "DAM JSON parse error." });
+      }
+      for (const msg of Array.isArray(msgs) ? msgs : [msgs]) hear(msg);
+    });
+
+    ws.on("close", () => {
+      for (const unsubscribe of unsubscribes.values()) unsubscribe();
+      unsubscribes.clear();
+    });
+
+    say({ dam: "?", pid });
+  };
+
+  return {
+    close: () => wss.close(),
+  };
+}
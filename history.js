@@ -0,0 +1,132 @@
+/**
+ * Returns the key of a version of a path in the history store. Versions are
+ * zero-padded, so that the versions of a path are listed in order.
+ * @param {string} path - The path.
+ * @param {number} version - The version number.
+ * @returns {string} The key, '<path>#<version>'.
+ */
+const versionKey = (path, version) =>
+  `${path}#${String(version).padStart(10, "0")}`;
+
+/**
+ * Strips a stored version down to what is listed for it.
+ * @param {Object} stored - The stored version.
+ * @returns {{version: number, hash: string, writer: string, timestamp: number, restoredFrom?: number}} The version.
+ */
+const describe = ({ version, hash, writer, timestamp, restoredFrom }) => ({
+  version,
+  hash,
+  writer,
+  timestamp,
+  ...(restoredFrom !== undefined && { restoredFrom }),
+});
+
+/**
+ * Creates the version history of the paths of the user store. Every write made
+ * through the API is recorded as a version `{ _id: '<path>#<version>', path, version,
+ * hash, writer, timestamp, doc }`, numbered from 1 for each path, where `doc` is the
+ * document written and `hash` its entry hash. Only the latest `maxVersions` versions
+ * of a path are kept.
+ *
+ * @param {import("./storage.js").StorageAdapter} historyStore - The store holding the versions.
+ * @param {Object} options - The options.
+ * @param {number} options.maxVersions - How many versions of a path are kept.
+ * @param {function(import("./storage.js").StorageAdapter, string): Promise<void>} options.pinEntry - Pins an entry written to a store.
+ * @returns {Object} The history.
+ */
+export function createHistory(historyStore, { maxVersions, pinEntry }) {
+  // Versions of the same path are recorded one at a time, so they get distinct numbers
+  const recording = new Map();
+
+  /**
+   * Returns the stored versions of a path, oldest first.
+   * @async
+   * @param {string} path - The path.
+   * @returns {Promise<Object[]>} The stored versions.
+   */
+  const listStored = async (path) =>
+    (await historyStore.listByPrefix(`${path}#`)).filter(
+      (stored) => stored.path === path
+    );
+
+  /**
+   * Records a version and drops the versions beyond `maxVersions`.
+   * @async
+   * @param {Object} doc - The document written.
+   * @param {Object} details - The details of the write.
+   * @returns {Promise<Object>} The recorded version.
+   */
+  const append = async (doc, { hash, writer, restoredFrom }) => {
+    const path = doc._id;
+    const stored = await listStored(path);
+    const version = (stored.at(-1)?.version ?? 0) + 1;
+
+    const recorded = {
+      _id: versionKey(path, version),
+      path,
+      version,
+      hash,
+      writer,
+      timestamp: Date.now(),
+      doc,
+      ...(restoredFrom !== undefined && { restoredFrom }),
+    };
+    const cid = await historyStore.put(recorded);
+    await pinEntry(historyStore, cid);
+
+    const excess = stored.length + 1 - maxVersions;
+    for (const old of stored.slice(0, Math.max(0, excess))) {
+      await historyStore.del(old._id);
+    }
+    return describe(recorded);
+  };
+
+  return {
+    /**
+     * Records a write to a path as its next version.
+     * @async
+     * @param {Object} doc - The document written, whose `_id` is the path.
+     * @param {Object} details - The details of the write.
+     * @param {string} details.hash - The entry hash of the write.
+     * @param {string} details.writer - The public key of the writing user.
+     * @param {number} [details.restoredFrom] - The version the write restored, if any.
+     * @returns {Promise<Object>} The recorded version, `{ version, hash, writer, timestamp }`.
+     */
+    record(doc, details) {
+      const recorded = (recording.get(doc._id) ?? Promise.resolve()).then(() =>
+        append(doc, details)
+      );
+      const settled = recorded.catch(() => {});
+      recording.set(doc._id, settled);
+      settled.then(() => {
+        if (recording.get(doc._id) === settled) recording.delete(doc._id);
+      });
+      return recorded;
+    },
+
+    /**
+     * Lists the versions of a path.
+     * @async
+     * @param {string} path - The path.
+     * @returns {Promise<Object[]>} The versions, `{ version, hash, writer, timestamp }`, newest first.
+     */
+    async list(path) {
+      return (await listStored(path)).reverse().map(describe);
+    },
+
+    /**
+     * Returns a version of a path, including the document written.
+     * @async
+     * @param {string} path - The path.
+     * @param {number} version - The version number.
+     * @returns {Promise<Object|undefined>} The version, `{ version, hash, writer, timestamp, doc }`,
+     * or undefined if it does not exist or is no longer kept.
+     */
+    async get(path, version) {
+      const stored = await historyStore.get(versionKey(path, version));
+      return stored?.path === path
+        ? { ...describe(stored), doc: stored.doc }
+        : undefined;
+    },
+  };
+}
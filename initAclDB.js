@@ -2,16 +2,21 @@ import { create } from "ipfs";
 import OrbitDB from "orbit-db";
 import Identities from "orbit-db-identity-provider";
 
+const orbitDBPath = process.env.ORBITDB_PATH || "./orbitdb";
+const keysPath = process.env.KEYS_PATH || "./keys";
+
+let serverOrbitDB;
 
-const orbitDBPath = process.env.ORBITDB_PATH || './orbitdb';
-const keysPath = process.env.KEYS_PATH || './keys';
 /**
- * Initializes the Access Control List (ACL) database.
+ * Creates the server's OrbitDB instance on first use and returns it.
+ * Stores opened on it can only be written to by the server's identity.
  * @async
- * @returns {void}
- * @throws {Error} If there is an error while creating the identity, initializing IPFS, creating the OrbitDB instance, or creating the ACL store.
+ * @returns {Promise<{orbitdb: Object, identity: Object}>} The OrbitDB instance and the server identity.
+ * @throws {Error} If there is an error while creating the identity, initializing IPFS or creating the OrbitDB instance.
  */
-export async function initAclDB() {
+async function getServerOrbitDB() {
+  if (serverOrbitDB) return serverOrbitDB;
+
   // Create an identity
   const identity = await Identities.createIdentity({
     id: "server", // This can be any string that uniquely identifies the server
@@ -38,7 +43,21 @@ export async function initAclDB() {
 
   console.log("Created OrbitDB instance with identity:", orbitdb.identity);
 
-  const aclStore = await orbitdb.docstore("acl_store", {
+  serverOrbitDB = { orbitdb, identity };
+  return serverOrbitDB;
+}
+
+/**
+ * Initializes a docstore that only the server can write to.
+ * @async
+ * @param {string} name - The name of the docstore.
+ * @returns {Promise<Object>} The loaded docstore.
+ * @throws {Error} If there is an error while creating the server's OrbitDB instance or the store.
+ */
+export async function initServerDB(name) {
+  const { orbitdb, identity } = await getServerOrbitDB();
+
+  const store = await orbitdb.docstore(name, {
     accessController: {
       type: "orbitdb", // Specify the type of access controller to use
       options: {
@@ -48,11 +67,22 @@ export async function initAclDB() {
   });
 
   console.log(
-    "Created store with access controller:",
-    aclStore.accessController
+    `Created ${name} store with access controller:`,
+    store.accessController
   );
 
-  await aclStore.load();
+  await store.load();
+  return store;
+}
+
+/**
+ * Initializes the Access Control List (ACL) database.
+ * @async
+ * @returns {Promise<Object>} The loaded ACL docstore.
+ * @throws {Error} If there is an error while creating the identity, initializing IPFS, creating the OrbitDB instance, or creating the ACL store.
+ */
+export async function initAclDB() {
+  const aclStore = await initServerDB("acl_store");
   console.log("ACL Store initialized");
 
   return aclStore;
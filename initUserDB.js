@@ -1,46 +1,15 @@
 import OrbitDB from "orbit-db";
 import { create } from "ipfs";
 
-import axios from "axios";
 import { config } from "dotenv";
 config();
 
 const orbitDBPath = process.env.ORBITDB_PATH || "./orbitdb";
 
-export async function pinHashToPinningService(hash) {
-  const pinataApiKey = process.env.PINATA_API_KEY;
-  if (!pinataApiKey) return null;
-
-  const pinataSecretApiKey = process.env.PINATA_API_SECRET;
-  const pinataJwt = process.env.PINATA_JWT;
-  const pinataBaseUrl = process.env.PINATA_BASE_URL;
-
-  const url = `${pinataBaseUrl}/pinning/pinByHash`;
-
-  const headers = {
-    "Content-Type": "application/json",
-    pinata_api_key: pinataApiKey,
-    pinata_secret_api_key: pinataSecretApiKey,
-    Authorization: `Bearer ${pinataJwt}`,
-  };
-
-  const data = {
-    hashToPin: hash,
-  };
-
-  try {
-    const response = await axios.post(url, data, { headers });
-    return response.data;
-  } catch (error) {
-    console.error("Error pinning hash to Pinata:", error);
-    throw error;
-  }
-}
-
 /**
  * Initializes the User database.
  * @async
- * @returns {void}
+ * @returns {Promise<Object>} The loaded users docstore.
  * @throws {Error} If there is an error while creating the IPFS instance.
  */
 export async function initUserDB() {
@@ -100,20 +69,5 @@ export async function initUserDB() {
   await db.load();
   console.log("Users Store initialized");
 
-  // Start keep-alive mechanism
-  startKeepAlive(db);
-
   return db;
 }
-
-function startKeepAlive(db) {
-  setInterval(async () => {
-    try {
-      // Perform a simple query to keep the connection alive
-      await db.get("");
-      console.log("Keep-alive query executed");
-    } catch (error) {
-      console.error("Keep-alive query failed:", error);
-    }
-  }, 5 * 60 * 1000); // Adjust the interval as necessary (e.g., every 5 minutes)
-}
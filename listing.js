@@ -0,0 +1,92 @@
+export const DEFAULT_LIST_LIMIT = 100;
+export const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Encodes the key of the last returned item as an opaque cursor.
+ * @param {string} key - The key of the last returned item.
+ * @returns {string} The cursor.
+ */
+export const encodeCursor = (key) => Buffer.from(key).toString("base64url");
+
+/**
+ * Decodes a cursor returned by a previous listing.
+ * @param {string} cursor - The cursor.
+ * @returns {string} The key of the last item returned by the previous page.
+ */
+export const decodeCursor = (cursor) =>
+  Buffer.from(cursor, "base64url").toString();
+
+/**
+ * Removes trailing slashes from a path, so that 'a/b/' and 'a/b' list the same node.
+ * @param {string} path - The path.
+ * @returns {string} The path without trailing slashes.
+ */
+export const trimPath = (path) => path.replace(/\/+$/, "");
+
+/**
+ * Fetches the entry stored at a child path. Hashed entries are stored with a
+ * trailing slash, so both forms are tried.
+ * @async
+ * @param {import("./pathIndex.js").IndexedStore} store - The store.
+ * @param {string} path - The child path.
+ * @returns {Promise<Object|null>} The entry, or null if the child only has descendants.
+ */
+const getChildEntry = async (store, path) =>
+  (await store.get(path)) ?? (await store.get(`${path}/`)) ?? null;
+
+/**
+ * Lists the children or all descendants of a path, one page at a time.
+ * Keys are paginated through the path index, so only the entries of the
+ * returned page are read from the store.
+ *
+ * @async
+ * @param {import("./pathIndex.js").IndexedStore} store - The store to list.
+ * @param {string} path - The parent path.
+ * @param {Object} [options] - The listing options.
+ * @param {string} [options.depth='children'] - 'children' for the direct children only, 'all' for every descendant.
+ * @param {number} [options.limit=DEFAULT_LIST_LIMIT] - The maximum number of items to return.
+ * @param {string} [options.cursor] - The cursor returned with the previous page.
+ * @param {string} [options.order='asc'] - 'asc' or 'desc', by key.
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} The page of `{ key, path, entry }`
+ * items and the cursor of the next page, or null if this is the last page.
+ */
+export async function listPath(store, path, options = {}) {
+  const {
+    depth = "children",
+    limit = DEFAULT_LIST_LIMIT,
+    cursor,
+    order = "asc",
+  } = options;
+
+  const parent = trimPath(path);
+  // The children of the root are the top-level paths
+  const prefix = parent === "" ? "" : `${parent}/`;
+
+  let keys =
+    depth === "all"
+      ? (await store.keysByPrefix(prefix)).map((id) => id.slice(prefix.length))
+      : await store.childKeys(parent);
+
+  if (order === "desc") keys.reverse();
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    keys = keys.filter((key) => (order === "desc" ? key < after : key > after));
+  }
+
+  const pageKeys = keys.slice(0, limit);
+  const items = await Promise.all(
+    pageKeys.map(async (key) => ({
+      key,
+      path: prefix + key,
+      entry:
+        depth === "all"
+          ? await store.get(prefix + key)
+          : await getChildEntry(store, prefix + key),
+    }))
+  );
+  const nextCursor =
+    keys.length > limit ? encodeCursor(pageKeys[pageKeys.length - 1]) : null;
+
+  return { items, nextCursor };
+}
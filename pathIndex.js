@@ -0,0 +1,190 @@
+/**
+ * Creates an empty node of the path index.
+ * @returns {{children: Map<string, Object>, id: string|null}} The node.
+ */
+const createNode = () => ({ children: new Map(), id: null });
+
+/**
+ * Creates a hierarchical index of document paths.
+ * Paths are split on '/' into a tree of segments, so that lookups only visit
+ * the part of the tree below the requested path instead of every document.
+ *
+ * @param {string[]} [ids=[]] - The paths to index initially.
+ * @returns {Object} The index.
+ */
+export function createPathIndex(ids = []) {
+  let root = createNode();
+  let size = 0;
+
+  const findNode = (path) => {
+    let node = root;
+    for (const segment of path.split("/")) {
+      node = node.children.get(segment);
+      if (!node) return null;
+    }
+    return node;
+  };
+
+  const collectIds = (node, ids) => {
+    if (node.id !== null) ids.push(node.id);
+    for (const child of node.children.values()) collectIds(child, ids);
+    return ids;
+  };
+
+  const index = {
+    /**
+     * Adds a path to the index.
+     * @param {string} id - The document path.
+     */
+    add(id) {
+      let node = root;
+      for (const segment of id.split("/")) {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, createNode());
+        }
+        node = node.children.get(segment);
+      }
+      if (node.id === null) size++;
+      node.id = id;
+    },
+
+    /**
+     * Removes a path from the index, pruning segments that no longer lead to a document.
+     * @param {string} id - The document path.
+     */
+    remove(id) {
+      const trail = [root];
+      const segments = id.split("/");
+      for (const segment of segments) {
+        const node = trail[trail.length - 1].children.get(segment);
+        if (!node) return;
+        trail.push(node);
+      }
+
+      const node = trail[trail.length - 1];
+      if (node.id === null) return;
+      node.id = null;
+      size--;
+
+      for (let i = segments.length; i > 0; i--) {
+        const current = trail[i];
+        if (current.id !== null || current.children.size > 0) break;
+        trail[i - 1].children.delete(segments[i - 1]);
+      }
+    },
+
+    /**
+     * Checks whether a document exists at exactly this path.
+     * @param {string} id - The document path.
+     * @returns {boolean} True if the path is indexed.
+     */
+    has(id) {
+      return findNode(id)?.id === id;
+    },
+
+    /**
+     * Returns the indexed paths starting with a prefix. The prefix does not have
+     * to end on a segment boundary, e.g. 'users/ab' matches 'users/abc/x'.
+     * @param {string} prefix - The path prefix.
+     * @returns {string[]} The matching paths, sorted.
+     */
+    idsByPrefix(prefix) {
+      const segments = prefix.split("/");
+      const partial = segments.pop();
+      const parent = segments.length ? findNode(segments.join("/")) : root;
+      if (!parent) return [];
+
+      const ids = [];
+      for (const [segment, child] of parent.children) {
+        if (segment.startsWith(partial)) collectIds(child, ids);
+      }
+      return ids.sort();
+    },
+
+    /**
+     * Returns the names of the direct children of a path, whether or not the
+     * children have a document of their own.
+     * @param {string} path - The parent path, without a trailing slash.
+     * @returns {string[]} The child segment names, sorted.
+     */
+    children(path) {
+      const node = path === "" ? root : findNode(path);
+      if (!node) return [];
+      return [...node.children.keys()].filter((key) => key !== "").sort();
+    },
+
+    /**
+     * Replaces the contents of the index.
+     * @param {string[]} ids - The paths to index.
+     */
+    rebuild(ids) {
+      root = createNode();
+      size = 0;
+      ids.forEach((id) => index.add(id));
+    },
+
+    /**
+     * @returns {number} The number of indexed paths.
+     */
+    size: () => size,
+  };
+
+  index.rebuild(ids);
+  return index;
+}
+
+/**
+ * The lookups a path index adds to a storage adapter.
+ *
+ * @typedef {Object} PathLookups
+ * @property {function(string): Promise<boolean>} has - Checks whether a document exists at the path.
+ * @property {function(string): Promise<string[]>} keysByPrefix - Returns the sorted paths starting with the prefix.
+ * @property {function(string): Promise<string[]>} childKeys - Returns the sorted child segment names of a path.
+ * @property {function(): Promise<number>} rebuildIndex - Rebuilds the index from the store and resolves to the number of indexed paths.
+ */
+
+/**
+ * A storage adapter whose path lookups are served by a path index.
+ * @typedef {import("./storage.js").StorageAdapter & PathLookups} IndexedStore
+ */
+
+/**
+ * Adds a path index to a store. The index is built from the store's contents,
+ * then kept in sync with every local and replicated change the store emits.
+ *
+ * @async
+ * @param {import("./storage.js").StorageAdapter} store - The store to index.
+ * @returns {Promise<IndexedStore>} The store, with index-backed prefix lookups.
+ */
+export async function withPathIndex(store) {
+  const index = createPathIndex();
+
+  const rebuildIndex = async () => {
+    const docs = await store.listByPrefix("");
+    index.rebuild(docs.map((doc) => doc._id));
+    console.log(`Path index rebuilt with ${index.size()} paths`);
+    return index.size();
+  };
+
+  await rebuildIndex();
+
+  store.events.on("change", ({ type, path }) => {
+    if (type === "put") index.add(path);
+    else index.remove(path);
+  });
+
+  return {
+    ...store,
+    has: async (key) => index.has(key),
+    keysByPrefix: async (prefix) => index.idsByPrefix(prefix),
+    childKeys: async (path) => index.children(path),
+    listByPrefix: async (prefix) => {
+      const ids = index.idsByPrefix(prefix);
+      const docs = await Promise.all(ids.map((id) => store.get(id)));
+      // A document missing from the store was removed without a change event
+      ids.forEach((id, i) => docs[i] === undefined && index.remove(id));
+      return docs.filter((doc) => doc !== undefined);
+    },
+    rebuildIndex,
+  };
+}
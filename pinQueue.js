@@ -0,0 +1,244 @@
+const POLL_INTERVAL = 5 * 1000;
+const RECENT_PINS = 1000;
+
+/**
+ * Strips a stored pin job down to its status.
+ * @param {Object} job - The stored job.
+ * @returns {{cid: string, provider: string, status: string, attempts: number, createdAt: number,
+ * updatedAt: number, nextAttemptAt?: number, pinnedAt?: number, lastError?: string}} The status.
+ */
+const describe = ({ _id, ...status }) => status;
+
+/**
+ * Creates the queue of CIDs to pin. Every CID is stored as a job, `{ _id: cid, cid,
+ * provider, status, attempts, ... }`, before the provider is asked to pin it, so pins
+ * are neither lost nor able to fail the write that asked for them, and pending jobs
+ * are resumed after a restart.
+ *
+ * A job is 'queued' until the provider pins the CID, when it is removed from the store,
+ * so that the store only holds pending and dead-letter jobs. The statuses of the
+ * last `RECENT_PINS` pinned CIDs are kept in memory, to answer `status`.
+ * Failed attempts are retried with exponential backoff; after `maxAttempts` the job
+ * becomes 'failed' and stays in the dead-letter list until it is retried.
+ *
+ * @param {import("./storage.js").StorageAdapter} pinStore - The store holding the jobs.
+ * @param {import("./pinning.js").PinningProvider} provider - The pinning provider.
+ * @param {Object} options - The options.
+ * @param {number} options.maxAttempts - How many times a CID is tried before its job fails.
+ * @param {number} options.retryBase - The delay before the first retry, in milliseconds.
+ * Each further retry doubles it.
+ * @param {number} options.retryMax - The longest delay between retries, in milliseconds.
+ * @returns {Object} The queue.
+ */
+export function createPinQueue(
+  pinStore,
+  provider,
+  { maxAttempts, retryBase, retryMax }
+) {
+  // When each queued job is due, by CID
+  const queued = new Map();
+  // The statuses of the CIDs pinned most recently, oldest first
+  const pinned = new Map();
+  let pollTimer;
+  let draining;
+
+  /**
+   * Asks the provider to pin the CID of a job and records the outcome.
+   * @async
+   * @param {Object} job - The stored job.
+   * @returns {Promise<void>}
+   */
+  const attempt = async (job) => {
+    const attempts = job.attempts + 1;
+    try {
+      await provider.pin(job.cid);
+      const now = Date.now();
+      pinned.delete(job.cid);
+      pinned.set(job.cid, {
+        cid: job.cid,
+        provider: job.provider,
+        status: "pinned",
+        attempts,
+        createdAt: job.createdAt,
+        updatedAt: now,
+        pinnedAt: now,
+      });
+      if (pinned.size > RECENT_PINS) {
+        pinned.delete(pinned.keys().next().value);
+      }
+      await pinStore.del(job._id);
+      queued.delete(job.cid);
+    } catch (error) {
+      const lastError = error.response
+        ? `${error.response.status} ${JSON.stringify(error.response.data)}`
+        : error.message;
+      console.error(
+        `Pinning ${job.cid} failed (attempt ${attempts}):`,
+        lastError
+      );
+
+      const now = Date.now();
+      const { nextAttemptAt, ...rest } = job;
+      if (attempts >= maxAttempts) {
+        await pinStore.put({
+          ...rest,
+          status: "failed",
+          attempts,
+          updatedAt: now,
+          lastError,
+        });
+        queued.delete(job.cid);
+        return;
+      }
+
+      const retryAt = now + Math.min(retryBase * 2 ** (attempts - 1), retryMax);
+      await pinStore.put({
+        ...rest,
+        attempts,
+        updatedAt: now,
+        nextAttemptAt: retryAt,
+        lastError,
+      });
+      queued.set(job.cid, retryAt);
+    }
+  };
+
+  /**
+   * Attempts every job that is due, one at a time, until none is left.
+   * Only one drain runs at a time.
+   * @async
+   * @returns {Promise<void>}
+   */
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      for (;;) {
+        const now = Date.now();
+        const due = [...queued]
+          .filter(([, dueAt]) => dueAt <= now)
+          .sort(([, a], [, b]) => a - b)
+          .map(([cid]) => cid);
+        if (due.length === 0) break;
+
+        for (const cid of due) {
+          const job = await pinStore.get(cid);
+          if (job?.status === "queued") await attempt(job);
+          else queued.delete(cid);
+        }
+      }
+    } catch (error) {
+      console.error("Pin queue failed:", error);
+    } finally {
+      draining = false;
+    }
+  };
+
+  /**
+   * Stores a job as queued and due now, and starts working on it.
+   * @async
+   * @param {string} cid - The CID.
+   * @param {number} createdAt - When the CID was first queued.
+   * @returns {Promise<Object>} The status of the job.
+   */
+  const queue = async (cid, createdAt) => {
+    const now = Date.now();
+    const job = {
+      _id: cid,
+      cid,
+      provider: provider.name,
+      status: "queued",
+      attempts: 0,
+      createdAt,
+      updatedAt: now,
+      nextAttemptAt: now,
+    };
+    // Jobs are bookkeeping of the pins themselves, so they are not pinned
+    await pinStore.put(job);
+    queued.set(cid, now);
+    drain();
+    return describe(job);
+  };
+
+  const pins = {
+    /**
+     * Queues a CID to be pinned, unless it is already queued or was pinned recently.
+     * A failed CID is queued again.
+     * @async
+     * @param {string} cid - The CID.
+     * @returns {Promise<Object>} The status of its job.
+     */
+    async enqueue(cid) {
+      const job = await pinStore.get(cid);
+      if (job && job.status !== "failed") return describe(job);
+      if (!job && pinned.has(cid)) return pinned.get(cid);
+      return queue(cid, job?.createdAt ?? Date.now());
+    },
+
+    /**
+     * Returns the status of the job of a CID.
+     * @async
+     * @param {string} cid - The CID.
+     * @returns {Promise<Object|undefined>} The status, or undefined if the CID was never
+     * queued or was pinned before the last `RECENT_PINS` pins or the last restart.
+     */
+    async status(cid) {
+      const job = await pinStore.get(cid);
+      return job ? describe(job) : pinned.get(cid);
+    },
+
+    /**
+     * Lists the dead-letter jobs, those that failed every attempt.
+     * @async
+     * @returns {Promise<Object[]>} Their statuses, most recently failed first.
+     */
+    async listFailed() {
+      return (await pinStore.listByPrefix(""))
+        .filter((job) => job.status === "failed")
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(describe);
+    },
+
+    /**
+     * Queues failed jobs again, with their attempts reset.
+     * @async
+     * @param {string[]} [cids] - The CIDs to retry; every failed job if omitted.
+     * @returns {Promise<string[]>} The CIDs queued again.
+     */
+    async retryFailed(cids) {
+      const failed = await pins.listFailed();
+      const retried = failed.filter(
+        (job) => cids === undefined || cids.includes(job.cid)
+      );
+      for (const job of retried) await queue(job.cid, job.createdAt);
+      return retried.map((job) => job.cid);
+    },
+
+    /**
+     * Resumes the jobs left queued by an earlier run and checks for due jobs periodically.
+     * Pinned jobs kept by earlier versions are removed.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async start() {
+      for (const job of await pinStore.listByPrefix("")) {
+        if (job.status === "queued") queued.set(job.cid, job.nextAttemptAt);
+        else if (job.status === "pinned") await pinStore.del(job._id);
+      }
+      if (queued.size > 0) console.log(`Resuming ${queued.size} queued pins`);
+
+      pollTimer = setInterval(drain, POLL_INTERVAL);
+      pollTimer.unref();
+      drain();
+    },
+
+    /**
+     * Stops checking for due jobs.
+     */
+    stop() {
+      clearInterval(pollTimer);
+    },
+  };
+
+  return pins;
+}
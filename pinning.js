@@ -0,0 +1,144 @@
+import axios from "axios";
+
+// Requests to pinning providers that take longer are treated as failed and retried
+const REQUEST_TIMEOUT = 30 * 1000;
+
+/**
+ * A service that keeps entries of the stores available on IPFS by pinning their CIDs.
+ *
+ * @typedef {Object} PinningProvider
+ * @property {string} name - 'pinata', 'pinning-service', 'ipfs' or 'none'.
+ * @property {function(string): Promise<void>} pin - Pins a CID; rejects if the provider does not accept it.
+ */
+
+/**
+ * Creates a provider pinning CIDs with Pinata's `pinByHash`.
+ * @param {Object} options - The options.
+ * @param {string} options.baseUrl - The base URL of the Pinata API, e.g. 'https://api.pinata.cloud'.
+ * @param {string} options.apiKey - The Pinata API key.
+ * @param {string} options.apiSecret - The Pinata API secret.
+ * @param {string} options.jwt - The Pinata JWT.
+ * @returns {PinningProvider} The provider.
+ */
+export function createPinataProvider({ baseUrl, apiKey, apiSecret, jwt }) {
+  return {
+    name: "pinata",
+    async pin(cid) {
+      await axios.post(
+        `${baseUrl}/pinning/pinByHash`,
+        { hashToPin: cid },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            pinata_api_key: apiKey,
+            pinata_secret_api_key: apiSecret,
+            Authorization: `Bearer ${jwt}`,
+          },
+          timeout: REQUEST_TIMEOUT,
+        }
+      );
+    },
+  };
+}
+
+/**
+ * Creates a provider pinning CIDs with a service implementing the IPFS Pinning
+ * Service API (https://ipfs.github.io/pinning-services-api-spec/), such as web3.storage or Filebase.
+ * @param {Object} options - The options.
+ * @param {string} options.endpoint - The API endpoint, e.g. 'https://api.example.com/psa'.
+ * @param {string} options.token - The access token.
+ * @returns {PinningProvider} The provider.
+ */
+export function createPinningServiceProvider({ endpoint, token }) {
+  return {
+    name: "pinning-service",
+    async pin(cid) {
+      await axios.post(
+        `${endpoint}/pins`,
+        { cid },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          timeout: REQUEST_TIMEOUT,
+        }
+      );
+    },
+  };
+}
+
+/**
+ * Creates a provider pinning CIDs on an IPFS node, such as Kubo, through its RPC API.
+ * @param {Object} options - The options.
+ * @param {string} options.apiUrl - The URL of the RPC API, e.g. 'http://127.0.0.1:5001'.
+ * @returns {PinningProvider} The provider.
+ */
+export function createIpfsProvider({ apiUrl }) {
+  return {
+    name: "ipfs",
+    async pin(cid) {
+      await axios.post(`${apiUrl}/api/v0/pin/add`, null, {
+        params: { arg: cid },
+        timeout: REQUEST_TIMEOUT,
+      });
+    },
+  };
+}
+
+/**
+ * Creates a provider that pins nothing, for deployments without a pinning service.
+ * @returns {PinningProvider} The provider.
+ */
+export function createNoopProvider() {
+  return {
+    name: "none",
+    async pin() {},
+  };
+}
+
+/**
+ * Creates the pinning provider selected by the `PINNING_PROVIDER` environment
+ * variable: 'pinata', 'pinning-service', 'ipfs' or 'none'. Without it, Pinata is
+ * used if `PINATA_API_KEY` is set, and nothing is pinned otherwise.
+ * @param {Object} [env=process.env] - The environment variables.
+ * @returns {PinningProvider} The provider.
+ * @throws {Error} If the provider is unknown or its settings are missing.
+ */
+export function createPinningProvider(env = process.env) {
+  const name = env.PINNING_PROVIDER || (env.PINATA_API_KEY ? "pinata" : "none");
+
+  switch (name) {
+    case "pinata":
+      if (!env.PINATA_API_KEY) {
+        throw new Error("PINATA_API_KEY is required");
+      }
+      return createPinataProvider({
+        baseUrl: env.PINATA_BASE_URL || "https://api.pinata.cloud",
+        apiKey: env.PINATA_API_KEY,
+        apiSecret: env.PINATA_API_SECRET,
+        jwt: env.PINATA_JWT,
+      });
+    case "pinning-service":
+      if (!env.PINNING_SERVICE_ENDPOINT || !env.PINNING_SERVICE_TOKEN) {
+        throw new Error(
+          "PINNING_SERVICE_ENDPOINT and PINNING_SERVICE_TOKEN are required"
+        );
+      }
+      return createPinningServiceProvider({
+        endpoint: env.PINNING_SERVICE_ENDPOINT.replace(/\/+$/, ""),
+        token: env.PINNING_SERVICE_TOKEN,
+      });
+    case "ipfs":
+      return createIpfsProvider({
+        apiUrl: (env.IPFS_API_URL || "http://127.0.0.1:5001").replace(
+          /\/+$/,
+          ""
+        ),
+      });
+    case "none":
+      return createNoopProvider();
+    default:
+      throw new Error(`Unknown pinning provider: ${name}`);
+  }
+}
@@ -0,0 +1,52 @@
+import { verifySignature } from "./acl.js";
+import { canonicalize } from "./signedRequests.js";
+
+/**
+ * Returns the message a writer signs to vouch for data written to a path: the
+ * canonical JSON of `{ data, op: 'write', path }`. The 'write' operation keeps
+ * these signatures apart from those of signed requests.
+ * @param {string} path - The path the data is stored under.
+ * @param {*} data - The data.
+ * @returns {string} The message to sign.
+ */
+export function provenanceMessage(path, data) {
+  return canonicalize({ data, op: "write", path });
+}
+
+/**
+ * Verifies the signature a writer sent with data and returns the provenance to
+ * store with it, `{ publicKey, signature }`, so that readers can check who wrote
+ * the data without trusting the server or its peers.
+ *
+ * @param {string} path - The path the data is stored under.
+ * @param {*} data - The data.
+ * @param {string|undefined} signature - The writer's detached Ed25519 signature over
+ * `provenanceMessage`, base64 encoded. Writes without one have no provenance.
+ * @param {string} publicKey - The public key of the writer.
+ * @returns {{provenance?: {publicKey: string, signature: string}, err?: string}} The provenance,
+ * none if the write is unsigned, or why the signature is rejected.
+ */
+export function verifyProvenance(path, data, signature, publicKey) {
+  if (signature === undefined) return {};
+
+  if (
+    typeof signature !== "string" ||
+    !verifySignature(provenanceMessage(path, data), signature, publicKey)
+  ) {
+    return { err: "Data signature verification failed." };
+  }
+  return { provenance: { publicKey, signature } };
+}
+
+/**
+ * Returns the document stored for a write, with its provenance if it is signed.
+ * @param {string} path - The path.
+ * @param {*} data - The data.
+ * @param {Object} [provenance] - The provenance returned by `verifyProvenance`.
+ * @returns {Object} The document, `{ _id, data, provenance? }`.
+ */
+export const toSignedDoc = (path, data, provenance) => ({
+  _id: path,
+  data,
+  ...(provenance && { provenance }),
+});
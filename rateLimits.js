@@ -0,0 +1,215 @@
+/**
+ * @typedef {Object} CounterStore
+ * @property {string} kind - 'memory' or 'storage'.
+ * @property {function(string, number): Promise<{count: number, resetAt: number}>} hit - Counts a hit
+ * on a key, starting a new window of the given length in milliseconds if none is open.
+ * @property {function(string): Promise<{count: number, resetAt: number}|undefined>} peek - Returns the
+ * open window of a key, if any.
+ * @property {function(string): Promise<void>} reset - Closes the window of a key.
+ */
+
+/**
+ * Creates a counter store that keeps counters in memory. Counters are lost on
+ * restart and not shared between server instances.
+ * @returns {CounterStore} The counter store.
+ */
+export function createMemoryCounterStore() {
+  const counters = new Map();
+
+  /**
+   * Returns the open window of a key, dropping it if it has expired.
+   * @param {string} key - The key.
+   * @param {number} now - The current time.
+   * @returns {Object|undefined} The counter of the open window.
+   */
+  const open = (key, now) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= now) {
+      counters.delete(key);
+      return undefined;
+    }
+    return counter;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    kind: "memory",
+
+    async hit(key, window) {
+      const now = Date.now();
+      const counter = open(key, now) || { count: 0, resetAt: now + window };
+      counter.count++;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async peek(key) {
+      const counter = open(key, Date.now());
+      return counter && { ...counter };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates a counter store that keeps counters in a storage adapter, so that they
+ * survive restarts. Expired counters are overwritten when hit again.
+ * @param {import("./storage.js").StorageAdapter} store - The store holding the counters.
+ * @returns {CounterStore} The counter store.
+ */
+export function createStorageCounterStore(store) {
+  /**
+   * Returns the open window of a key.
+   * @async
+   * @param {string} key - The key.
+   * @param {number} now - The current time.
+   * @returns {Promise<Object|undefined>} The counter document of the open window.
+   */
+  const open = async (key, now) => {
+    const counter = await store.get(key);
+    return counter && counter.resetAt > now ? counter : undefined;
+  };
+
+  return {
+    kind: "storage",
+
+    async hit(key, window) {
+      const now = Date.now();
+      const counter = (await open(key, now)) || {
+        _id: key,
+        count: 0,
+        resetAt: now + window,
+      };
+      const updated = { ...counter, count: counter.count + 1 };
+      await store.put(updated);
+      return { count: updated.count, resetAt: updated.resetAt };
+    },
+
+    async peek(key) {
+      const counter = await open(key, Date.now());
+      return counter && { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async reset(key) {
+      if (await store.get(key)) await store.del(key);
+    },
+  };
+}
+
+/**
+ * Sends a 429 response telling the client when to retry.
+ * @param {Object} res - The Express response object.
+ * @param {number} resetAt - When the client may retry, in milliseconds since the epoch.
+ * @param {string} [err] - The error message.
+ * @returns {void}
+ */
+export function sendTooManyRequests(
+  res,
+  resetAt,
+  err = "Too many requests. Try again later."
+) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ err, retryAfter });
+}
+
+/**
+ * Creates the rate limits and password lockouts of the auth routes.
+ *
+ * @param {CounterStore} counters - The counter store.
+ * @param {Object} options - The options.
+ * @param {number} options.window - The length of a rate limit window, in milliseconds.
+ * @param {number} options.lockoutThreshold - The number of failed attempts after which an alias is locked.
+ * @param {number} options.lockoutBase - How long the first lockout lasts, in milliseconds.
+ * Each further failed attempt doubles it.
+ * @param {number} options.lockoutMax - The longest lockout, in milliseconds.
+ * @returns {Object} The rate limits.
+ */
+export function createRateLimits(
+  counters,
+  { window, lockoutThreshold, lockoutBase, lockoutMax }
+) {
+  return {
+    /**
+     * Creates a middleware function allowing at most `limit` requests per window
+     * for each key, e.g. per IP address or per alias. Requests without a key are
+     * not limited.
+     * @param {string} name - The name of the limit, which namespaces its counters.
+     * @param {number} limit - The number of requests allowed per window.
+     * @param {function(Object): (string|undefined)} getKey - Returns the key of a request.
+     * @returns {Function} The middleware function.
+     */
+    limit(name, limit, getKey) {
+      return async (req, res, next) => {
+        const key = getKey(req);
+        if (!key) {
+          next();
+          return;
+        }
+
+        try {
+          const { count, resetAt } = await counters.hit(
+            `${name}:${key}`,
+            window
+          );
+          if (count > limit) {
+            return sendTooManyRequests(res, resetAt);
+          }
+          next();
+        } catch (error) {
+          console.error("Rate limit check failed:", error);
+          res.status(500).json({ err: "Server error during rate limit check" });
+        }
+      };
+    },
+
+    /**
+     * Returns when the lockout of an alias ends.
+     * @async
+     * @param {string} alias - The normalized alias.
+     * @returns {Promise<number|undefined>} The end of the lockout, or undefined if the alias is not locked.
+     */
+    async lockedUntil(alias) {
+      return (await counters.peek(`lockout:${alias}`))?.resetAt;
+    },
+
+    /**
+     * Records a failed login attempt for an alias, locking it once the threshold
+     * is reached.
+     * @async
+     * @param {string} alias - The normalized alias.
+     * @returns {Promise<number|undefined>} The end of the lockout the attempt started, if any.
+     */
+    async recordFailure(alias) {
+      const { count } = await counters.hit(`failures:${alias}`, lockoutMax);
+      if (count < lockoutThreshold) return undefined;
+
+      const duration = Math.min(
+        lockoutBase * 2 ** (count - lockoutThreshold),
+        lockoutMax
+      );
+      await counters.reset(`lockout:${alias}`);
+      return (await counters.hit(`lockout:${alias}`, duration)).resetAt;
+    },
+
+    /**
+     * Clears the failed login attempts of an alias after a successful login.
+     * @async
+     * @param {string} alias - The normalized alias.
+     * @returns {Promise<void>}
+     */
+    async recordSuccess(alias) {
+      await counters.reset(`failures:${alias}`);
+    },
+  };
+}
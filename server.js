@@ -2,12 +2,73 @@ import express from "express";
 import cors from "cors";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
-import { pinHashToPinningService, initUserDB } from "./initUserDB.js";
-import { initAclDB } from "./initAclDB.js";
+import {
+  initStorage,
+  openStore,
+  storageAdapter,
+  storagePath,
+} from "./storage.js";
+import { acquireServerLock } from "./serverLock.js";
+import { createTombstones } from "./tombstones.js";
+import { createSignedRequests } from "./signedRequests.js";
+import { createChallenges } from "./challenges.js";
+import { createSessions } from "./sessions.js";
+import {
+  createMemoryCounterStore,
+  createRateLimits,
+  createStorageCounterStore,
+  sendTooManyRequests,
+} from "./rateLimits.js";
+import { createAccounts, isAccount, userSpace } from "./accounts.js";
+import {
+  checkAlias,
+  checkProfile,
+  createDirectory,
+  isReservedAlias,
+  normalizeAlias,
+} from "./directory.js";
+import { createSubscriptions, openEventStream } from "./subscriptions.js";
+import { listPath, MAX_LIST_LIMIT, trimPath } from "./listing.js";
+import { applyBatch, MAX_BATCH_OPERATIONS } from "./batches.js";
+import { createHistory } from "./history.js";
+import {
+  checkGraphStates,
+  checkNodeValue,
+  createGraph,
+  toGraph,
+} from "./graph.js";
+import { attachGunPeer } from "./gunPeer.js";
+import { parseHashedPath, verifyContent } from "./contentHashes.js";
+import { toSignedDoc, verifyProvenance } from "./provenance.js";
+import { createPinningProvider } from "./pinning.js";
+import { createPinQueue } from "./pinQueue.js";
+import {
+  checkSnapshotFilter,
+  exportSnapshot,
+  IMPORT_MODES,
+  importSnapshot,
+} from "./snapshots.js";
+import {
+  createPathQueue,
+  evaluatePreconditions,
+  toEtag,
+} from "./conditionalRequests.js";
+import {
+  createAccessControl,
+  findOwner,
+  getOrCreateAccessRights,
+  isPublicKey,
+  setGrantExpiry,
+  verifySignature,
+} from "./acl.js";
+import { isWithinPath, verifyCapability } from "./capabilities.js";
+import { isValidGroupName, parseGroupReference } from "./groups.js";
+import {
+  findEncryptedAccessRights,
+  isEnvelope,
+  isWrappedKey,
+} from "./envelopes.js";
 import crypto from "crypto";
-import Gun from "gun";
-const SEA = Gun.SEA;
-
 import { config } from "dotenv";
 config();
 
@@ -17,8 +78,40 @@ import sodium from "libsodium-wrappers";
 await sodium.ready;
 
 const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret_key";
-
-let userDb, aclStore;
+const TOMBSTONE_RETENTION_DAYS = Number(
+  process.env.TOMBSTONE_RETENTION_DAYS || 30
+);
+const SIGNED_REQUEST_MAX_AGE_MINUTES = Number(
+  process.env.SIGNED_REQUEST_MAX_AGE_MINUTES || 5
+);
+const CHALLENGE_TTL = 2 * 60 * 1000;
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const ADMIN_PUBLIC_KEYS = (process.env.ADMIN_PUBLIC_KEYS || "")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+const BLOCKED_ALIASES = (process.env.BLOCKED_ALIASES || "")
+  .split(",")
+  .map((alias) => alias.trim())
+  .filter(Boolean);
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+const RATE_LIMIT_WINDOW_SECONDS = Number(
+  process.env.RATE_LIMIT_WINDOW_SECONDS || 60
+);
+const RATE_LIMIT_AUTH_PER_IP = Number(process.env.RATE_LIMIT_AUTH_PER_IP || 30);
+const RATE_LIMIT_TOKENS_PER_IP = Number(
+  process.env.RATE_LIMIT_TOKENS_PER_IP || 10
+);
+const RATE_LIMIT_PER_ALIAS = Number(process.env.RATE_LIMIT_PER_ALIAS || 5);
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD || 5);
+const LOCKOUT_BASE_SECONDS = Number(process.env.LOCKOUT_BASE_SECONDS || 60);
+const LOCKOUT_MAX_SECONDS = Number(process.env.LOCKOUT_MAX_SECONDS || 3600);
+const HISTORY_MAX_VERSIONS = Number(process.env.HISTORY_MAX_VERSIONS || 50);
+const PIN_MAX_ATTEMPTS = Number(process.env.PIN_MAX_ATTEMPTS || 8);
+const PIN_RETRY_BASE_SECONDS = Number(process.env.PIN_RETRY_BASE_SECONDS || 30);
+const PIN_RETRY_MAX_SECONDS = Number(process.env.PIN_RETRY_MAX_SECONDS || 3600);
+
+let stores, userDb, aclStore, groupStore;
 
 /**
  * Starts the server asynchronously.
@@ -28,11 +121,60 @@ let userDb, aclStore;
  */
 async function startServer() {
   try {
-    aclStore = await initAclDB();
-    userDb = await initUserDB();
+    // The stores are held in memory, so nothing else may change them meanwhile
+    if (storageAdapter !== "memory") await acquireServerLock(storagePath);
+    console.log(`Using ${storageAdapter} storage adapter`);
+    stores = await initStorage();
+    ({ aclStore, userDb, groupStore } = stores);
+    const subscriptions = createSubscriptions(userDb);
+    const access = createAccessControl(stores);
+    const tombstones = createTombstones(stores.tombstoneStore, {
+      retention: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    });
+    tombstones.startPurging();
+    const signedRequests = createSignedRequests(stores.nonceStore, {
+      maxAge: SIGNED_REQUEST_MAX_AGE_MINUTES * 60 * 1000,
+    });
+    signedRequests.startPurging();
+    const challenges = createChallenges(stores.challengeStore, {
+      ttl: CHALLENGE_TTL,
+    });
+    challenges.startPurging();
+    const sessions = createSessions(stores.sessionStore, {
+      ttl: SESSION_TTL,
+    });
+    sessions.startPurging();
+    const pins = createPinQueue(stores.pinStore, createPinningProvider(), {
+      maxAttempts: PIN_MAX_ATTEMPTS,
+      retryBase: PIN_RETRY_BASE_SECONDS * 1000,
+      retryMax: PIN_RETRY_MAX_SECONDS * 1000,
+    });
+    await pins.start();
+
+    if (RATE_LIMIT_STORE === "storage") {
+      stores.rateLimitStore = await openStore("rate_limits");
+    } else if (RATE_LIMIT_STORE !== "memory") {
+      throw new Error(`Unknown rate limit store: ${RATE_LIMIT_STORE}`);
+    }
+    const rateLimits = createRateLimits(
+      stores.rateLimitStore
+        ? createStorageCounterStore(stores.rateLimitStore)
+        : createMemoryCounterStore(),
+      {
+        window: RATE_LIMIT_WINDOW_SECONDS * 1000,
+        lockoutThreshold: LOCKOUT_THRESHOLD,
+        lockoutBase: LOCKOUT_BASE_SECONDS * 1000,
+        lockoutMax: LOCKOUT_MAX_SECONDS * 1000,
+      }
+    );
 
     const app = express();
 
+    // Behind a reverse proxy, req.ip is only the client's address if the proxy is trusted
+    if (process.env.TRUST_PROXY) {
+      app.set("trust proxy", process.env.TRUST_PROXY);
+    }
+
     // CORS configuration - REPLACE the simple app.use(cors()) with this:
     const corsOptions = {
       origin: [
@@ -48,7 +190,11 @@ async function startServer() {
         "X-Requested-With",
         "Accept",
         "Origin",
+        "X-Capability",
+        "If-Match",
+        "If-None-Match",
       ],
+      exposedHeaders: ["ETag"],
       credentials: true,
       optionsSuccessStatus: 200, // some legacy browsers (IE11, various SmartTVs) choke on 204
     };
@@ -60,15 +206,90 @@ async function startServer() {
 
     app.use(express.json({ limit: "50mb" }));
 
+    /**
+     * Queues a store entry to be pinned by the pinning provider. Only entries
+     * written to OrbitDB live on IPFS, so other storage adapters are skipped.
+     * The write has succeeded either way, so a failure to queue the pin is only logged.
+     * @async
+     * @param {Object} store - The storage adapter the entry was written to.
+     * @param {string} cid - The hash of the written entry.
+     * @returns {Promise<void>}
+     */
+    const pinEntry = async (store, cid) => {
+      if (store.kind !== "orbitdb") return;
+
+      try {
+        await pins.enqueue(cid);
+      } catch (error) {
+        console.error(`Failed to queue pin of ${cid}:`, error);
+      }
+    };
+
+    const accounts = createAccounts(stores, { pinEntry });
+    const directory = createDirectory(stores, { pinEntry });
+    const accountDocs = [];
+    for (const key of await userDb.childKeys("")) {
+      const doc = await userDb.get(key);
+      if (doc && isAccount(doc)) accountDocs.push(doc);
+    }
+    const claimedAliases = await directory.claimAccounts(accountDocs);
+    if (claimedAliases > 0) {
+      console.log(`Added ${claimedAliases} existing accounts to the directory`);
+    }
+    const history = createHistory(stores.historyStore, {
+      maxVersions: HISTORY_MAX_VERSIONS,
+      pinEntry,
+    });
+
+    /**
+     * Records a write to a path as its next version. The write has succeeded either
+     * way, so a failure to record the version is only logged.
+     * @async
+     * @param {Object} doc - The document written, whose `_id` is the path.
+     * @param {Object} details - The details of the write, as taken by `history.record`.
+     * @returns {Promise<Object|undefined>} The recorded version, or undefined if it could not be recorded.
+     */
+    const recordVersion = async (doc, details) => {
+      try {
+        return await recordVersion(doc, details);
+      } catch (error) {
+        console.error(`Failed to record the version of ${doc._id}:`, error);
+        return undefined;
+      }
+    };
+    // Writes to the same path of the user store are applied one at a time, so that
+    // a conditional write or a merge cannot be overtaken between reading and writing
+    const dataWrites = createPathQueue();
+    const graph = createGraph(userDb, { writes: dataWrites });
+
+    /**
+     * Returns the user document of an alias. Accounts are stored under their
+     * normalized alias; accounts registered before aliases were normalized are
+     * stored under the alias exactly as registered, which is tried first.
+     * @async
+     * @param {string} alias - The alias.
+     * @returns {Promise<Object|undefined>} The user document, or undefined if there is no such user.
+     */
+    const findUser = async (alias) => {
+      if (typeof alias !== "string" || alias === "") return undefined;
+      for (const id of [alias, normalizeAlias(alias)]) {
+        const doc = await userDb.get(id);
+        if (doc?.publicKey) return doc;
+      }
+      return undefined;
+    };
+
     /**
      * Middleware function for authenticating a user.
+     * Only access tokens of sessions that have not been revoked are accepted.
+     * @async
      * @param {Object} req - The Express request object.
      * @param {Object} res - The Express response object.
      * @param {Function} next - The next middleware function.
-     * @returns {void}
+     * @returns {Promise<void>}
      * @throws {Error} If the token is invalid.
      */
-    function authenticate(req, res, next) {
+    async function authenticate(req, res, next) {
       const token = req.headers.authorization?.split(" ")[1]; // Assuming 'Bearer TOKEN_STRING'
       if (!token) {
         return res
@@ -76,10 +297,9 @@ async function startServer() {
           .json({ err: "Access denied. No token provided." });
       }
 
+      let decoded;
       try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded; // Attaching user info to request object
-        next(); // Pass control to the next middleware function
+        decoded = jwt.verify(token, JWT_SECRET);
       } catch (ex) {
         console.error("Token error:", ex);
         if (ex.name === "TokenExpiredError") {
@@ -87,58 +307,337 @@ async function startServer() {
         }
         return res.status(401).json({ err: "Invalid token." });
       }
+
+      if (decoded.typ !== "access") {
+        return res.status(401).json({ err: "Invalid token." });
+      }
+
+      try {
+        if (!(await sessions.get(decoded.alias, decoded.sid))) {
+          return res.status(401).json({ err: "Session has been revoked." });
+        }
+      } catch (error) {
+        console.error("Session check failed:", error);
+        return res
+          .status(500)
+          .json({ err: "Server error during session check" });
+      }
+
+      req.user = decoded; // Attaching user info to request object
+      next(); // Pass control to the next middleware function
     }
 
     /**
-     * Middleware function for checking write access of a user.
-     * The check is only performed on paths that start with 'users/'.
-     * If the allowedPublicKeys array for a path includes the user's public key or '*',
-     * the user is granted write access. The '*' key represents access for any user.
-     * If the path does not start with 'users/', the request is allowed to proceed without checking the user's public key.
-     *
+     * Returns the user of an access token, for clients that do not send requests
+     * through Express.
      * @async
+     * @param {string} token - The access token.
+     * @returns {Promise<Object|undefined>} The decoded token, or undefined if the token is
+     * invalid or expired, or its session has been revoked.
+     */
+    const verifyAccessToken = async (token) => {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, JWT_SECRET);
+      } catch (error) {
+        return undefined;
+      }
+      if (decoded.typ !== "access") return undefined;
+      return (await sessions.get(decoded.alias, decoded.sid))
+        ? decoded
+        : undefined;
+    };
+
+    /**
+     * Middleware function for optionally authenticating a user.
+     * Requests without a token proceed anonymously, without `req.user`;
+     * requests with an invalid or expired token are rejected.
      * @param {Object} req - The Express request object.
      * @param {Object} res - The Express response object.
      * @param {Function} next - The next middleware function.
      * @returns {void}
+     */
+    function optionalAuthenticate(req, res, next) {
+      if (!req.headers.authorization) {
+        next();
+        return;
+      }
+      authenticate(req, res, next);
+    }
+
+    /**
+     * Middleware function for checking read access of a user to `req.body.path`,
+     * through the ACL or a capability token with read scope in the `X-Capability` header.
+     * Must run after `authenticate` or `optionalAuthenticate`.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {Promise<void>}
      * @throws {Error} If the access check fails.
      */
-    async function checkWriteAccess(req, res, next) {
-      let path = req.params.path + (req.params[0] ? req.params[0] : "") + "/";
+    async function checkReadAccess(req, res, next) {
+      const { path } = req.body;
+
+      if (typeof path !== "string") {
+        return res.status(400).json({ err: "Path is required" });
+      }
+
+      try {
+        if (
+          (await access.canRead(req.user?.pub, path)) ||
+          (await hasCapability(req, path, "read"))
+        ) {
+          next();
+          return;
+        }
+        res.status(403).json({ err: "Access denied." });
+      } catch (error) {
+        console.error("Access check failed:", error);
+        res.status(500).json({ err: "Server error during access check" });
+      }
+    }
+
+    /**
+     * Middleware function rejecting plaintext writes to encrypted paths.
+     * Data written to a path marked encrypted, or below one, must be an
+     * encrypted envelope. Must run after `checkWriteAccess`.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {Promise<void>}
+     * @throws {Error} If the encryption check fails.
+     */
+    async function checkEnvelope(req, res, next) {
+      const { path, value } = req.body;
+      let data = value;
+
+      // If data is an object with a value property, extract the value
+      if (typeof data === "object" && data !== null && "value" in data) {
+        data = data.value;
+      }
+
+      try {
+        const encryption = await findEncryptedAccessRights(aclStore, path);
+        if (encryption && !isEnvelope(data)) {
+          return res.status(400).json({
+            err: "Path is encrypted: data must be an encrypted envelope.",
+          });
+        }
+        next();
+      } catch (error) {
+        console.error("Encryption check failed:", error);
+        res.status(500).json({ err: "Server error during encryption check" });
+      }
+    }
+
+    /**
+     * Keeps only the items the user of a request may read, through the ACL
+     * or a capability token. Accounts are kept in the user store under their
+     * alias but are not data, so they are never readable.
+     * @async
+     * @param {Object[]} items - The items to filter.
+     * @param {function(Object): string} getPath - Returns the path of an item.
+     * @param {Object} req - The Express request object.
+     * @param {function(Object): (Object|null|undefined)} [getDoc] - Returns the stored
+     * document of an item, if any. Defaults to the item itself.
+     * @returns {Promise<Object[]>} The readable items.
+     */
+    const filterReadable = async (
+      items,
+      getPath,
+      req,
+      getDoc = (item) => item
+    ) => {
+      const readable = await Promise.all(
+        items.map(async (item) => {
+          const doc = getDoc(item);
+          if (doc && isAccount(doc)) return false;
+          return (
+            (await access.canRead(req.user?.pub, getPath(item))) ||
+            (await hasCapability(req, getPath(item), "read"))
+          );
+        })
+      );
+      return items.filter((item, i) => readable[i]);
+    };
 
-      // If the path does not start with 'users/', allow the request to proceed
-      if (!path.startsWith("users/")) {
+    /**
+     * Middleware function rejecting grants to groups that do not exist.
+     * Grants name a group with a 'group:<name>' reference in `req.body.publicKey`.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {Promise<void>}
+     * @throws {Error} If the group lookup fails.
+     */
+    async function checkGroupReference(req, res, next) {
+      const group = parseGroupReference(req.body.publicKey);
+      if (group === null) {
         next();
         return;
       }
 
-      const userPublicKey = req.user.pub;
+      try {
+        if (!(await access.groups.get(group))) {
+          return res.status(404).json({ err: "Group does not exist." });
+        }
+        next();
+      } catch (error) {
+        console.error("Group lookup failed:", error);
+        res.status(500).json({ err: "Server error during group lookup" });
+      }
+    }
+
+    /**
+     * Middleware function for restricting a route to administrators, i.e. users whose
+     * public key is listed in the `ADMIN_PUBLIC_KEYS` environment variable.
+     * Must run after `authenticate`.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     */
+    function authorizeAdmin(req, res, next) {
+      if (!ADMIN_PUBLIC_KEYS.includes(req.user.pub)) {
+        return res.status(403).json({ err: "Admin access required." });
+      }
+      next();
+    }
+
+    /**
+     * Middleware function validating the optional expiry time of a grant in
+     * `req.body.expiresAt`, which must be a future time in milliseconds since the epoch.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     */
+    function checkExpiresAt(req, res, next) {
+      const { expiresAt } = req.body;
+      if (
+        expiresAt !== undefined &&
+        (!Number.isInteger(expiresAt) || expiresAt <= Date.now())
+      ) {
+        return res
+          .status(400)
+          .json({ err: "expiresAt must be a future time in milliseconds." });
+      }
+      next();
+    }
+
+    /**
+     * Checks whether a capability token grants a user access to a path.
+     * @async
+     * @param {string|null|undefined} token - The capability token, if any.
+     * @param {Object|undefined} user - The user, or undefined for anonymous users.
+     * @param {string} path - The path being accessed.
+     * @param {string} scope - 'read', 'write' or 'delete'.
+     * @returns {Promise<boolean>} True if a valid token grants the access.
+     */
+    const holdsCapability = async (token, user, path, scope) => {
+      if (!token || !user) return false;
 
       try {
-        while (path !== "") {
-          // Retrieve access rights for the path
-          const accessRightsEntries = await aclStore.get(path); // This returns the access rights for the path
-          const accessRights = accessRightsEntries.find(
-            (ar) => ar._id === path
-          ); // Find the specific entry for the path
+        await verifyCapability(token, {
+          audience: user.pub,
+          path,
+          scope,
+          findOwner: (ownedPath) => findOwner(aclStore, ownedPath),
+        });
+        return true;
+      } catch (error) {
+        console.log(`Capability rejected for ${path}:`, error.message);
+        return false;
+      }
+    };
 
-          // Check if the user's public key (or '*') is allowed to write to this path
-          if (
-            accessRights &&
-            (accessRights.owner === userPublicKey ||
-              accessRights.allowedPublicKeys.includes(userPublicKey) ||
-              accessRights.allowedPublicKeys.includes("*")) // Allow access if '*' is present
-          ) {
-            next(); // User has access, proceed to the next middleware or route handler
-            return;
-          }
+    /**
+     * Checks whether the capability token in the `X-Capability` header of a request
+     * grants its user access to a path (see `holdsCapability`).
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {string} path - The path being accessed.
+     * @param {string} scope - 'read', 'write' or 'delete'.
+     * @returns {Promise<boolean>} True if a valid token grants the access.
+     */
+    const hasCapability = (req, path, scope) =>
+      holdsCapability(req.headers["x-capability"], req.user, path, scope);
 
-          // Trim the last segment of the path if no direct access rights are found
-          if (path.lastIndexOf("/") !== -1) {
-            path = path.substring(0, path.lastIndexOf("/"));
-          } else {
-            break; // Exit if the path cannot be trimmed further
-          }
+    /**
+     * Checks whether the entry at a path is a user account, which is only removed
+     * with its owner's data through `/delete-account`.
+     * @async
+     * @param {string} path - The path.
+     * @returns {Promise<boolean>} True if the entry is an account.
+     */
+    const isAccountPath = async (path) => {
+      const doc = await userDb.get(path);
+      return Boolean(doc) && isAccount(doc);
+    };
+
+    /**
+     * Checks whether data may be written at a path. Accounts are kept in the user
+     * store under their alias, so a top-level path that is the alias of an account,
+     * or a reserved or blocked alias, is not available for data.
+     * @async
+     * @param {string} path - The path.
+     * @returns {Promise<string|undefined>} Why data cannot be written at the path, or undefined if it can.
+     */
+    const checkDataPath = async (path) => {
+      const soul = trimPath(path);
+      if (soul.includes("/")) return undefined;
+      if (
+        isReservedAlias(soul, BLOCKED_ALIASES) ||
+        (await isAccountPath(soul))
+      ) {
+        return "Path is reserved for an account.";
+      }
+      return undefined;
+    };
+
+    /**
+     * Middleware function for checking write access of a user.
+     * The check is only performed on paths that start with 'users/'.
+     * If the allowedPublicKeys array for a path includes the user's public key, '*',
+     * or a group the user is a member of, the user is granted write access.
+     * The '*' key represents access for any user.
+     * Otherwise, a capability token with write scope for the path, sent in the
+     * `X-Capability` header, grants write access.
+     * If the path does not start with 'users/', the request is allowed to proceed without checking the user's public key.
+     * Paths reserved for accounts (see `checkDataPath`) are rejected for every user.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {Promise<void>}
+     * @throws {Error} If the access check fails.
+     */
+    async function checkWriteAccess(req, res, next) {
+      const { path } = req.body;
+
+      if (typeof path !== "string") {
+        return res.status(400).json({ err: "Path is required" });
+      }
+
+      try {
+        const pathError = await checkDataPath(path);
+        if (pathError) {
+          return res.status(403).json({ err: pathError });
+        }
+
+        if (
+          (await access.canWrite(req.user.pub, path)) ||
+          (await hasCapability(req, path, "write"))
+        ) {
+          next(); // User has access, proceed to the next middleware or route handler
+          return;
         }
 
         // If no access is found, deny the request
@@ -149,81 +648,122 @@ async function startServer() {
       }
     }
 
+    /**
+     * Returns the ACL entry of a path for an ACL change by the user of a request (see
+     * `getOrCreateAccessRights`). Paths outside 'users/' without an entry are shared
+     * by every user, so only an administrator may claim one.
+     * @async
+     * @param {string} path - The path.
+     * @param {Object} req - The Express request object.
+     * @returns {Promise<Object|undefined>} The ACL entry, or undefined if the path has
+     * no owner and the user may not claim it.
+     */
+    const accessRightsFor = (path, req) =>
+      getOrCreateAccessRights(
+        aclStore,
+        path,
+        ADMIN_PUBLIC_KEYS.includes(req.user.pub) ? req.user.pub : undefined
+      );
+
+    // Sent when a user asks to change the ACL of a shared path that has no owner
+    const UNOWNED_PATH =
+      "Path has no owner; only an administrator can claim it.";
+
     /**
      * Express route handler for adding write access to a user.
      * If the publicKey is '*', write access is granted to all users.
+     * If the publicKey is a group reference such as 'group:team', write access is
+     * granted to every member of the group.
+     * If the path has no ACL entry, one is created, owned by the owner of the path
+     * (see `accessRightsFor`). Only that owner may grant access.
      *
      * @async
      * @param {Object} req - The Express request object.
      * @param {Object} req.body - The body of the request.
      * @param {string} req.body.path - The path to which write access is being added.
      * @param {string} req.body.publicKey - The public key of the user to whom write access is being added. If this is '*', write access is granted to all users.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {number} [req.body.expiresAt] - When the grant expires, in milliseconds since the epoch. Omit for a permanent grant.
      * @param {Object} res - The Express response object.
      * @returns {void}
      * @throws {Error} If there is an error while adding write access.
      */
-    app.post("/add-write-access", authenticate, async (req, res) => {
-      const { path, publicKey, signature } = req.body;
-      const userPub = req.user.pub; // Owner's public key
-
-      try {
-        const accessRightsEntries = await aclStore.get(path);
-        let accessRights = accessRightsEntries.find((ar) => ar._id === path);
-
-        if (!accessRights) {
-          accessRights = {
-            _id: path,
-            owner: userPub,
-            allowedPublicKeys: [],
-          };
-        }
-
-        // Verify the signature
-        const msgToSign = `${path}-${publicKey}-grant`;
-        const msgBytes = sodium.from_string(msgToSign);
-        const signatureBytes = sodium.from_base64(signature);
-
-        if (!accessRights.owner) {
-          console.error("Owner public key is not set.");
-          return res.status(500).json({ err: "Owner public key is not set." });
-        }
-
-        const publicKeyBytes = sodium.from_base64(accessRights.owner); // Convert base64 public key to bytes
+    app.post(
+      "/add-write-access",
+      authenticate,
+      checkGroupReference,
+      checkExpiresAt,
+      async (req, res) => {
+        const { path, publicKey, expiresAt } = req.body;
+        const userPub = req.user.pub; // Owner's public key
 
-        const isValid = sodium.crypto_sign_verify_detached(
-          signatureBytes,
-          msgBytes,
-          publicKeyBytes
-        );
+        try {
+          // A new entry belongs to the owner of the path, never to whoever asks first
+          const accessRights = await accessRightsFor(path, req);
 
-        if (!isValid) {
-          return res.status(403).json({ err: "Signature verification failed" });
-        }
+          if (!accessRights) {
+            return res.status(403).json({ err: UNOWNED_PATH });
+          }
+          if (accessRights.owner !== userPub) {
+            return res
+              .status(403)
+              .json({ err: "Only the owner of the path can grant access." });
+          }
 
-        if (publicKey === "*") {
-          accessRights.allowedPublicKeys = ["*"];
-          const cid = await aclStore.put(accessRights);
-          const pinningServiceResponse = await pinHashToPinningService(cid);
-          console.log("PinningService:", pinningServiceResponse);
+          // Verify the signed request
+          const rejection = await signedRequests.verify(
+            "add-write-access",
+            req.body,
+            accessRights.owner
+          );
+          if (rejection) {
+            return res.status(403).json({ err: rejection });
+          }
 
-          return res.send({ message: "Write access granted to all users." });
-        }
+          if (publicKey === "*") {
+            accessRights.allowedPublicKeys = ["*"];
+            accessRights.expirations = {
+              ...accessRights.expirations,
+              allowedPublicKeys: {},
+            };
+            setGrantExpiry(accessRights, "allowedPublicKeys", "*", expiresAt);
+            const cid = await aclStore.put(accessRights);
+            await pinEntry(aclStore, cid);
+
+            return res.send({ message: "Write access granted to all users." });
+          }
 
-        if (!accessRights.allowedPublicKeys.includes(publicKey)) {
-          accessRights.allowedPublicKeys.push(publicKey);
-          const cid = await aclStore.put(accessRights);
-          const pinningServiceResponse = await pinHashToPinningService(cid);
-          console.log("PinningService:", pinningServiceResponse);
+          if (
+            !accessRights.allowedPublicKeys.includes(publicKey) ||
+            accessRights.expirations?.allowedPublicKeys?.[publicKey] !==
+              expiresAt
+          ) {
+            if (!accessRights.allowedPublicKeys.includes(publicKey)) {
+              accessRights.allowedPublicKeys.push(publicKey);
+            }
+            setGrantExpiry(
+              accessRights,
+              "allowedPublicKeys",
+              publicKey,
+              expiresAt
+            );
+            const cid = await aclStore.put(accessRights);
+            await pinEntry(aclStore, cid);
 
-          res.send({ message: "Write access granted successfully." });
-        } else {
-          res.send({ message: "Public key already has access." });
+            res.send({ message: "Write access granted successfully." });
+          } else {
+            res.send({ message: "Public key already has access." });
+          }
+        } catch (error) {
+          console.error("Error adding write access:", error);
+          res
+            .status(500)
+            .json({ err: "Server error while adding write access" });
         }
-      } catch (error) {
-        console.error("Error adding write access:", error);
-        res.status(500).json({ err: "Server error while adding write access" });
       }
-    });
+    );
 
     /**
      * Express route handler for removing write access from a user.
@@ -232,20 +772,20 @@ async function startServer() {
      * @param {Object} req.body - The body of the request.
      * @param {string} req.body.path - The path from which write access is being removed.
      * @param {string} req.body.publicKey - The public key of the user from whom write access is being removed.
-     * @param {string} req.body.signature - The cryptographic signature generated by the owner to authenticate the request.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
      * @param {Object} res - The Express response object.
      * @returns {void}
      * @throws {Error} If there is an error while removing write access.
      */
     app.post("/remove-write-access", authenticate, async (req, res) => {
-      const { path, publicKey, signature } = req.body;
+      const { path, publicKey } = req.body;
       const userPub = req.user.pub; // Owner's public key
 
       try {
-        // Retrieve all access rights entries for the path
-        const accessRightsEntries = await aclStore.get(path);
-        // Find the specific entry for the path
-        let accessRights = accessRightsEntries.find((ar) => ar._id === path);
+        // Retrieve the access rights entry for the path
+        const accessRights = await aclStore.get(path);
 
         // If no access rights entry exists for the path
         if (!accessRights) {
@@ -254,22 +794,14 @@ async function startServer() {
           });
         }
 
-        // Verify the signature to ensure the request comes from the owner
-        const msgToSign = `${path}-${publicKey}-revoke`;
-        const msgBytes = sodium.from_string(msgToSign);
-        const signatureBytes = sodium.from_base64(signature);
-        const publicKeyBytes = sodium.from_base64(accessRights.owner);
-
-        const isValid = sodium.crypto_sign_verify_detached(
-          signatureBytes,
-          msgBytes,
-          publicKeyBytes
+        // Verify the signed request to ensure it comes from the owner
+        const rejection = await signedRequests.verify(
+          "remove-write-access",
+          req.body,
+          accessRights.owner
         );
-
-        if (!isValid) {
-          return res
-            .status(403)
-            .json({ error: "Signature verification failed" });
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
         }
 
         // Check if the public key is actually in the allowed list
@@ -277,11 +809,11 @@ async function startServer() {
           // Filter out the public key to remove access
           accessRights.allowedPublicKeys =
             accessRights.allowedPublicKeys.filter((key) => key !== publicKey);
+          setGrantExpiry(accessRights, "allowedPublicKeys", publicKey);
 
           // Update the access rights in the store
           const cid = await aclStore.put(accessRights);
-          const pinningServiceResponse = await pinHashToPinningService(cid);
-          console.log("PinningService:", pinningServiceResponse);
+          await pinEntry(aclStore, cid);
 
           res.json({ message: "Write access removed successfully." });
         } else {
@@ -298,408 +830,2981 @@ async function startServer() {
     });
 
     /**
-     * Express route handler for requesting a temporary token.
+     * Express route handler for marking a path private or public.
+     * Private paths, and the paths below them, can only be read by their owner,
+     * their writers and readers granted through `/add-read-access`.
+     *
+     * @async
      * @param {Object} req - The Express request object.
      * @param {Object} req.body - The body of the request.
-     * @param {string} req.body.alias - The alias of the user requesting the token.
+     * @param {string} req.body.path - The path being marked.
+     * @param {boolean} req.body.private - True to make the path private, false to make it public.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If the alias is not provided.
+     * @throws {Error} If there is an error while updating the path.
      */
-    app.post("/request-token", (req, res) => {
-      const { alias } = req.body;
-      if (!alias) {
-        return res.status(400).json({ err: "Alias is required" });
+    app.post("/set-read-privacy", authenticate, async (req, res) => {
+      const { path } = req.body;
+      const isPrivate = req.body.private;
+
+      if (typeof path !== "string" || typeof isPrivate !== "boolean") {
+        return res
+          .status(400)
+          .json({ err: "Path and a boolean 'private' are required" });
       }
-      const token = jwt.sign({ alias, tempUser: true }, JWT_SECRET, {
-        expiresIn: "5m",
-      });
-      res.json({ token });
-    });
+
+      try {
+        const accessRights = await accessRightsFor(path, req);
+        if (!accessRights) {
+          return res.status(403).json({ err: UNOWNED_PATH });
+        }
+
+        const rejection = await signedRequests.verify(
+          "set-read-privacy",
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        accessRights.private = isPrivate;
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.json({
+          message: `Path marked ${isPrivate ? "private" : "public"}.`,
+        });
+      } catch (error) {
+        console.error("Error setting read privacy:", error);
+        res.status(500).json({ err: "Server error while setting privacy" });
+      }
+    });
+
+    /**
+     * Creates an Express route handler adding a public key to one of the access
+     * lists of a path's ACL entry, after verifying the owner's signed request for
+     * the 'add-${kind}-access' operation. Granting again replaces the expiry time
+     * of an existing grant. If the path has no ACL entry, one is created, owned by
+     * the owner of the path (see `accessRightsFor`).
+     *
+     * @param {string} field - The access list, e.g. 'allowedReaders'.
+     * @param {string} kind - The kind of access, e.g. 'read'.
+     * @returns {Function} The route handler.
+     */
+    const grantAccess = (field, kind) => async (req, res) => {
+      const { path, publicKey, expiresAt } = req.body;
+      const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+      try {
+        const accessRights = await accessRightsFor(path, req);
+        if (!accessRights) {
+          return res.status(403).json({ err: UNOWNED_PATH });
+        }
+
+        const rejection = await signedRequests.verify(
+          `add-${kind}-access`,
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        const allowed = accessRights[field] || [];
+        if (
+          allowed.includes(publicKey) &&
+          accessRights.expirations?.[field]?.[publicKey] === expiresAt
+        ) {
+          return res.send({
+            message: `Public key already has ${kind} access.`,
+          });
+        }
+
+        if (!allowed.includes(publicKey)) {
+          accessRights[field] = [...allowed, publicKey];
+        }
+        setGrantExpiry(accessRights, field, publicKey, expiresAt);
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.send({ message: `${label} access granted successfully.` });
+      } catch (error) {
+        console.error(`Error adding ${kind} access:`, error);
+        res
+          .status(500)
+          .json({ err: `Server error while adding ${kind} access` });
+      }
+    };
+
+    /**
+     * Creates an Express route handler removing a public key from one of the access
+     * lists of a path's ACL entry, after verifying the owner's signed request for
+     * the 'remove-${kind}-access' operation.
+     *
+     * @param {string} field - The access list, e.g. 'allowedReaders'.
+     * @param {string} kind - The kind of access, e.g. 'read'.
+     * @returns {Function} The route handler.
+     */
+    const revokeAccess = (field, kind) => async (req, res) => {
+      const { path, publicKey } = req.body;
+      const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+      try {
+        const accessRights = await aclStore.get(path);
+
+        if (!accessRights) {
+          return res.status(404).json({ err: "Path does not exist." });
+        }
+
+        const rejection = await signedRequests.verify(
+          `remove-${kind}-access`,
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        const allowed = accessRights[field] || [];
+        if (!allowed.includes(publicKey)) {
+          return res.status(404).json({
+            err: `Public key does not have ${kind} access to this path.`,
+          });
+        }
+
+        accessRights[field] = allowed.filter((key) => key !== publicKey);
+        setGrantExpiry(accessRights, field, publicKey);
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.json({ message: `${label} access removed successfully.` });
+      } catch (error) {
+        console.error(`Error removing ${kind} access:`, error);
+        res
+          .status(500)
+          .json({ err: `Server error while removing ${kind} access` });
+      }
+    };
+
+    /**
+     * Express route handler for granting read access to a user.
+     * If the publicKey is '*', read access is granted to all users.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path to which read access is being added.
+     * @param {string} req.body.publicKey - The public key of the user to whom read access is being added.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {number} [req.body.expiresAt] - When the grant expires, in milliseconds since the epoch. Omit for a permanent grant.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while adding read access.
+     */
+    app.post(
+      "/add-read-access",
+      authenticate,
+      checkGroupReference,
+      checkExpiresAt,
+      grantAccess("allowedReaders", "read")
+    );
+
+    /**
+     * Express route handler for revoking read access from a user.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path from which read access is being removed.
+     * @param {string} req.body.publicKey - The public key of the user from whom read access is being removed.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while removing read access.
+     */
+    app.post(
+      "/remove-read-access",
+      authenticate,
+      revokeAccess("allowedReaders", "read")
+    );
+
+    /**
+     * Express route handler for granting delete access to a user.
+     * Owners can always delete; writers need to be granted delete access explicitly.
+     * If the publicKey is '*', delete access is granted to all users.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path to which delete access is being added.
+     * @param {string} req.body.publicKey - The public key of the user to whom delete access is being added.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {number} [req.body.expiresAt] - When the grant expires, in milliseconds since the epoch. Omit for a permanent grant.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while adding delete access.
+     */
+    app.post(
+      "/add-delete-access",
+      authenticate,
+      checkGroupReference,
+      checkExpiresAt,
+      grantAccess("allowedDeleters", "delete")
+    );
+
+    /**
+     * Express route handler for revoking delete access from a user.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path from which delete access is being removed.
+     * @param {string} req.body.publicKey - The public key of the user from whom delete access is being removed.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while removing delete access.
+     */
+    app.post(
+      "/remove-delete-access",
+      authenticate,
+      revokeAccess("allowedDeleters", "delete")
+    );
+
+    /**
+     * Express route handler for creating a group owned by the user.
+     * Groups can be granted access to paths by passing 'group:<name>' as the public key
+     * to `/add-write-access`, `/add-read-access` or `/add-delete-access`.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.name - The group name: 1 to 64 letters, digits, '_', '.' or '-'.
+     * @param {string} req.body.signature - The user's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while creating the group.
+     */
+    app.post("/create-group", authenticate, async (req, res) => {
+      const { name } = req.body;
+
+      if (!isValidGroupName(name)) {
+        return res.status(400).json({ err: "Invalid group name." });
+      }
+
+      try {
+        const rejection = await signedRequests.verify(
+          "create-group",
+          req.body,
+          req.user.pub
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        if (await groupStore.get(name)) {
+          return res.status(409).json({ err: "Group already exists." });
+        }
+
+        const cid = await groupStore.put({
+          _id: name,
+          owner: req.user.pub,
+          members: [],
+        });
+        await pinEntry(groupStore, cid);
+
+        res.status(201).json({ message: "Group created successfully." });
+      } catch (error) {
+        console.error("Error creating group:", error);
+        res.status(500).json({ err: "Server error while creating group" });
+      }
+    });
+
+    /**
+     * Express route handler for deleting a group. Grants to the group are removed
+     * from every ACL entry, and the group from the members of other groups, so that
+     * a group created later under the same name does not inherit them (see
+     * `deleteGroup` in accounts.js).
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.name - The group name.
+     * @param {string} req.body.signature - The group owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while deleting the group.
+     */
+    app.post("/delete-group", authenticate, async (req, res) => {
+      const { name } = req.body;
+
+      try {
+        const group = await groupStore.get(name);
+        if (!group) {
+          return res.status(404).json({ err: "Group does not exist." });
+        }
+
+        const rejection = await signedRequests.verify(
+          "delete-group",
+          req.body,
+          group.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        await accounts.deleteGroup(name);
+        res.json({ message: "Group deleted successfully." });
+      } catch (error) {
+        console.error("Error deleting group:", error);
+        res.status(500).json({ err: "Server error while deleting group" });
+      }
+    });
+
+    /**
+     * Express route handler for adding a member to a group.
+     * The member is a public key, or a reference such as 'group:team' to nest another
+     * group, whose members then belong to this group too. Nesting that would make a
+     * group contain itself is rejected.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.name - The group name.
+     * @param {string} req.body.member - The public key or group reference to add.
+     * @param {string} req.body.signature - The group owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while adding the member.
+     */
+    app.post("/add-group-member", authenticate, async (req, res) => {
+      const { name, member } = req.body;
+
+      const nestedName = parseGroupReference(member);
+      if (
+        !isPublicKey(member) &&
+        !(nestedName !== null && isValidGroupName(nestedName))
+      ) {
+        return res.status(400).json({
+          err: "Member must be a public key or a 'group:<name>' reference.",
+        });
+      }
+
+      try {
+        const group = await groupStore.get(name);
+        if (!group) {
+          return res.status(404).json({ err: "Group does not exist." });
+        }
+
+        const rejection = await signedRequests.verify(
+          "add-group-member",
+          req.body,
+          group.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        if (group.members.includes(member)) {
+          return res.json({ message: "Member already in group." });
+        }
+
+        if (nestedName !== null) {
+          if (!(await groupStore.get(nestedName))) {
+            return res
+              .status(404)
+              .json({ err: "Nested group does not exist." });
+          }
+          if (await access.groups.wouldCycle(name, nestedName)) {
+            return res
+              .status(409)
+              .json({ err: "Nesting this group would create a cycle." });
+          }
+        }
+
+        group.members.push(member);
+        const cid = await groupStore.put(group);
+        await pinEntry(groupStore, cid);
+
+        res.json({ message: "Member added successfully." });
+      } catch (error) {
+        console.error("Error adding group member:", error);
+        res.status(500).json({ err: "Server error while adding group member" });
+      }
+    });
+
+    /**
+     * Express route handler for removing a member from a group.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.name - The group name.
+     * @param {string} req.body.member - The public key or group reference to remove.
+     * @param {string} req.body.signature - The group owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while removing the member.
+     */
+    app.post("/remove-group-member", authenticate, async (req, res) => {
+      const { name, member } = req.body;
+
+      try {
+        const group = await groupStore.get(name);
+        if (!group) {
+          return res.status(404).json({ err: "Group does not exist." });
+        }
+
+        const rejection = await signedRequests.verify(
+          "remove-group-member",
+          req.body,
+          group.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        if (!group.members.includes(member)) {
+          return res.status(404).json({ err: "Member is not in group." });
+        }
+
+        group.members = group.members.filter((m) => m !== member);
+        const cid = await groupStore.put(group);
+        await pinEntry(groupStore, cid);
+
+        res.json({ message: "Member removed successfully." });
+      } catch (error) {
+        console.error("Error removing group member:", error);
+        res
+          .status(500)
+          .json({ err: "Server error while removing group member" });
+      }
+    });
+
+    /**
+     * Express route handler for retrieving a group with its owner and direct members.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.name - The group name.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while retrieving the group.
+     */
+    app.post("/group", authenticate, async (req, res) => {
+      const { name } = req.body;
+
+      try {
+        const group = await groupStore.get(name);
+        if (!group) {
+          return res.status(404).json({ err: "Group does not exist." });
+        }
+        res.json({
+          name: group._id,
+          owner: group.owner,
+          members: group.members,
+        });
+      } catch (error) {
+        console.error("Error retrieving group:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for turning encrypted-data mode on or off for a path.
+     * Once a path is encrypted, data written to it or below it must be an
+     * encrypted envelope, whose data key readers fetch through `/fetch-key-wrap`.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path.
+     * @param {boolean} req.body.encrypted - True to require encrypted envelopes, false to allow plaintext again.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while updating the path.
+     */
+    app.post("/set-encryption", authenticate, async (req, res) => {
+      const { path, encrypted } = req.body;
+
+      if (typeof path !== "string" || typeof encrypted !== "boolean") {
+        return res
+          .status(400)
+          .json({ err: "Path and a boolean 'encrypted' are required" });
+      }
+
+      try {
+        const accessRights = await accessRightsFor(path, req);
+        if (!accessRights) {
+          return res.status(403).json({ err: UNOWNED_PATH });
+        }
+
+        const rejection = await signedRequests.verify(
+          "set-encryption",
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        accessRights.encrypted = encrypted;
+        accessRights.keyWraps = accessRights.keyWraps || {};
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.json({
+          message: `Encryption ${encrypted ? "enabled" : "disabled"}.`,
+        });
+      } catch (error) {
+        console.error("Error setting encryption:", error);
+        res.status(500).json({ err: "Server error while setting encryption" });
+      }
+    });
+
+    /**
+     * Express route handler for storing the data key of an encrypted path wrapped
+     * for a reader. The owner seals the path's data key to the reader's public key
+     * (converted to X25519) with `crypto_box_seal`, so the server never sees the key.
+     * A higher keyVersion than the path's current one marks a key rotation.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The encrypted path.
+     * @param {string} req.body.publicKey - The public key of the reader.
+     * @param {string} req.body.wrappedKey - The sealed data key, base64 encoded.
+     * @param {number} req.body.keyVersion - The version of the data key.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while storing the key wrap.
+     */
+    app.post("/add-key-wrap", authenticate, async (req, res) => {
+      const { path, publicKey, wrappedKey, keyVersion } = req.body;
+
+      if (!isWrappedKey(wrappedKey) || !Number.isInteger(keyVersion)) {
+        return res.status(400).json({
+          err: "A sealed data key and an integer keyVersion are required",
+        });
+      }
+
+      try {
+        const accessRights = await aclStore.get(path);
+        if (!accessRights?.encrypted) {
+          return res.status(409).json({ err: "Path is not encrypted." });
+        }
+
+        const rejection = await signedRequests.verify(
+          "add-key-wrap",
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        accessRights.keyWraps = {
+          ...accessRights.keyWraps,
+          [publicKey]: { wrappedKey, keyVersion },
+        };
+        accessRights.keyVersion = Math.max(
+          accessRights.keyVersion ?? keyVersion,
+          keyVersion
+        );
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.json({ message: "Key wrap stored successfully." });
+      } catch (error) {
+        console.error("Error adding key wrap:", error);
+        res.status(500).json({ err: "Server error while adding key wrap" });
+      }
+    });
+
+    /**
+     * Express route handler for removing a reader's wrapped data key from an encrypted path.
+     * Removing the wrap stops the server handing the key out; to keep the reader from
+     * decrypting new data the owner must also rotate the data key.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The encrypted path.
+     * @param {string} req.body.publicKey - The public key of the reader.
+     * @param {string} req.body.signature - The owner's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while removing the key wrap.
+     */
+    app.post("/remove-key-wrap", authenticate, async (req, res) => {
+      const { path, publicKey } = req.body;
+
+      try {
+        const accessRights = await aclStore.get(path);
+        if (!accessRights?.keyWraps?.[publicKey]) {
+          return res
+            .status(404)
+            .json({ err: "No key wrap for this public key and path." });
+        }
+
+        const rejection = await signedRequests.verify(
+          "remove-key-wrap",
+          req.body,
+          accessRights.owner
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        delete accessRights.keyWraps[publicKey];
+        const cid = await aclStore.put(accessRights);
+        await pinEntry(aclStore, cid);
+
+        res.json({ message: "Key wrap removed successfully." });
+      } catch (error) {
+        console.error("Error removing key wrap:", error);
+        res.status(500).json({ err: "Server error while removing key wrap" });
+      }
+    });
+
+    /**
+     * Express route handler for fetching the user's wrapped data key of an encrypted path.
+     * The key is looked up on the nearest encrypted ACL entry of the path or its ancestors.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path whose data key is fetched.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while fetching the key wrap.
+     */
+    app.post(
+      "/fetch-key-wrap",
+      authenticate,
+      checkReadAccess,
+      async (req, res) => {
+        const { path } = req.body;
+
+        try {
+          const accessRights = await findEncryptedAccessRights(aclStore, path);
+          if (!accessRights) {
+            return res.status(404).json({ err: "Path is not encrypted." });
+          }
+
+          const keyWrap = accessRights.keyWraps?.[req.user.pub];
+          if (!keyWrap) {
+            return res
+              .status(404)
+              .json({ err: "No key wrap for this public key and path." });
+          }
+
+          res.json({
+            path: accessRights._id,
+            currentKeyVersion: accessRights.keyVersion,
+            ...keyWrap,
+          });
+        } catch (error) {
+          console.error("Error fetching key wrap:", error);
+          res.status(500).json({ err: "Server error while fetching key wrap" });
+        }
+      }
+    );
+
+    /**
+     * Returns the client IP address of a request, for per-IP rate limits.
+     * @param {Object} req - The Express request object.
+     * @returns {string} The IP address.
+     */
+    const byIp = (req) => req.ip;
+
+    /**
+     * Returns the route and normalized alias of a request, for per-alias rate limits.
+     * @param {Object} req - The Express request object.
+     * @returns {string|undefined} The key, or undefined if the request has no alias.
+     */
+    const byAlias = (req) => {
+      const alias = normalizeAlias(req.body.alias);
+      return alias ? `${req.baseUrl}:${alias}` : undefined;
+    };
+
+    const limitPerAlias = rateLimits.limit(
+      "alias",
+      RATE_LIMIT_PER_ALIAS,
+      byAlias
+    );
+    // Login and registration routes, then the routes handing out tokens, are limited
+    // per IP address and per alias
+    app.use(
+      [
+        "/register",
+        "/authenticate",
+        "/authenticate-challenge",
+        "/refresh-token",
+      ],
+      rateLimits.limit("login-ip", RATE_LIMIT_AUTH_PER_IP, byIp),
+      limitPerAlias
+    );
+    app.use(
+      ["/request-token", "/request-challenge"],
+      rateLimits.limit("token-ip", RATE_LIMIT_TOKENS_PER_IP, byIp),
+      limitPerAlias
+    );
+
+    /**
+     * Express route handler for requesting a temporary token.
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.alias - The alias of the user requesting the token.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If the alias is not provided.
+     */
+    app.post("/request-token", (req, res) => {
+      const { alias } = req.body;
+      if (!alias) {
+        return res.status(400).json({ err: "Alias is required" });
+      }
+      const token = jwt.sign({ alias, tempUser: true }, JWT_SECRET, {
+        expiresIn: "5m",
+      });
+      res.json({ token });
+    });
+
+    /**
+     * Endpoint for user registration. It authenticates the temporary token, registers the user,
+     * creates a JWT token, sets up initial access control for the user, and sends a success response.
+     * If an error occurs during this process, it sends a JSON error response.
+     *
+     * @async
+     * @param {Object} req - The Express request object. The body should contain 'alias' and 'publicKey', and
+     * may contain 'hashedPassword'. Users registered without a password log in with `/request-challenge`
+     * and `/authenticate-challenge` only. The alias is normalized (see `normalizeAlias`) and must not be
+     * reserved or taken, by an account or by any other document stored at it; the public key must not
+     * be registered to another user.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there's an error during the registration process.
+     */
+    app.post("/register", authenticateTempToken, async (req, res) => {
+      const { alias, publicKey, hashedPassword } = req.body;
+
+      const aliasError = checkAlias(alias, BLOCKED_ALIASES);
+      if (aliasError) {
+        return res.status(400).json({ err: aliasError });
+      }
+      if (!isPublicKey(publicKey)) {
+        return res
+          .status(400)
+          .json({ err: "publicKey must be a base64 Ed25519 public key." });
+      }
+      const normalizedAlias = normalizeAlias(alias);
+
+      try {
+        if (await aclStore.get(userSpace(publicKey))) {
+          return res
+            .status(409)
+            .json({ err: "Public key is already registered." });
+        }
+
+        // Any document stored at the alias, not only an account, keeps it taken
+        const conflict = await directory.claim(
+          alias,
+          publicKey,
+          async () =>
+            Boolean(await findUser(alias)) ||
+            (await userDb.has(normalizedAlias))
+        );
+        if (conflict) {
+          return res.status(409).json({ err: conflict });
+        }
+
+        let cid;
+        try {
+          cid = await userDb.put({
+            _id: normalizedAlias,
+            publicKey,
+            ...(hashedPassword && { hashedPassword }),
+          });
+        } catch (error) {
+          // Without an account, the alias is not taken
+          await directory.release(alias, publicKey);
+          throw error;
+        }
+        await pinEntry(userDb, cid);
+
+        const { accessToken: token, refreshToken } = await generateTokens(
+          { _id: normalizedAlias, publicKey },
+          req
+        );
+
+        // Setting up initial access control for the user
+        const userPath = `users/${publicKey}`; // Adjust path as needed
+
+        console.log("Attempting to save ACL entry", {
+          _id: userPath,
+          owner: publicKey,
+          allowedPublicKeys: [publicKey],
+        });
+
+        const cid2 = await aclStore.put({
+          _id: userPath,
+          owner: publicKey,
+          allowedPublicKeys: [publicKey], // Initially allow only self
+        });
+        await pinEntry(aclStore, cid2);
+
+        res.json({
+          message: "User registered successfully",
+          alias: normalizedAlias,
+          token,
+          refreshToken,
+        });
+      } catch (error) {
+        console.error("Registration error:", error);
+        res.status(500).json({ err: "Server error during registration" });
+      }
+    });
+
+    /**
+     * Middleware function for authenticating a temporary token.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     * @throws {Error} If the token is invalid or expired.
+     */
+    function authenticateTempToken(req, res, next) {
+      const token = req.headers.authorization?.split(" ")[1];
+      if (!token) {
+        return res
+          .status(401)
+          .json({ err: "Access denied. No token provided." });
+      }
+
+      try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        if (!decoded.tempUser)
+          throw new Error("Invalid temporary token usage.");
+        req.user = decoded; // User information from token is now attached to the request
+        next();
+      } catch (error) {
+        res.status(400).json({ err: "Invalid or expired token." });
+      }
+    }
+
+    /**
+     * Signs the access and refresh tokens of a session. Both carry the user's alias
+     * and public key, and a `typ` claim so that neither can be used as the other:
+     * only access tokens authenticate requests, and only refresh tokens are accepted
+     * by `/refresh-token`.
+     * @param {Object} session - The session.
+     * @returns {{accessToken: string, refreshToken: string}} The tokens.
+     */
+    const signTokens = (session) => {
+      const claims = {
+        alias: session.alias,
+        pub: session.pub,
+        sid: session.id,
+      };
+
+      const accessToken = jwt.sign(
+        { ...claims, typ: "access" },
+        JWT_SECRET,
+        { expiresIn: "1h" } // Access token valid for 1 hour
+      );
+
+      const refreshToken = jwt.sign(
+        { ...claims, typ: "refresh", jti: session.refreshId },
+        JWT_SECRET,
+        { expiresIn: "7d" } // Refresh token valid for 7 days
+      );
+
+      console.log("Generated tokens for session:", session.id);
+
+      return { accessToken, refreshToken };
+    };
+
+    /**
+     * Starts a session for a user who has logged in and signs its tokens.
+     * @async
+     * @param {Object} user - The user document.
+     * @param {Object} req - The Express request object of the login.
+     * @returns {Promise<{accessToken: string, refreshToken: string}>} The tokens.
+     */
+    const generateTokens = async (user, req) => {
+      // Accounts registered before the directory existed are added on login
+      await directory.claim(user._id, user.publicKey);
+
+      const session = await sessions.start(
+        { alias: user._id, pub: user.publicKey },
+        req.headers["user-agent"]
+      );
+      return signTokens(session);
+    };
+
+    /**
+     * Express route handler for exchanging a refresh token for new tokens.
+     * The refresh token is rotated: the presented one stops working, and presenting
+     * it again revokes the session. Sessions of locked accounts cannot be refreshed.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.refreshToken - The refresh token.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while rotating the session.
+     */
+    app.post("/refresh-token", async (req, res) => {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(401).json({ err: "Refresh token is required" });
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, JWT_SECRET);
+      } catch (error) {
+        return res.status(403).json({ err: "Invalid refresh token" });
+      }
+      if (decoded.typ !== "refresh") {
+        return res.status(403).json({ err: "Invalid refresh token" });
+      }
+
+      try {
+        if ((await findUser(decoded.alias))?.locked) {
+          return res.status(403).json({ err: "Account is locked." });
+        }
+
+        const session = await sessions.rotate(
+          decoded.alias,
+          decoded.sid,
+          decoded.jti
+        );
+        if (!session) {
+          return res.status(403).json({ err: "Invalid refresh token" });
+        }
+        res.json(signTokens(session));
+      } catch (error) {
+        console.error("Refresh error:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for listing the user's active sessions.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while listing the sessions.
+     */
+    app.get("/sessions", authenticate, async (req, res) => {
+      try {
+        const userSessions = await sessions.list(req.user.alias);
+        res.json(
+          userSessions.map((session) => ({
+            id: session.id,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            userAgent: session.userAgent,
+            current: session.id === req.user.sid,
+          }))
+        );
+      } catch (error) {
+        console.error("Failed to list sessions:", error);
+        res.status(500).json({ err: "Server error while listing sessions" });
+      }
+    });
+
+    /**
+     * Express route handler for logging out of a session. Its access and refresh
+     * tokens stop working immediately.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} [req.body.sessionId] - The session to log out of; defaults to the current session.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while revoking the session.
+     */
+    app.post("/logout", authenticate, async (req, res) => {
+      const sessionId = req.body.sessionId || req.user.sid;
+
+      try {
+        if (!(await sessions.revoke(req.user.alias, sessionId))) {
+          return res.status(404).json({ err: "Session not found." });
+        }
+        res.json({ message: "Logged out successfully." });
+      } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ err: "Server error during logout" });
+      }
+    });
+
+    /**
+     * Express route handler for logging out of every session of the user,
+     * including the current one.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while revoking the sessions.
+     */
+    app.post("/logout-all", authenticate, async (req, res) => {
+      try {
+        const revoked = await sessions.revokeAll(req.user.alias);
+        res.json({ message: "Logged out of all sessions.", revoked });
+      } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ err: "Server error during logout" });
+      }
+    });
+
+    /**
+     * Express route handler for authenticating a user.
+     * Accounts locked with `fabstirdb-admin users lock` cannot log in.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.alias - The alias of the user trying to authenticate.
+     * @param {string} req.body.pass - The password of the user trying to authenticate.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error during authentication.
+     */
+    app.post("/authenticate", async (req, res) => {
+      const { alias, pass } = req.body;
+      try {
+        const lockedUntil = await rateLimits.lockedUntil(normalizeAlias(alias));
+        if (lockedUntil) {
+          return sendTooManyRequests(
+            res,
+            lockedUntil,
+            "Too many failed login attempts. Try again later."
+          );
+        }
+
+        const userData = await findUser(alias);
+        if (userData && !userData.hashedPassword) {
+          res
+            .status(401)
+            .json({ err: "Password login is not enabled for this user." });
+        } else if (userData) {
+          const isMatch = await bcrypt.compare(pass, userData.hashedPassword);
+          if (isMatch) {
+            await rateLimits.recordSuccess(normalizeAlias(alias));
+            if (userData.locked) {
+              return res.status(403).json({ err: "Account is locked." });
+            }
+            const tokens = await generateTokens(userData, req);
+            res.json({ message: "Authentication successful", ...tokens });
+          } else {
+            await rateLimits.recordFailure(normalizeAlias(alias));
+            res.status(401).json({ err: "Authentication failed" });
+          }
+        } else {
+          res.status(404).json({ err: "User not found" });
+        }
+      } catch (error) {
+        console.error("Authentication error:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for requesting a login challenge. The user answers it
+     * through `/authenticate-challenge` within two minutes.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.alias - The alias of the user logging in.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while issuing the challenge.
+     */
+    app.post("/request-challenge", async (req, res) => {
+      const { alias } = req.body;
+      if (!alias) {
+        return res.status(400).json({ err: "Alias is required" });
+      }
+
+      try {
+        const userData = await findUser(alias);
+        if (!userData?.publicKey) {
+          return res.status(404).json({ err: "User not found" });
+        }
+
+        res.json(await challenges.issue(alias));
+      } catch (error) {
+        console.error("Challenge error:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for authenticating a user by a signed login challenge,
+     * as an alternative to authenticating with a password. Locked accounts cannot log in.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.alias - The alias of the user trying to authenticate.
+     * @param {string} req.body.challenge - The challenge issued by `/request-challenge`.
+     * @param {string} req.body.signature - The user's signature over `${alias}-${challenge}-login`,
+     * made with the key registered in `/register`.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error during authentication.
+     */
+    app.post("/authenticate-challenge", async (req, res) => {
+      const { alias, challenge, signature } = req.body;
+      try {
+        const userData = await findUser(alias);
+        if (!userData?.publicKey) {
+          return res.status(404).json({ err: "User not found" });
+        }
+
+        if (
+          await challenges.answer(
+            alias,
+            challenge,
+            signature,
+            userData.publicKey
+          )
+        ) {
+          if (userData.locked) {
+            return res.status(403).json({ err: "Account is locked." });
+          }
+          const tokens = await generateTokens(userData, req);
+          res.json({ message: "Authentication successful", ...tokens });
+        } else {
+          res.status(401).json({ err: "Authentication failed" });
+        }
+      } catch (error) {
+        console.error("Authentication error:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for changing the user's password. The user's other
+     * sessions are logged out.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.hashedPassword - The bcrypt hash of the new password.
+     * @param {string} req.body.signature - The user's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while changing the password.
+     */
+    app.post("/change-password", authenticate, async (req, res) => {
+      const { hashedPassword } = req.body;
+      if (typeof hashedPassword !== "string" || hashedPassword === "") {
+        return res.status(400).json({ err: "hashedPassword is required" });
+      }
+
+      try {
+        const userData = await findUser(req.user.alias);
+        if (!userData) {
+          return res.status(404).json({ err: "User not found" });
+        }
+
+        const rejection = await signedRequests.verify(
+          "change-password",
+          req.body,
+          userData.publicKey
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        const cid = await userDb.put({ ...userData, hashedPassword });
+        await pinEntry(userDb, cid);
+        await sessions.revokeAll(req.user.alias, req.user.sid);
+
+        res.json({ message: "Password changed successfully." });
+      } catch (error) {
+        console.error("Error changing password:", error);
+        res.status(500).json({ err: "Server error while changing password" });
+      }
+    });
+
+    /**
+     * Express route handler for replacing the user's key pair, e.g. after the private
+     * key was compromised. The request is signed with the current key, and the new key
+     * proves possession by signing `${alias}-${oldPublicKey}-${newPublicKey}-rotate-key`.
+     * Data, ACL entries and groups move to the new key (see `createAccounts`), every
+     * session is logged out and a new session is started for the new key.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.newPublicKey - The new public key.
+     * @param {string} req.body.newKeySignature - The new key's signature over `${alias}-${oldPublicKey}-${newPublicKey}-rotate-key`.
+     * @param {string} req.body.signature - The current key's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while rotating the key.
+     */
+    app.post("/rotate-key", authenticate, async (req, res) => {
+      const { newPublicKey, newKeySignature } = req.body;
+      const { alias } = req.user;
+
+      try {
+        const userData = await findUser(alias);
+        if (!userData) {
+          return res.status(404).json({ err: "User not found" });
+        }
+        const oldPublicKey = userData.publicKey;
+
+        const rejection = await signedRequests.verify(
+          "rotate-key",
+          req.body,
+          oldPublicKey
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        if (
+          typeof newPublicKey !== "string" ||
+          newPublicKey === oldPublicKey ||
+          !verifySignature(
+            `${alias}-${oldPublicKey}-${newPublicKey}-rotate-key`,
+            newKeySignature,
+            newPublicKey
+          )
+        ) {
+          return res
+            .status(400)
+            .json({ err: "New key signature verification failed" });
+        }
+
+        if (
+          (await aclStore.get(userSpace(newPublicKey))) ||
+          (await userDb.keysByPrefix(`${userSpace(newPublicKey)}/`)).length > 0
+        ) {
+          return res.status(409).json({ err: "Public key is already in use." });
+        }
+
+        const migrated = await accounts.rotateKey(
+          alias,
+          oldPublicKey,
+          newPublicKey
+        );
+        await directory.moveKey(alias, oldPublicKey, newPublicKey);
+        await sessions.revokeAll(alias);
+        const tokens = await generateTokens(
+          { _id: alias, publicKey: newPublicKey },
+          req
+        );
+
+        res.json({
+          message: "Key rotated successfully.",
+          ...migrated,
+          ...tokens,
+        });
+      } catch (error) {
+        console.error("Error rotating key:", error);
+        res.status(500).json({ err: "Server error while rotating key" });
+      }
+    });
+
+    /**
+     * Express route handler for deleting the user's account, along with the data in
+     * the user's space, the ACL entries and the groups the user owns (see
+     * `createAccounts`). Every session is logged out. Deleted data is not kept as
+     * tombstones and cannot be restored.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.signature - The user's signature over the canonical message of the request (`signedMessage` in signedRequests.js).
+     * @param {string} req.body.nonce - A random string the signer has not used before.
+     * @param {number} req.body.timestamp - When the request was signed, in milliseconds since the epoch.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while deleting the account.
+     */
+    app.post("/delete-account", authenticate, async (req, res) => {
+      const { alias } = req.user;
+
+      try {
+        const userData = await findUser(alias);
+        if (!userData) {
+          return res.status(404).json({ err: "User not found" });
+        }
+
+        const rejection = await signedRequests.verify(
+          "delete-account",
+          req.body,
+          userData.publicKey
+        );
+        if (rejection) {
+          return res.status(403).json({ err: rejection });
+        }
+
+        const deleted = await accounts.deleteAccount(alias, userData.publicKey);
+        await directory.release(alias, userData.publicKey);
+        await sessions.revokeAll(alias);
+
+        res.json({ message: "Account deleted successfully.", ...deleted });
+      } catch (error) {
+        console.error("Error deleting account:", error);
+        res.status(500).json({ err: "Server error while deleting account" });
+      }
+    });
+
+    /**
+     * Express route handler for retrieving the Access Control List (ACL) entry for a user.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.alias - The alias of the user whose ACL entry is being retrieved.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while retrieving the ACL entry.
+     */
+    app.post("/acl", async (req, res) => {
+      const { alias } = req.body;
+
+      try {
+        const userCredentials = await findUser(alias);
+
+        if (userCredentials?.publicKey) {
+          res.json({ exists: true });
+        } else {
+          res.status(404).json({
+            exists: false,
+            err: "No user credentials found for the user.",
+          });
+        }
+      } catch (error) {
+        console.error("Failed to retrieve ACL entry:", error);
+        res.status(500).json({ err: "Server error" });
+      }
+    });
+
+    /**
+     * Express route handler for looking up a user in the directory, by alias or by
+     * public key, e.g. to find the public key to share a path with.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request, with either of:
+     * @param {string} [req.body.alias] - The alias of the user.
+     * @param {string} [req.body.publicKey] - The public key of the user.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error during the lookup.
+     */
+    app.post("/lookup-user", async (req, res) => {
+      const { alias, publicKey } = req.body;
+      if (!alias && !publicKey) {
+        return res.status(400).json({ err: "Alias or publicKey is required" });
+      }
+
+      try {
+        const profile = alias
+          ? await directory.findByAlias(alias)
+          : await directory.findByPublicKey(publicKey);
+        if (!profile) {
+          return res.status(404).json({ err: "User not found" });
+        }
+        res.json(profile);
+      } catch (error) {
+        console.error("User lookup failed:", error);
+        res.status(500).json({ err: "Server error during user lookup" });
+      }
+    });
+
+    /**
+     * Express route handler for updating the user's public profile.
+     * Fields that are left out are kept; fields set to null are cleared.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string|null} [req.body.displayName] - The display name, up to 64 characters.
+     * @param {string|null} [req.body.bio] - A short description, up to 280 characters.
+     * @param {string|null} [req.body.avatar] - The http(s) URL of an avatar image, up to 512 characters.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while updating the profile.
+     */
+    app.post("/update-profile", authenticate, async (req, res) => {
+      const profileError = checkProfile(req.body);
+      if (profileError) {
+        return res.status(400).json({ err: profileError });
+      }
+
+      try {
+        const profile = await directory.updateProfile(req.user.pub, req.body);
+        if (!profile) {
+          return res.status(404).json({ err: "Profile not found" });
+        }
+        res.json(profile);
+      } catch (error) {
+        console.error("Error updating profile:", error);
+        res.status(500).json({ err: "Server error while updating profile" });
+      }
+    });
+
+    /**
+     * Express route handler for fetching data based on a path.
+     * Responds with every entry whose path starts with the given path and
+     * that the user, if any, may read. Accounts are left out.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path of the data to be fetched.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while fetching the data.
+     */
+    app.post(
+      "/fetch-data",
+      optionalAuthenticate,
+      checkReadAccess,
+      async (req, res) => {
+        const { path } = req.body; // Extract path from request body
+
+        try {
+          console.log("Fetching data at path:", path);
+          const items = await filterReadable(
+            await userDb.listByPrefix(path),
+            (item) => item._id,
+            req
+          );
+          console.log("Fetched data:", items);
+          res.json(items);
+        } catch (error) {
+          console.error("Failed to fetch data:", error);
+          res.status(500).json({ err: "Server Error" });
+        }
+      }
+    );
+
+    /**
+     * Express route handler for listing the children or all descendants of a path.
+     * Results are paginated: pass the returned `nextCursor` to fetch the next page.
+     * Items the user may not read, and accounts, are left out of the page.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path whose children are listed.
+     * @param {string} [req.body.depth='children'] - 'children' for direct children only, 'all' for every descendant.
+     * @param {number} [req.body.limit=100] - The page size, at most 1000.
+     * @param {string} [req.body.cursor] - The `nextCursor` of the previous page.
+     * @param {string} [req.body.order='asc'] - 'asc' or 'desc', by key.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while listing the data.
+     */
+    app.post(
+      "/list-data",
+      optionalAuthenticate,
+      checkReadAccess,
+      async (req, res) => {
+        const { path, depth, limit, cursor, order } = req.body;
+
+        if (typeof path !== "string") {
+          return res.status(400).json({ err: "Path is required" });
+        }
+        if (depth !== undefined && !["children", "all"].includes(depth)) {
+          return res
+            .status(400)
+            .json({ err: "Depth must be 'children' or 'all'" });
+        }
+        if (order !== undefined && !["asc", "desc"].includes(order)) {
+          return res.status(400).json({ err: "Order must be 'asc' or 'desc'" });
+        }
+        if (
+          limit !== undefined &&
+          (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT)
+        ) {
+          return res.status(400).json({
+            err: `Limit must be an integer between 1 and ${MAX_LIST_LIMIT}`,
+          });
+        }
+
+        try {
+          const page = await listPath(userDb, path, {
+            depth,
+            limit,
+            cursor,
+            order,
+          });
+          page.items = await filterReadable(
+            page.items,
+            (item) => item.path,
+            req,
+            (item) => item.entry
+          );
+          res.json(page);
+        } catch (error) {
+          console.error("Failed to list data:", error);
+          res.status(500).json({ err: "Server Error" });
+        }
+      }
+    );
+
+    /**
+     * Verifies the hash in a path that includes one ('%23') against the data saved
+     * under it. See `parseHashedPath` in contentHashes.js for the hashes supported.
+     * @async
+     * @param {string} path - The path, e.g. '%23Fabstir214_users/<hash>/'.
+     * @param {*} data - The data saved under the path.
+     * @returns {Promise<{fullPath?: string, err?: string}>} The canonical path to save the data
+     * under, or why the path is malformed or its hash does not match the data.
+     */
+    const verifyHashedPath = async (path, data) => {
+      const hashedPath = parseHashedPath(path);
+      if (hashedPath.err) return hashedPath;
+
+      if (!(await verifyContent(hashedPath, data))) {
+        return {
+          err: "Hash mismatch: The provided hash does not match the calculated hash of the data.",
+        };
+      }
+      return { fullPath: hashedPath.path };
+    };
+
+    function encodeUriPathSegments(path) {
+      return path.split("/").map(encodeURIComponent).join("/");
+    }
+
+    /**
+     * Endpoint to save data at a specified path. If the path includes a hash,
+     * the data is saved under the hash after verifying that the provided hash
+     * matches the calculated hash of the data. If the path does not include a hash,
+     * the data is saved directly under the path. If the request carries a `dataSignature`,
+     * the writer's signature over the path and data (see `provenanceMessage` in provenance.js),
+     * it is verified and stored with the data as its provenance.
+     *
+     * @route POST /update-data
+     * @group Data - Operations related to data
+     * @param {object} request.body.required - The request body containing the path and data to save
+     * @returns {object} 201 - An object containing a message and the full path where the data was saved
+     * @throws {Error}  400 - Hash mismatch: The provided hash does not match the calculated hash of the data
+     * @throws {Error}  403 - Data signature verification failed
+     * @throws {Error}  409 - Data under this hash already exists
+     * @throws {Error}  500 - Server error while saving hashed data or Server Error
+     * @security JWT
+     */
+    app.post(
+      "/update-data",
+      authenticate,
+      checkWriteAccess,
+      checkEnvelope,
+      async (req, res) => {
+        const { path, value, dataSignature } = req.body;
+        let data = value;
+
+        // If data is an object with a value property, extract the value
+        if (typeof data === "object" && data !== null && "value" in data) {
+          data = data.value;
+        }
+
+        // Check if path includes a hash
+        if (path.includes("%23")) {
+          // Verify that the provided hash matches the calculated hash
+          const { fullPath, err } = await verifyHashedPath(path, data);
+          if (err) {
+            return res.status(400).json({ err });
+          }
+
+          const signed = verifyProvenance(
+            fullPath,
+            data,
+            dataSignature,
+            req.user.pub
+          );
+          if (signed.err) {
+            return res.status(403).json({ err: signed.err });
+          }
+
+          try {
+            await dataWrites.run(fullPath, async () => {
+              // Check if the data under this hash already exists to prevent duplicate entries under the same hash
+              if (await userDb.has(fullPath)) {
+                return res
+                  .status(409)
+                  .json({ err: "Data under this hash already exists." });
+              }
+
+              const cid = await userDb.put(
+                toSignedDoc(fullPath, data, signed.provenance)
+              );
+              await pinEntry(userDb, cid);
+
+              res.status(201).json({
+                message: "Data saved successfully under hash",
+                path: fullPath,
+              });
+            });
+          } catch (error) {
+            console.error("Error saving hashed data:", error);
+            res
+              .status(500)
+              .json({ err: "Server error while saving hashed data" });
+          }
+        } else {
+          // Regular data saving without hash
+          const signed = verifyProvenance(
+            path,
+            data,
+            dataSignature,
+            req.user.pub
+          );
+          if (signed.err) {
+            return res.status(403).json({ err: signed.err });
+          }
+
+          try {
+            const doc = toSignedDoc(path, data, signed.provenance);
+            const result = await dataWrites.run(path, () => userDb.put(doc));
+            await pinEntry(userDb, result);
+            await recordVersion(doc, { hash: result, writer: req.user.pub });
+
+            res.json(result);
+          } catch (error) {
+            console.error("Failed to save data:", error);
+            res.status(500).json({ err: "Server Error" });
+          }
+        }
+      }
+    );
+
+    /**
+     * Express route handler for fetching immutable data by its hash. The data saved
+     * under a hashed path is verified against the hash before it is returned, so a
+     * corrupted or tampered entry is never served as valid.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The hashed path, e.g. '%23Fabstir214_users/sha256-<digest>/'.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while fetching the data.
+     */
+    app.post(
+      "/fetch-hashed-data",
+      optionalAuthenticate,
+      checkReadAccess,
+      async (req, res) => {
+        const hashedPath = parseHashedPath(req.body.path);
+        if (hashedPath.err) {
+          return res.status(400).json({ err: hashedPath.err });
+        }
+
+        try {
+          const doc = await userDb.get(hashedPath.path);
+          if (!doc) {
+            return res.status(404).json({ err: "No data under this hash." });
+          }
+
+          if (!(await verifyContent(hashedPath, doc.data))) {
+            console.error(
+              "Stored data does not match its hash:",
+              hashedPath.path
+            );
+            return res
+              .status(500)
+              .json({ err: "Stored data does not match its hash." });
+          }
+
+          res.json({
+            path: hashedPath.path,
+            algorithm: hashedPath.algorithm,
+            data: doc.data,
+            ...(doc.provenance && { provenance: doc.provenance }),
+          });
+        } catch (error) {
+          console.error("Failed to fetch hashed data:", error);
+          res.status(500).json({ err: "Server error while fetching data" });
+        }
+      }
+    );
+
+    /**
+     * Express route handler for merging fields into the node at a path, the way GUN
+     * does, instead of replacing it. Every field carries a state, the time it was
+     * written, and a field is only overwritten by a write with a later state (see
+     * `ham` in graph.js), so concurrent writers converge on the same node. Nested
+     * objects are stored as nodes of their own below the path and linked from it.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path of the node.
+     * @param {Object} req.body.value - The fields to merge.
+     * @param {number} [req.body.state] - The state of the fields, in milliseconds since the epoch.
+     * Defaults to the server's current time. Fields with a state in the future are deferred and merged
+     * once it is reached; states more than `MAX_DEFERRAL` ahead are rejected.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while merging the data.
+     */
+    app.post(
+      "/merge-data",
+      authenticate,
+      checkWriteAccess,
+      async (req, res) => {
+        const { path, value, state } = req.body;
+
+        if (path.includes("%23")) {
+          return res.status(403).json({
+            err: "Merging into immutable hashed data is not allowed.",
+          });
+        }
+        const valueError = checkNodeValue(value);
+        if (valueError) {
+          return res.status(400).json({ err: valueError });
+        }
+        if (state !== undefined && !Number.isFinite(state)) {
+          return res.status(400).json({ err: "state must be a number." });
+        }
+
+        const soul = trimPath(path);
+        const nodes = toGraph(soul, value, state ?? Date.now());
+        const stateError = checkGraphStates(nodes);
+        if (stateError) {
+          return res.status(400).json({ err: stateError });
+        }
+
+        try {
+          // Fields of different envelopes must not be mixed
+          if (await findEncryptedAccessRights(aclStore, soul)) {
+            return res.status(400).json({
+              err: "Path is encrypted: envelopes cannot be merged.",
+            });
+          }
+
+          // A nested node may have an ACL entry of its own
+          const deniedPaths = [];
+          for (const nodeSoul of Object.keys(nodes)) {
+            if (
+              !(await access.canWrite(req.user.pub, nodeSoul)) &&
+              !(await hasCapability(req, nodeSoul, "write"))
+            ) {
+              deniedPaths.push(nodeSoul);
+            }
+          }
+          if (deniedPaths.length > 0) {
+            return res.status(403).json({ err: "Access denied.", deniedPaths });
+          }
+
+          // Pins and records the version of every node a merge wrote
+          const recordMerge = async (results) => {
+            for (const result of Object.values(results)) {
+              if (!result.doc) continue;
+              await pinEntry(userDb, result.hash);
+              await recordVersion(result.doc, {
+                hash: result.hash,
+                writer: req.user.pub,
+              });
+            }
+          };
+
+          const results = await graph.merge(nodes, {
+            onDeferredMerge: recordMerge,
+          });
+          await recordMerge(results);
+
+          const deferred = {};
+          for (const [nodeSoul, result] of Object.entries(results)) {
+            if (result.deferred.length > 0) {
+              deferred[nodeSoul] = result.deferred;
+            }
+          }
+
+          res.json({
+            message: "Data merged successfully",
+            path: soul,
+            node: results[soul].node.data,
+            state: results[soul].node.state,
+            deferred,
+          });
+        } catch (error) {
+          console.error("Failed to merge data:", error);
+          res.status(500).json({ err: "Server error while merging data" });
+        }
+      }
+    );
+
+    /**
+     * Returns the paths of a prefix the user of a request may not delete, through
+     * the ACL or a capability token with delete scope.
+     * @async
+     * @param {string[]} paths - The paths to check.
+     * @param {Object} req - The Express request object.
+     * @returns {Promise<string[]>} The paths the user has no delete access to.
+     */
+    const findUndeletable = async (paths, req) => {
+      const allowed = await Promise.all(
+        paths.map(
+          async (entryPath) =>
+            (await access.canDelete(req.user.pub, entryPath)) ||
+            (await hasCapability(req, entryPath, "delete"))
+        )
+      );
+      return paths.filter((entryPath, i) => !allowed[i]);
+    };
+
+    /**
+     * Returns the paths the user of a request may read, through the ACL or a capability
+     * token with read scope. Responses only list these, so that a rejected delete does
+     * not reveal the private paths below the path.
+     * @async
+     * @param {string[]} paths - The paths to check.
+     * @param {Object} req - The Express request object.
+     * @returns {Promise<string[]>} The paths the user has read access to.
+     */
+    const findReadable = async (paths, req) => {
+      const allowed = await Promise.all(
+        paths.map(
+          async (entryPath) =>
+            (await access.canRead(req.user.pub, entryPath)) ||
+            (await hasCapability(req, entryPath, "read"))
+        )
+      );
+      return paths.filter((entryPath, i) => allowed[i]);
+    };
+
+    /**
+     * Checks whether a path is deleted by a delete of another path, i.e. is that path
+     * or below it. Every path is below the empty path.
+     * @param {string} entryPath - The path of an entry.
+     * @param {string} path - The path to delete.
+     * @returns {boolean} True if the entry is deleted.
+     */
+    const isDeletedBy = (entryPath, path) =>
+      path === "" || isWithinPath(entryPath, path);
+
+    /**
+     * Returns the entries a delete of a path removes: the entry at the path and every
+     * entry below it, so 'photo' does not remove 'photos/1'. Hashed data is never
+     * included, nor are accounts, which are only removed through `/delete-account`.
+     * The user must have delete access to each of them (see `findUndeletable`).
+     * @async
+     * @param {string} path - The path to delete.
+     * @returns {Promise<string[]>} The paths of the entries.
+     */
+    const findDeletedPaths = async (path) => {
+      const paths = (await userDb.keysByPrefix(path)).filter(
+        (entryPath) =>
+          !entryPath.includes("%23") && isDeletedBy(entryPath, path)
+      );
+      // Accounts are stored at top-level paths, under their alias
+      const accounts = await Promise.all(
+        paths.map(
+          (entryPath) => !entryPath.includes("/") && isAccountPath(entryPath)
+        )
+      );
+      return paths.filter((entryPath, i) => !accounts[i]);
+    };
+
+    /**
+     * Express route handler for deleting data at a specified path.
+     * The entry at the given path and every entry below it are deleted. The user must
+     * have delete access to all of them, otherwise nothing is deleted, and the 403
+     * lists those of the denied paths the user may read. Accounts
+     * cannot be deleted this way. Deleted entries
+     * are kept as tombstones and can be restored through `/restore-data` until they
+     * are purged. Data at paths containing hashes (immutable data) cannot be deleted.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path of the data to be deleted.
+     * @param {boolean} [req.body.dryRun] - If true, only list the paths that would be deleted.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while deleting the data.
+     */
+    app.delete("/update-data", authenticate, async (req, res) => {
+      const { path, dryRun } = req.body;
+
+      if (typeof path !== "string") {
+        return res.status(400).json({ err: "Path is required" });
+      }
+
+      if (path.includes("%23")) {
+        return res.status(403).json({
+          err: "Deletion of immutable hashed data is not allowed.",
+        });
+      }
+
+      try {
+        if (await isAccountPath(path)) {
+          return res.status(403).json({
+            err: "Accounts cannot be deleted here; use /delete-account.",
+          });
+        }
+
+        const paths = await findDeletedPaths(path);
+
+        if (paths.length === 0) {
+          return res.json({ message: "No entries found to delete" });
+        }
+
+        const deniedPaths = await findUndeletable(paths, req);
+        if (deniedPaths.length > 0) {
+          return res.status(403).json({
+            err: "Access denied.",
+            deniedPaths: await findReadable(deniedPaths, req),
+          });
+        }
+
+        if (dryRun) {
+          return res.json({
+            message: "Dry run: no data deleted",
+            dryRun: true,
+            paths,
+          });
+        }
+
+        // Delete each matching entry, keeping a tombstone of it
+        let restorableUntil;
+        await dataWrites.runAll(paths, async () => {
+          for (const entryPath of paths) {
+            const tombstone = await tombstones.bury(
+              userDb,
+              entryPath,
+              req.user.pub
+            );
+            restorableUntil = tombstone?.purgeAfter ?? restorableUntil;
+          }
+        });
+
+        res.json({
+          message: "Data deleted successfully",
+          deletedPaths: paths,
+          restorableUntil,
+        });
+      } catch (error) {
+        console.error("Error deleting data:", error);
+        res.status(500).json({ err: "Server error while deleting data" });
+      }
+    });
 
     /**
-     * Endpoint for user registration. It authenticates the temporary token, registers the user,
-     * creates a JWT token, sets up initial access control for the user, and sends a success response.
-     * If an error occurs during this process, it sends a JSON error response.
+     * Middleware function taking the path of a data resource route, `/data/<path>`,
+     * from the URL into `req.body.path`, where the access checks expect it. The
+     * segments of the path are URI-decoded, so '%23' is sent as '%2523'.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     */
+    function pathFromUrl(req, res, next) {
+      const path = req.params[0];
+      if (!path) {
+        return res.status(400).json({ err: "Path is required" });
+      }
+      req.body = { ...req.body, path };
+      next();
+    }
+
+    /**
+     * Responds with 412 to a request whose `If-Match` or `If-None-Match` precondition failed.
+     * @param {Object} res - The Express response object.
+     * @param {string|undefined} etag - The current ETag, or undefined if there is no entry.
+     * @returns {void}
+     */
+    const sendPreconditionFailed = (res, etag) => {
+      if (etag) res.set("ETag", etag);
+      res.status(412).json({
+        err: "Precondition failed: the data at this path has changed.",
+      });
+    };
+
+    /**
+     * Express route handler for fetching the entry at exactly a path. Accounts
+     * are not data and are answered with 404. The response carries the entry hash as its ETag; a request whose `If-None-Match`
+     * header lists it is answered with 304 and no body.
      *
      * @async
-     * @param {Object} req - The Express request object. The body should contain 'alias', 'publicKey', and 'hashedPassword'.
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.params - The parameters of the request; `req.params[0]` is the path.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If there's an error during the registration process.
+     * @throws {Error} If there is an error while fetching the data.
      */
-    app.post("/register", authenticateTempToken, async (req, res) => {
-      const { alias, publicKey, hashedPassword } = req.body;
+    app.get(
+      "/data/*",
+      optionalAuthenticate,
+      pathFromUrl,
+      checkReadAccess,
+      async (req, res) => {
+        const { path } = req.body;
 
-      try {
-        const cid = await userDb.put({
-          _id: alias,
-          publicKey,
-          hashedPassword,
+        try {
+          // Accounts are stored under their alias but are not data
+          const doc = await userDb.get(path);
+          if (!doc || isAccount(doc)) {
+            return res.status(404).json({ err: "No data at this path." });
+          }
+
+          const etag = toEtag(await userDb.hashOf(path));
+          res.set({ ETag: etag, "Cache-Control": "private, no-cache" });
+
+          const status = evaluatePreconditions(req, etag);
+          if (status === 412) return sendPreconditionFailed(res, etag);
+          if (status === 304) return res.status(304).end();
+          res.json(doc);
+        } catch (error) {
+          console.error("Failed to fetch data:", error);
+          res.status(500).json({ err: "Server Error" });
+        }
+      }
+    );
+
+    /**
+     * Express route handler for saving data at a path, as `/update-data` does.
+     * With `If-Match`, the data is only saved if the entry's current ETag is listed,
+     * so that a client does not overwrite changes it has not seen; with
+     * `If-None-Match: *`, it is only saved if there is no entry yet.
+     * A `dataSignature` is verified and stored as the provenance of the data.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.params - The parameters of the request; `req.params[0]` is the path.
+     * @param {Object} req.body - The body of the request.
+     * @param {*} req.body.value - The data to save.
+     * @param {string} [req.body.dataSignature] - The writer's signature over the path and data (see `provenanceMessage`).
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while saving the data.
+     */
+    app.put(
+      "/data/*",
+      authenticate,
+      pathFromUrl,
+      checkWriteAccess,
+      checkEnvelope,
+      async (req, res) => {
+        const { path, value, dataSignature } = req.body;
+        let data = value;
+
+        // If data is an object with a value property, extract the value
+        if (typeof data === "object" && data !== null && "value" in data) {
+          data = data.value;
+        }
+
+        let fullPath = path;
+        if (path.includes("%23")) {
+          const verified = await verifyHashedPath(path, data);
+          if (verified.err) {
+            return res.status(400).json({ err: verified.err });
+          }
+          fullPath = verified.fullPath;
+        }
+
+        const signed = verifyProvenance(
+          fullPath,
+          data,
+          dataSignature,
+          req.user.pub
+        );
+        if (signed.err) {
+          return res.status(403).json({ err: signed.err });
+        }
+
+        try {
+          await dataWrites.run(fullPath, async () => {
+            const currentHash = await userDb.hashOf(fullPath);
+            const etag = currentHash && toEtag(currentHash);
+            if (evaluatePreconditions(req, etag)) {
+              return sendPreconditionFailed(res, etag);
+            }
+            if (currentHash && fullPath.includes("%23")) {
+              return res
+                .status(409)
+                .json({ err: "Data under this hash already exists." });
+            }
+
+            const doc = toSignedDoc(fullPath, data, signed.provenance);
+            const hash = await userDb.put(doc);
+            await pinEntry(userDb, hash);
+            if (!fullPath.includes("%23")) {
+              await recordVersion(doc, { hash, writer: req.user.pub });
+            }
+
+            res
+              .set("ETag", toEtag(hash))
+              .status(currentHash ? 200 : 201)
+              .json({
+                message: "Data saved successfully",
+                path: fullPath,
+                hash,
+              });
+          });
+        } catch (error) {
+          console.error("Failed to save data:", error);
+          res.status(500).json({ err: "Server Error" });
+        }
+      }
+    );
+
+    /**
+     * Express route handler for deleting the entry at exactly a path, keeping a
+     * tombstone of it as `DELETE /update-data` does. With `If-Match`, the entry is
+     * only deleted if its current ETag is listed.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.params - The parameters of the request; `req.params[0]` is the path.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while deleting the data.
+     */
+    app.delete("/data/*", authenticate, pathFromUrl, async (req, res) => {
+      const { path } = req.body;
+
+      if (path.includes("%23")) {
+        return res.status(403).json({
+          err: "Deletion of immutable hashed data is not allowed.",
         });
-        const pinningServiceResponse = await pinHashToPinningService(cid);
-        console.log("PinningService:", pinningServiceResponse);
+      }
+
+      try {
+        if (await isAccountPath(path)) {
+          return res.status(403).json({
+            err: "Accounts cannot be deleted here; use /delete-account.",
+          });
+        }
+        if ((await findUndeletable([path], req)).length > 0) {
+          return res.status(403).json({ err: "Access denied." });
+        }
+
+        await dataWrites.run(path, async () => {
+          const currentHash = await userDb.hashOf(path);
+          if (!currentHash) {
+            return res.status(404).json({ err: "No data at this path." });
+          }
+          const etag = toEtag(currentHash);
+          if (evaluatePreconditions(req, etag)) {
+            return sendPreconditionFailed(res, etag);
+          }
 
-        // Create a more persistent JWT here if needed
-        const token = jwt.sign({ alias, pub: publicKey }, JWT_SECRET, {
-          expiresIn: "1h",
+          const tombstone = await tombstones.bury(userDb, path, req.user.pub);
+          res.json({
+            message: "Data deleted successfully",
+            deletedPaths: [path],
+            restorableUntil: tombstone?.purgeAfter,
+          });
         });
+      } catch (error) {
+        console.error("Error deleting data:", error);
+        res.status(500).json({ err: "Server error while deleting data" });
+      }
+    });
 
-        // Setting up initial access control for the user
-        const userPath = `users/${publicKey}`; // Adjust path as needed
+    /**
+     * Validates one operation of a batch write the way `/update-data` and
+     * `DELETE /update-data` validate a single write.
+     * @async
+     * @param {Object} operation - The operation: `{ op: 'put', path, value, dataSignature? }` or `{ op: 'delete', path }`.
+     * @param {Object} req - The Express request object.
+     * @param {Set<string>} writtenPaths - The paths put by the earlier operations of the batch.
+     * @returns {Promise<Object>} The operation to apply (see `applyBatch`), or `{ status, err }` if it is rejected.
+     */
+    const checkBatchOperation = async (operation, req, writtenPaths) => {
+      const { op, path, value, dataSignature } = operation ?? {};
 
-        console.log("Attempting to save ACL entry", {
-          _id: userPath,
-          owner: publicKey,
-          allowedPublicKeys: [publicKey],
+      if (op !== "put" && op !== "delete") {
+        return { status: 400, err: "op must be 'put' or 'delete'" };
+      }
+      if (typeof path !== "string") {
+        return { status: 400, err: "Path is required" };
+      }
+
+      if (op === "delete") {
+        if (path.includes("%23")) {
+          return {
+            status: 403,
+            err: "Deletion of immutable hashed data is not allowed.",
+          };
+        }
+
+        if (await isAccountPath(path)) {
+          return {
+            status: 403,
+            err: "Accounts cannot be deleted here; use /delete-account.",
+          };
+        }
+
+        // Operations are applied in order, so the entries put by the earlier
+        // operations of the batch are deleted too
+        const paths = [
+          ...new Set([
+            ...(await findDeletedPaths(path)),
+            ...[...writtenPaths].filter(
+              (writtenPath) =>
+                isDeletedBy(writtenPath, path) && !writtenPath.includes("%23")
+            ),
+          ]),
+        ].sort();
+        const deniedPaths = await findUndeletable(paths, req);
+        if (deniedPaths.length > 0) {
+          return {
+            status: 403,
+            err: "Access denied.",
+            deniedPaths: await findReadable(deniedPaths, req),
+          };
+        }
+        return { op, path, paths };
+      }
+
+      const pathError = await checkDataPath(path);
+      if (pathError) {
+        return { status: 403, err: pathError };
+      }
+      if (
+        !(await access.canWrite(req.user.pub, path)) &&
+        !(await hasCapability(req, path, "write"))
+      ) {
+        return { status: 403, err: "Access denied." };
+      }
+
+      let data = value;
+
+      // If data is an object with a value property, extract the value
+      if (typeof data === "object" && data !== null && "value" in data) {
+        data = data.value;
+      }
+
+      if (
+        (await findEncryptedAccessRights(aclStore, path)) &&
+        !isEnvelope(data)
+      ) {
+        return {
+          status: 400,
+          err: "Path is encrypted: data must be an encrypted envelope.",
+        };
+      }
+
+      let fullPath = path;
+      if (path.includes("%23")) {
+        const verified = await verifyHashedPath(path, data);
+        if (verified.err) {
+          return { status: 400, err: verified.err };
+        }
+        fullPath = verified.fullPath;
+        if (await userDb.has(fullPath)) {
+          return { status: 409, err: "Data under this hash already exists." };
+        }
+      }
+
+      if (writtenPaths.has(fullPath)) {
+        return { status: 400, err: "Path is put more than once in the batch." };
+      }
+
+      const signed = verifyProvenance(
+        fullPath,
+        data,
+        dataSignature,
+        req.user.pub
+      );
+      if (signed.err) {
+        return { status: 403, err: signed.err };
+      }
+
+      writtenPaths.add(fullPath);
+      return { op, path: fullPath, data, provenance: signed.provenance };
+    };
+
+    /**
+     * Express route handler for applying several puts and deletes at once.
+     * Every operation is validated as `/update-data` or `DELETE /update-data` would
+     * validate it before any is applied; if one is rejected, none is applied. The
+     * operations are then applied in order, and undone if one of them fails.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {Object[]} req.body.operations - Up to 100 operations, each `{ op: 'put', path, value, dataSignature? }`
+     * or `{ op: 'delete', path }`. Paths that include a hash ('%23') are verified against their data, and
+     * data signatures against the user's key.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while applying the batch.
+     */
+    app.post("/batch-update-data", authenticate, async (req, res) => {
+      const { operations } = req.body;
+
+      if (
+        !Array.isArray(operations) ||
+        operations.length === 0 ||
+        operations.length > MAX_BATCH_OPERATIONS
+      ) {
+        return res.status(400).json({
+          err: `operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations`,
         });
+      }
 
-        const cid2 = await aclStore.put({
-          _id: userPath,
-          owner: publicKey,
-          allowedPublicKeys: [publicKey], // Initially allow only self
+      try {
+        const writtenPaths = new Set();
+        const checked = [];
+        for (const operation of operations) {
+          checked.push(await checkBatchOperation(operation, req, writtenPaths));
+        }
+
+        const rejected = checked.find((result) => result.err);
+        if (rejected) {
+          return res.status(rejected.status).json({
+            err: "Batch rejected: no operations were applied.",
+            results: checked.map(({ data, paths, ...result }, index) =>
+              result.err
+                ? { index, ...result }
+                : {
+                    index,
+                    ...result,
+                    status: 424,
+                    err: "Not applied, since another operation was rejected.",
+                  }
+            ),
+          });
+        }
+
+        const results = await dataWrites.runAll(
+          checked.flatMap(({ path, paths }) => paths ?? [path]),
+          () => applyBatch(userDb, tombstones, checked, req.user.pub)
+        );
+
+        await Promise.all(
+          results
+            .filter((result) => result.hash)
+            .map((result) => pinEntry(userDb, result.hash))
+        );
+
+        // Hashed data is immutable, so it has no history
+        for (const [
+          index,
+          { op, path, data, provenance },
+        ] of checked.entries()) {
+          if (op !== "put" || path.includes("%23")) continue;
+          await recordVersion(toSignedDoc(path, data, provenance), {
+            hash: results[index].hash,
+            writer: req.user.pub,
+          });
+        }
+
+        res.json({
+          message: "Batch applied successfully",
+          results: results.map((result, index) => ({ index, ...result })),
+        });
+      } catch (error) {
+        console.error("Error applying batch:", error);
+        res.status(500).json({
+          err: "Server error while applying batch; no operations were applied.",
         });
-        const pinningServiceResponse2 = await pinHashToPinningService(cid2);
-        console.log("PinningService:", pinningServiceResponse2);
+      }
+    });
+
+    /**
+     * Express route handler for listing deleted entries that can still be restored.
+     * Only entries the user has delete access to are listed.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path the deleted entries are at or below.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while listing the deleted entries.
+     */
+    app.post("/deleted-data", authenticate, async (req, res) => {
+      const { path } = req.body;
 
-        res.json({ message: "User registered successfully", token });
+      if (typeof path !== "string") {
+        return res.status(400).json({ err: "Path is required" });
+      }
+
+      try {
+        const buried = (await tombstones.listByPrefix(path)).filter(
+          (tombstone) => isDeletedBy(tombstone._id, path)
+        );
+        const deniedPaths = await findUndeletable(
+          buried.map((tombstone) => tombstone._id),
+          req
+        );
+
+        res.json(
+          buried
+            .filter((tombstone) => !deniedPaths.includes(tombstone._id))
+            .map(({ _id, deletedBy, deletedAt, purgeAfter }) => ({
+              path: _id,
+              deletedBy,
+              deletedAt,
+              purgeAfter,
+            }))
+        );
       } catch (error) {
-        console.error("Registration error:", error);
-        res.status(500).json({ err: "Server error during registration" });
+        console.error("Error listing deleted data:", error);
+        res
+          .status(500)
+          .json({ err: "Server error while listing deleted data" });
+      }
+    });
+
+    /**
+     * Express route handler for restoring deleted entries from their tombstones.
+     * The deleted entry at the given path and those below it are restored, provided
+     * the user has delete access to all of them. Paths that have been written to
+     * since the delete are skipped rather than overwritten.
+     *
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path the entries to restore are at or below.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while restoring the data.
+     */
+    app.post("/restore-data", authenticate, async (req, res) => {
+      const { path } = req.body;
+
+      if (typeof path !== "string") {
+        return res.status(400).json({ err: "Path is required" });
+      }
+
+      try {
+        const buried = (await tombstones.listByPrefix(path)).filter(
+          (tombstone) => isDeletedBy(tombstone._id, path)
+        );
+
+        if (buried.length === 0) {
+          return res
+            .status(404)
+            .json({ err: "No deleted entries found to restore" });
+        }
+
+        const deniedPaths = await findUndeletable(
+          buried.map((tombstone) => tombstone._id),
+          req
+        );
+        if (deniedPaths.length > 0) {
+          return res.status(403).json({
+            err: "Access denied.",
+            deniedPaths: await findReadable(deniedPaths, req),
+          });
+        }
+
+        const restoredPaths = [];
+        const skippedPaths = [];
+        for (const tombstone of buried) {
+          const cid = await dataWrites.run(tombstone._id, async () =>
+            (await userDb.has(tombstone._id))
+              ? undefined
+              : tombstones.restore(userDb, tombstone)
+          );
+          if (!cid) {
+            skippedPaths.push(tombstone._id);
+            continue;
+          }
+          await pinEntry(userDb, cid);
+          await recordVersion(tombstone.doc, {
+            hash: cid,
+            writer: req.user.pub,
+          });
+          restoredPaths.push(tombstone._id);
+        }
+
+        res.json({
+          message: "Data restored successfully",
+          restoredPaths,
+          skippedPaths,
+        });
+      } catch (error) {
+        console.error("Error restoring data:", error);
+        res.status(500).json({ err: "Server error while restoring data" });
+      }
+    });
+
+    /**
+     * Middleware function validating the version number in `req.body.version`.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     */
+    function checkVersion(req, res, next) {
+      const { version } = req.body;
+      if (!Number.isInteger(version) || version < 1) {
+        return res
+          .status(400)
+          .json({ err: "version must be a positive integer." });
+      }
+      next();
+    }
+
+    /**
+     * Express route handler for listing the version history of a path.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path whose versions are listed.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while listing the versions.
+     */
+    app.post(
+      "/data-history",
+      optionalAuthenticate,
+      checkReadAccess,
+      async (req, res) => {
+        const { path } = req.body;
+
+        try {
+          res.json({ path, versions: await history.list(path) });
+        } catch (error) {
+          console.error("Error listing data history:", error);
+          res
+            .status(500)
+            .json({ err: "Server error while listing data history" });
+        }
       }
-    });
+    );
 
     /**
-     * Middleware function for authenticating a temporary token.
+     * Express route handler for fetching a previous version of a path.
+     * @async
      * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path.
+     * @param {number} req.body.version - The version number, as listed by `/data-history`.
      * @param {Object} res - The Express response object.
-     * @param {Function} next - The next middleware function.
      * @returns {void}
-     * @throws {Error} If the token is invalid or expired.
+     * @throws {Error} If there is an error while fetching the version.
      */
-    function authenticateTempToken(req, res, next) {
-      const token = req.headers.authorization?.split(" ")[1];
-      if (!token) {
-        return res
-          .status(401)
-          .json({ err: "Access denied. No token provided." });
-      }
+    app.post(
+      "/fetch-version",
+      optionalAuthenticate,
+      checkReadAccess,
+      checkVersion,
+      async (req, res) => {
+        const { path, version } = req.body;
 
-      try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        if (!decoded.tempUser)
-          throw new Error("Invalid temporary token usage.");
-        req.user = decoded; // User information from token is now attached to the request
-        next();
-      } catch (error) {
-        res.status(400).json({ err: "Invalid or expired token." });
+        try {
+          const found = await history.get(path, version);
+          if (!found) {
+            return res.status(404).json({ err: "Version not found" });
+          }
+          res.json({ path, ...found });
+        } catch (error) {
+          console.error("Error fetching version:", error);
+          res.status(500).json({ err: "Server error while fetching version" });
+        }
       }
-    }
+    );
 
-    const generateTokens = (user) => {
-      const accessToken = jwt.sign(
-        { alias: user._id || user.alias, pub: user.publicKey || user.pub },
-        JWT_SECRET,
-        { expiresIn: "1h" } // Access token valid for 2 minutes
-      );
+    /**
+     * Express route handler for restoring a previous version of a path as its
+     * current value. The restore is recorded as a new version.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string} req.body.path - The path.
+     * @param {number} req.body.version - The version number to restore.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while restoring the version.
+     */
+    app.post(
+      "/restore-version",
+      authenticate,
+      checkWriteAccess,
+      checkVersion,
+      async (req, res) => {
+        const { path, version } = req.body;
 
-      const refreshToken = jwt.sign(
-        { alias: user._id || user.alias, pub: user.publicKey || user.pub },
-        JWT_SECRET,
-        { expiresIn: "7d" } // Refresh token valid for 7 days
-      );
+        try {
+          const found = await history.get(path, version);
+          if (!found) {
+            return res.status(404).json({ err: "Version not found" });
+          }
 
-      console.log("Generated tokens:", {
-        accessToken,
-        refreshToken,
-        expiresIn: {
-          accessToken: "1h",
-          refreshToken: "7d",
-        },
-      });
+          const encryption = await findEncryptedAccessRights(aclStore, path);
+          if (encryption && !isEnvelope(found.doc.data)) {
+            return res.status(400).json({
+              err: "Path is encrypted: data must be an encrypted envelope.",
+            });
+          }
 
-      return { accessToken, refreshToken };
-    };
+          const cid = await dataWrites.run(path, () => userDb.put(found.doc));
+          await pinEntry(userDb, cid);
+          const recorded = await recordVersion(found.doc, {
+            hash: cid,
+            writer: req.user.pub,
+            restoredFrom: version,
+          });
 
-    app.post("/refresh-token", (req, res) => {
-      const { refreshToken } = req.body;
-      if (!refreshToken) {
-        return res.status(401).json({ err: "Refresh token is required" });
+          res.json({
+            message: "Version restored successfully",
+            path,
+            hash: cid,
+            ...recorded,
+          });
+        } catch (error) {
+          console.error("Error restoring version:", error);
+          res.status(500).json({ err: "Server error while restoring version" });
+        }
       }
+    );
 
-      try {
-        const decoded = jwt.verify(refreshToken, JWT_SECRET);
-        const newTokens = generateTokens(decoded);
-        res.json(newTokens);
-      } catch (error) {
-        res.status(403).json({ err: "Invalid refresh token" });
+    /**
+     * Express route handler for rebuilding the path index of the user store from its
+     * contents, to recover from an index that has drifted out of sync.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while rebuilding the index.
+     */
+    app.post(
+      "/admin/reindex",
+      authenticate,
+      authorizeAdmin,
+      async (req, res) => {
+        try {
+          const paths = await userDb.rebuildIndex();
+          res.json({ message: "Path index rebuilt", paths });
+        } catch (error) {
+          console.error("Failed to rebuild path index:", error);
+          res.status(500).json({ err: "Server error while rebuilding index" });
+        }
       }
-    });
+    );
 
     /**
-     * Express route handler for authenticating a user.
+     * Express route handler for the pin status of a CID, such as the entry hash
+     * returned by a write.
      * @async
      * @param {Object} req - The Express request object.
-     * @param {Object} req.body - The body of the request.
-     * @param {string} req.body.alias - The alias of the user trying to authenticate.
-     * @param {string} req.body.pass - The password of the user trying to authenticate.
+     * @param {Object} req.params - The parameters of the request.
+     * @param {string} req.params.cid - The CID.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If there is an error during authentication.
+     * @throws {Error} If there is an error while reading the pin status.
      */
-    app.post("/authenticate", async (req, res) => {
-      const { alias, pass } = req.body;
+    app.get("/pin-status/:cid", authenticate, async (req, res) => {
       try {
-        const userDataEntries = await userDb.get(alias);
-        if (userDataEntries.length > 0) {
-          const userData = userDataEntries[0]; // Assume the first entry is the user data
-          const isMatch = await bcrypt.compare(pass, userData.hashedPassword);
-          if (isMatch) {
-            const tokens = generateTokens(userData);
-            res.json({ message: "Authentication successful", ...tokens });
-          } else {
-            res.status(401).json({ err: "Authentication failed" });
-          }
-        } else {
-          res.status(404).json({ err: "User not found" });
+        const status = await pins.status(req.params.cid);
+        if (!status) {
+          return res
+            .status(404)
+            .json({ err: "CID is not queued and was not pinned recently." });
         }
+        res.json(status);
       } catch (error) {
-        console.error("Authentication error:", error);
-        res.status(500).json({ err: "Server error" });
+        console.error("Failed to read pin status:", error);
+        res.status(500).json({ err: "Server error while reading pin status" });
       }
     });
 
     /**
-     * Express route handler for retrieving the Access Control List (ACL) entry for a user.
+     * Express route handler for listing the pins that failed every attempt.
      * @async
      * @param {Object} req - The Express request object.
-     * @param {Object} req.body - The body of the request.
-     * @param {string} req.body.alias - The alias of the user whose ACL entry is being retrieved.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If there is an error while retrieving the ACL entry.
+     * @throws {Error} If there is an error while listing the pins.
      */
-    app.post("/acl", async (req, res) => {
-      const { alias } = req.body;
-
-      try {
-        const userCredentialsEntries = await userDb.get(alias);
+    app.post(
+      "/admin/failed-pins",
+      authenticate,
+      authorizeAdmin,
+      async (req, res) => {
+        try {
+          res.json({ pins: await pins.listFailed() });
+        } catch (error) {
+          console.error("Failed to list failed pins:", error);
+          res.status(500).json({ err: "Server error while listing pins" });
+        }
+      }
+    );
 
-        const userCredentials = userCredentialsEntries.find(
-          (uc) => uc.publicKey && uc.hashedPassword
-        );
+    /**
+     * Express route handler for queuing failed pins again.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {Object} req.body - The body of the request.
+     * @param {string[]} [req.body.cids] - The CIDs to retry; every failed pin if omitted.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while queuing the pins.
+     */
+    app.post(
+      "/admin/retry-pins",
+      authenticate,
+      authorizeAdmin,
+      async (req, res) => {
+        const { cids } = req.body;
+        if (
+          cids !== undefined &&
+          (!Array.isArray(cids) ||
+            !cids.every((cid) => typeof cid === "string"))
+        ) {
+          return res
+            .status(400)
+            .json({ err: "cids must be an array of CIDs." });
+        }
 
-        if (userCredentials) {
-          res.json({ exists: true });
-        } else {
-          res.status(404).json({
-            exists: false,
-            err: "No user credentials found for the user.",
+        try {
+          res.json({
+            message: "Pins queued again",
+            cids: await pins.retryFailed(cids),
           });
+        } catch (error) {
+          console.error("Failed to retry pins:", error);
+          res.status(500).json({ err: "Server error while retrying pins" });
         }
-      } catch (error) {
-        console.error("Failed to retrieve ACL entry:", error);
-        res.status(500).json({ err: "Server error" });
       }
-    });
+    );
 
     /**
-     * Express route handler for fetching data based on a path.
+     * Express route handler for exporting the user and ACL stores as a snapshot in
+     * JSON lines, optionally only the entries below a path or of an owner.
      * @async
      * @param {Object} req - The Express request object.
      * @param {Object} req.body - The body of the request.
-     * @param {string} req.body.path - The path of the data to be fetched.
+     * @param {string} [req.body.prefix] - Only entries whose path starts with the prefix.
+     * @param {string} [req.body.owner] - Only entries owned by the public key.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If there is an error while fetching the data.
+     * @throws {Error} If there is an error while exporting the stores.
      */
-    app.post("/fetch-data", async (req, res) => {
-      const { path } = req.body; // Extract path from request body
+    app.post(
+      "/admin/export-snapshot",
+      authenticate,
+      authorizeAdmin,
+      async (req, res) => {
+        const { prefix, owner } = req.body;
+        const filter = {
+          ...(prefix !== undefined && { prefix }),
+          ...(owner !== undefined && { owner }),
+        };
+        const filterError = checkSnapshotFilter(filter);
+        if (filterError) {
+          return res.status(400).json({ err: filterError });
+        }
 
-      try {
-        console.log("Fetching data at path:", path);
-        const items = await userDb.get(path);
-        console.log("Fetched data:", items);
-        res.json(items);
-      } catch (error) {
-        console.error("Failed to fetch data:", error);
-        res.status(500).json({ err: "Server Error" });
+        try {
+          const snapshot = await exportSnapshot(stores, filter);
+          res
+            .attachment("snapshot.jsonl")
+            .type("application/x-ndjson")
+            .send(snapshot);
+        } catch (error) {
+          console.error("Failed to export snapshot:", error);
+          res
+            .status(500)
+            .json({ err: "Server error while exporting snapshot" });
+        }
       }
-    });
-
-    function encodeUriPathSegments(path) {
-      return path.split("/").map(encodeURIComponent).join("/");
-    }
+    );
 
     /**
-     * Endpoint to save data at a specified path. If the path includes a hash,
-     * the data is saved under the hash after verifying that the provided hash
-     * matches the calculated hash of the data. If the path does not include a hash,
-     * the data is saved directly under the path.
-     *
-     * @route POST /update-data
-     * @group Data - Operations related to data
-     * @param {object} request.body.required - The request body containing the path and data to save
-     * @returns {object} 201 - An object containing a message and the full path where the data was saved
-     * @returns {Error}  400 - Hash mismatch: The provided hash does not match the calculated hash of the data
-     * @returns {Error}  409 - Data under this hash already exists
-     * @returns {Error}  500 - Server error while saving hashed data or Server Error
-     * @security JWT
+     * Express route handler for importing a snapshot exported by `/admin/export-snapshot`,
+     * sent as the body with the Content-Type 'application/x-ndjson'.
+     * @async
+     * @param {Object} req - The Express request object.
+     * @param {string} req.body - The snapshot.
+     * @param {Object} req.query - The query parameters of the request.
+     * @param {string} [req.query.mode='merge'] - 'merge' or 'replace'.
+     * @param {Object} res - The Express response object.
+     * @returns {void}
+     * @throws {Error} If there is an error while importing the snapshot.
      */
     app.post(
-      "/update-data",
+      "/admin/import-snapshot",
       authenticate,
-      checkWriteAccess,
+      authorizeAdmin,
+      express.text({ type: "application/x-ndjson", limit: "50mb" }),
       async (req, res) => {
-        const { path, value } = req.body;
-        let data = value;
-
-        // If data is an object with a value property, extract the value
-        if (typeof data === "object" && data !== null && "value" in data) {
-          data = data.value;
+        const { mode = "merge" } = req.query;
+        if (!IMPORT_MODES.includes(mode)) {
+          return res.status(400).json({
+            err: `mode must be one of: ${IMPORT_MODES.join(", ")}.`,
+          });
         }
-
-        // Check if path includes a hash
-        if (path.includes("%23")) {
-          const segments = path.split(/(%23.*?)(\/)/); // Split on the first occurrence of '%23' followed by any characters up to but not including '/'
-
-          const basePath = segments[1]; // This will capture '%23Fabstir214_users'
-          let hashAndBeyond = segments[3]; // This will capture 'lKclCwl0pfr9aGabcrHhZJIpOfQarI1u7CZxr1D8thQ%3D/'
-
-          // Remove the trailing '/' if it exists
-          if (hashAndBeyond.endsWith("/")) {
-            hashAndBeyond = hashAndBeyond.slice(0, -1);
-          }
-
-          const hashSegments = hashAndBeyond.split(/\/(.+)/); // Split on the first '/'
-          const providedHash = hashSegments[0];
-
-          const calculatedHash = await SEA.work(data, null, null, {
-            name: "SHA-256",
+        if (typeof req.body !== "string") {
+          return res.status(400).json({
+            err: "Snapshot must be sent as application/x-ndjson.",
           });
+        }
 
-          const calculatedHashParts = calculatedHash.split("/");
-          const calculatedHashPrefix = encodeURIComponent(
-            calculatedHashParts[0]
-          );
-
-          // Verify that the provided hash matches the calculated hash
-          if (providedHash !== calculatedHashPrefix) {
-            return res.status(400).json({
-              err: "Hash mismatch: The provided hash does not match the calculated hash of the data.",
-            });
-          }
-
-          const fullPath = `${basePath}/${providedHash}/`;
-          try {
-            // Check if the data under this hash already exists to prevent duplicate entries under the same hash
-            const existingData = await userDb.get(fullPath);
-            if (existingData && existingData.length > 0) {
-              return res
-                .status(409)
-                .json({ err: "Data under this hash already exists." });
-            }
-
-            const cid = await userDb.put({ _id: fullPath, data });
-            const pinningServiceResponse = await pinHashToPinningService(cid);
-            console.log("PinningService:", pinningServiceResponse);
-
-            res.status(201).json({
-              message: "Data saved successfully under hash",
-              path: fullPath,
-            });
-          } catch (error) {
-            console.error("Error saving hashed data:", error);
-            res
-              .status(500)
-              .json({ err: "Server error while saving hashed data" });
-          }
-        } else {
-          // Regular data saving without hash
-          try {
-            const result = await userDb.put({ _id: path, data });
-            const pinningServiceResponse = await pinHashToPinningService(
-              result
-            );
-            console.log("PinningService:", pinningServiceResponse);
-
-            res.json(result);
-          } catch (error) {
-            console.error("Failed to save data:", error);
-            res.status(500).json({ err: "Server Error" });
+        try {
+          const result = await importSnapshot(stores, req.body, {
+            mode,
+            pinEntry,
+          });
+          if (result.err) {
+            return res.status(400).json({ err: result.err });
           }
+          res.json({ message: "Snapshot imported", ...result });
+        } catch (error) {
+          console.error("Failed to import snapshot:", error);
+          res
+            .status(500)
+            .json({ err: "Server error while importing snapshot" });
         }
       }
     );
 
-    // Add helper function
-    const findEntriesByPathPrefix = async (db, pathPrefix) => {
-      try {
-        // Get all entries from the database
-        const allEntries = await db.get("");
-
-        // Filter entries where _id starts with pathPrefix
-        return allEntries.filter((entry) => entry._id.startsWith(pathPrefix));
-      } catch (error) {
-        console.error("Error finding entries:", error);
-        throw error;
+    /**
+     * Middleware function copying a `token` query parameter into the Authorization header,
+     * and a `capability` query parameter into the X-Capability header.
+     * Browsers' EventSource cannot send headers, so subscribers pass their tokens this way.
+     * @param {Object} req - The Express request object.
+     * @param {Object} res - The Express response object.
+     * @param {Function} next - The next middleware function.
+     * @returns {void}
+     */
+    function tokenFromQuery(req, res, next) {
+      if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
       }
-    };
+      if (!req.headers["x-capability"] && req.query.capability) {
+        req.headers["x-capability"] = req.query.capability;
+      }
+      next();
+    }
 
     /**
-     * Express route handler for deleting data at a specified path.
-     * Ensures that data at paths containing hashes (immutable data) cannot be deleted.
-     * @async
+     * Express route handler for subscribing to changes of a path over Server-Sent Events.
+     * A 'put' or 'del' event carrying the change is pushed whenever the path is written
+     * through `/update-data` or changed by OrbitDB replication. Changes to paths the
+     * user may not read are not pushed.
+     *
      * @param {Object} req - The Express request object.
-     * @param {Object} req.params - The parameters of the request.
-     * @param {string} req.params.path - The path of the data to be deleted.
+     * @param {Object} req.query - The query parameters of the request.
+     * @param {string} req.query.path - The path to subscribe to.
+     * @param {string} [req.query.prefix] - If 'true', changes to any path below `path` are pushed as well.
+     * @param {string} [req.query.token] - The JWT, for clients that cannot set the Authorization header.
+     * @param {string} [req.query.capability] - A capability token, for clients that cannot set the X-Capability header.
      * @param {Object} res - The Express response object.
      * @returns {void}
-     * @throws {Error} If there is an error while deleting the data.
      */
-    app.delete("/update-data", authenticate, async (req, res) => {
-      const { path } = req.body;
-
-      if (path.includes("%23")) {
-        return res.status(403).json({
-          err: "Deletion of immutable hashed data is not allowed.",
-        });
+    app.get("/subscribe", tokenFromQuery, authenticate, async (req, res) => {
+      const { path, prefix } = req.query;
+      if (!path) {
+        return res.status(400).json({ err: "Path is required" });
       }
 
       try {
-        const entries = await findEntriesByPathPrefix(userDb, path);
-
-        if (entries.length === 0) {
-          return res.json({ message: "No entries found to delete" });
+        if (
+          !(await access.canRead(req.user.pub, path)) &&
+          !(await hasCapability(req, path, "read"))
+        ) {
+          return res.status(403).json({ err: "Access denied." });
         }
-
-        // Delete each matching entry
-        for (const entry of entries) {
-          await userDb.del(entry._id);
-        }
-
-        res.json({
-          message: "Data deleted successfully",
-          deletedPaths: entries.map((e) => e._id),
-        });
       } catch (error) {
-        console.error("Error deleting data:", error);
-        res.status(500).json({ err: "Server error while deleting data" });
+        console.error("Access check failed:", error);
+        return res
+          .status(500)
+          .json({ err: "Server error during access check" });
       }
+
+      const subscription = { path, prefix: prefix === "true" };
+      let unsubscribe = () => {};
+      const send = openEventStream(req, res, () => unsubscribe());
+
+      unsubscribe = subscriptions.subscribe(subscription, async (change) => {
+        if (change.doc && isAccount(change.doc)) return;
+        if (
+          (await access.canRead(req.user.pub, change.path)) ||
+          (await hasCapability(req, change.path, "read"))
+        ) {
+          send(change.type, change);
+        }
+      });
+      send("subscribed", subscription);
     });
 
     const PORT = process.env.PORT || 3001;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
 
+    // GUN peers connect to ws://<host>/gun and read and merge nodes of the user store
+    const gunPeer = attachGunPeer(server, {
+      path: "/gun",
+      graph,
+      subscriptions,
+      authenticate: verifyAccessToken,
+      canRead: async (user, soul, capability) =>
+        (await access.canRead(user?.pub, soul)) ||
+        (await holdsCapability(capability, user, soul, "read")),
+      checkWrite: async (user, soul, capability) => {
+        if (soul.includes("%23")) {
+          return "Changing immutable hashed data is not allowed.";
+        }
+        const pathError = await checkDataPath(soul);
+        if (pathError) return pathError;
+        if (
+          !(await access.canWrite(user.pub, soul)) &&
+          !(await holdsCapability(capability, user, soul, "write"))
+        ) {
+          return "Access denied.";
+        }
+        if (await findEncryptedAccessRights(aclStore, soul)) {
+          return "Path is encrypted: envelopes cannot be merged.";
+        }
+        return undefined;
+      },
+      onWrite: async ({ doc, hash }, user) => {
+        await pinEntry(userDb, hash);
+        await recordVersion(doc, { hash, writer: user.pub });
+      },
+    });
+
     // Cleanup on process termination
     process.on("SIGINT", async () => {
       console.log("Shutting down server...");
       server.close(); // Close the HTTP server
-      await aclStore.close(); // Close the OrbitDB store
-      await userDb.close(); // Close the user database
-      await ipfs.stop(); // Stop the IPFS instance
+      gunPeer.close();
+      pins.stop();
+      tombstones.stopPurging();
+      signedRequests.stopPurging();
+      challenges.stopPurging();
+      sessions.stopPurging();
+      for (const store of Object.values(stores)) {
+        await store.close(); // Close every store
+      }
       process.exit();
     });
   } catch (error) {
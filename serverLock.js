@@ -0,0 +1,64 @@
+import { rmSync } from "fs";
+import fs from "fs/promises";
+import nodePath from "path";
+
+const LOCK_FILE = "server.lock";
+
+/**
+ * Returns the process id of the server holding the lock of a storage directory,
+ * if that process is still running. A lock left by a server that crashed is ignored.
+ * @async
+ * @param {string} dir - The storage directory, STORAGE_PATH.
+ * @returns {Promise<number|undefined>} The process id, or undefined if no server holds the lock.
+ * @throws {Error} If the lock file exists but cannot be read.
+ */
+export async function findRunningServer(dir) {
+  let pid;
+  try {
+    pid = Number(await fs.readFile(nodePath.join(dir, LOCK_FILE), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return undefined;
+    throw error;
+  }
+  if (!Number.isInteger(pid) || pid <= 0) return undefined;
+
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return pid;
+  } catch (error) {
+    return error.code === "EPERM" ? pid : undefined;
+  }
+}
+
+/**
+ * Takes the lock of a storage directory for this process until it exits, so that
+ * the command-line tools, and other servers, do not change stores that this server
+ * holds in memory and would overwrite.
+ * @async
+ * @param {string} dir - The storage directory, STORAGE_PATH.
+ * @returns {Promise<void>}
+ * @throws {Error} If another running server holds the lock, or the lock file cannot be written.
+ */
+export async function acquireServerLock(dir) {
+  const lockPath = nodePath.join(dir, LOCK_FILE);
+  await fs.mkdir(dir, { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const running = await findRunningServer(dir);
+    if (running !== undefined) {
+      throw new Error(`${dir} is in use by the server with pid ${running}.`);
+    }
+    // The lock of a crashed server
+    await fs.rm(lockPath, { force: true });
+  }
+
+  process.on("exit", () => rmSync(lockPath, { force: true }));
+}
@@ -0,0 +1,210 @@
+import crypto from "crypto";
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Returns a new random identifier for a session or refresh token.
+ * @returns {string} The identifier.
+ */
+const randomId = () => crypto.randomBytes(16).toString("base64url");
+
+/**
+ * Creates the store of login sessions. A session is started by each login and
+ * stored as `{ _id: '<alias>/<id>', id, alias, pub, refreshId, createdAt, lastUsedAt, expiresAt, userAgent }`.
+ * Its refresh token is rotated on every use: only the refresh token carrying the
+ * current `refreshId` is accepted, and presenting an older one revokes the session,
+ * since it means the token was stolen and used by someone else.
+ *
+ * @param {import("./storage.js").StorageAdapter} sessionStore - The store holding the sessions.
+ * @param {Object} options - The options.
+ * @param {number} options.ttl - How long a session lasts after its last refresh, in milliseconds.
+ * @returns {Object} The session store.
+ */
+export function createSessions(sessionStore, { ttl }) {
+  let purgeTimer;
+  // Rotations of the same session run one at a time, so that only one of two
+  // concurrent uses of a refresh token gets the next one
+  const rotating = new Map();
+
+  /**
+   * Rotates the refresh token of a session, see `rotate`.
+   * @async
+   * @param {string} alias - The alias of the user.
+   * @param {string} id - The session id.
+   * @param {string} refreshId - The id of the presented refresh token.
+   * @returns {Promise<Object|undefined>} The rotated session, or undefined.
+   */
+  const rotateNow = async (alias, id, refreshId) => {
+    const session = await sessions.get(alias, id);
+    if (!session) return undefined;
+
+    if (session.refreshId !== refreshId) {
+      console.warn(`Refresh token reuse detected, revoking session ${id}`);
+      await sessions.revoke(alias, id);
+      return undefined;
+    }
+
+    const now = Date.now();
+    const rotated = {
+      ...session,
+      refreshId: randomId(),
+      lastUsedAt: now,
+      expiresAt: now + ttl,
+    };
+    await sessionStore.put(rotated);
+    return rotated;
+  };
+
+  const sessions = {
+    /**
+     * Starts a session.
+     * @async
+     * @param {Object} user - The user logging in.
+     * @param {string} user.alias - The alias of the user.
+     * @param {string} user.pub - The public key of the user.
+     * @param {string} [userAgent] - The User-Agent of the client, to tell sessions apart.
+     * @returns {Promise<Object>} The session.
+     */
+    async start({ alias, pub }, userAgent) {
+      const id = randomId();
+      const now = Date.now();
+      const session = {
+        _id: `${alias}/${id}`,
+        id,
+        alias,
+        pub,
+        refreshId: randomId(),
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + ttl,
+        userAgent,
+      };
+
+      // Sessions are private to this server, so they are not pinned
+      await sessionStore.put(session);
+      return session;
+    },
+
+    /**
+     * Returns an active session.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} id - The session id.
+     * @returns {Promise<Object|undefined>} The session, or undefined if it has been revoked or has expired.
+     */
+    async get(alias, id) {
+      if (typeof alias !== "string" || typeof id !== "string") {
+        return undefined;
+      }
+      const session = await sessionStore.get(`${alias}/${id}`);
+      return session && session.expiresAt > Date.now() ? session : undefined;
+    },
+
+    /**
+     * Rotates the refresh token of a session. If the presented refresh token is not
+     * the current one, it has been used before and the session is revoked.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} id - The session id.
+     * @param {string} refreshId - The id of the presented refresh token.
+     * @returns {Promise<Object|undefined>} The session with its new `refreshId`, or undefined
+     * if the session is not active or the refresh token was reused.
+     */
+    rotate(alias, id, refreshId) {
+      const key = `${alias}/${id}`;
+      const rotated = (rotating.get(key) ?? Promise.resolve()).then(() =>
+        rotateNow(alias, id, refreshId)
+      );
+      const settled = rotated.catch(() => {});
+      rotating.set(key, settled);
+      settled.then(() => {
+        if (rotating.get(key) === settled) rotating.delete(key);
+      });
+      return rotated;
+    },
+
+    /**
+     * Returns the active sessions of a user, most recently used first.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @returns {Promise<Object[]>} The sessions.
+     */
+    async list(alias) {
+      const now = Date.now();
+      return (await sessionStore.listByPrefix(`${alias}/`))
+        .filter((session) => session.alias === alias && session.expiresAt > now)
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    },
+
+    /**
+     * Revokes a session.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} id - The session id.
+     * @returns {Promise<boolean>} True if the session existed.
+     */
+    async revoke(alias, id) {
+      const key = `${alias}/${id}`;
+      if (!(await sessionStore.get(key))) return false;
+      await sessionStore.del(key);
+      return true;
+    },
+
+    /**
+     * Revokes every session of a user.
+     * @async
+     * @param {string} alias - The alias of the user.
+     * @param {string} [keepId] - A session to keep, e.g. the one making the request.
+     * @returns {Promise<number>} The number of revoked sessions.
+     */
+    async revokeAll(alias, keepId) {
+      const userSessions = (
+        await sessionStore.listByPrefix(`${alias}/`)
+      ).filter((session) => session.alias === alias && session.id !== keepId);
+      for (const session of userSessions) {
+        await sessionStore.del(session._id);
+      }
+      return userSessions.length;
+    },
+
+    /**
+     * Deletes the sessions that have expired.
+     * @async
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<number>} The number of purged sessions.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await sessionStore.listByPrefix("")).filter(
+        (session) => session.expiresAt <= now
+      );
+      for (const session of expired) {
+        await sessionStore.del(session._id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired sessions periodically.
+     */
+    startPurging() {
+      purgeTimer = setInterval(async () => {
+        try {
+          const purged = await sessions.purgeExpired();
+          if (purged > 0) console.log(`Purged ${purged} expired sessions`);
+        } catch (error) {
+          console.error("Session purge failed:", error);
+        }
+      }, PURGE_INTERVAL);
+      purgeTimer.unref();
+    },
+
+    /**
+     * Stops purging expired sessions.
+     */
+    stopPurging() {
+      clearInterval(purgeTimer);
+    },
+  };
+
+  return sessions;
+}
@@ -0,0 +1,146 @@
+import { verifySignature } from "./acl.js";
+
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+const NONCE = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Serializes a value as JSON with the keys of every object sorted, so that
+ * the same value always gives the same string.
+ * @param {*} value - The value.
+ * @returns {string} The canonical JSON.
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item)).join(",")}]`;
+  }
+  if (typeof value === "object" && value !== null) {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Returns the message signed for a request: the canonical JSON of every field of
+ * the request body except the signature, together with the name of the operation.
+ * For example, `{ path, publicKey, nonce, timestamp, signature }` sent to
+ * `/add-read-access` is signed as
+ * `{"nonce":"...","op":"add-read-access","path":"...","publicKey":"...","timestamp":...}`.
+ *
+ * @param {string} operation - The operation, i.e. the route name without the leading '/'.
+ * @param {Object} body - The request body.
+ * @returns {string} The message to sign.
+ */
+export function signedMessage(operation, body) {
+  const { signature, ...fields } = body;
+  return canonicalize({ ...fields, op: operation });
+}
+
+/**
+ * Creates the verifier of signed requests. A signed request carries a `nonce`, a
+ * random string of 16 to 128 letters, digits, '_' or '-' chosen by the client, and a
+ * `timestamp` in milliseconds. It is accepted if its timestamp is within `maxAge` of
+ * the server's clock, its signature over `signedMessage` is valid and the signer has
+ * not used the nonce before. Used nonces are kept until their request would be too
+ * old anyway, so a captured request cannot be replayed.
+ *
+ * @param {import("./storage.js").StorageAdapter} nonceStore - The store holding used nonces.
+ * @param {Object} options - The options.
+ * @param {number} options.maxAge - How far a request's timestamp may be from the server's clock, in milliseconds.
+ * @returns {Object} The verifier.
+ */
+export function createSignedRequests(nonceStore, { maxAge }) {
+  let purgeTimer;
+  const pending = new Set();
+
+  const signedRequests = {
+    /**
+     * Verifies a signed request and uses up its nonce.
+     * @async
+     * @param {string} operation - The operation, i.e. the route name without the leading '/'.
+     * @param {Object} body - The request body, including `nonce`, `timestamp` and `signature`.
+     * @param {string} publicKey - The public key of the expected signer.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<string|undefined>} Why the request is rejected, or undefined if it is valid.
+     */
+    async verify(operation, body, publicKey, now = Date.now()) {
+      const { nonce, timestamp, signature } = body;
+
+      if (typeof nonce !== "string" || !NONCE.test(nonce)) {
+        return "A nonce of 16 to 128 letters, digits, '_' or '-' is required.";
+      }
+      if (!Number.isInteger(timestamp)) {
+        return "A timestamp in milliseconds is required.";
+      }
+      if (Math.abs(now - timestamp) > maxAge) {
+        return "Request timestamp is too old or too far in the future.";
+      }
+      if (
+        !publicKey ||
+        !verifySignature(signedMessage(operation, body), signature, publicKey)
+      ) {
+        return "Signature verification failed";
+      }
+
+      const key = `${publicKey}/${nonce}`;
+      if (pending.has(key)) return "Nonce has already been used.";
+
+      // The nonce is claimed before the lookup yields, so that a concurrent copy
+      // of the request cannot pass the check too
+      pending.add(key);
+      try {
+        if (await nonceStore.get(key)) return "Nonce has already been used.";
+
+        // Nonces are temporary, so they are not pinned
+        await nonceStore.put({ _id: key, expiresAt: timestamp + maxAge });
+      } finally {
+        pending.delete(key);
+      }
+      return undefined;
+    },
+
+    /**
+     * Deletes the used nonces whose requests have become too old to be accepted.
+     * @async
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<number>} The number of purged nonces.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await nonceStore.listByPrefix("")).filter(
+        (usedNonce) => usedNonce.expiresAt < now
+      );
+      for (const usedNonce of expired) {
+        await nonceStore.del(usedNonce._id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired nonces periodically.
+     */
+    startPurging() {
+      purgeTimer = setInterval(async () => {
+        try {
+          const purged = await signedRequests.purgeExpired();
+          if (purged > 0) console.log(`Purged ${purged} expired nonces`);
+        } catch (error) {
+          console.error("Nonce purge failed:", error);
+        }
+      }, PURGE_INTERVAL);
+      purgeTimer.unref();
+    },
+
+    /**
+     * Stops purging expired nonces.
+     */
+    stopPurging() {
+      clearInterval(purgeTimer);
+    },
+  };
+
+  return signedRequests;
+}
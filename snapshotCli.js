@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import { openStore, storageAdapter, storagePath } from "./storage.js";
+import { findRunningServer } from "./serverLock.js";
+import { withPathIndex } from "./pathIndex.js";
+import {
+  checkSnapshotFilter,
+  exportSnapshot,
+  IMPORT_MODES,
+  importSnapshot,
+} from "./snapshots.js";
+
+const USAGE = `Usage:
+  fabstirdb-snapshot export <file> [--prefix <path>] [--owner <publicKey>]
+  fabstirdb-snapshot import <file> [--mode merge|replace]`;
+
+/**
+ * Opens the user and ACL stores with the configured storage adapter.
+ * With OrbitDB, the server must be stopped first, since both cannot hold the same repo.
+ * @async
+ * @returns {Promise<{userDb: import("./pathIndex.js").IndexedStore, aclStore: import("./storage.js").StorageAdapter}>} The stores.
+ */
+async function openSnapshotStores() {
+  const aclStore = await openStore("acl_store");
+  const userDb = await withPathIndex(await openStore("users"));
+  return { userDb, aclStore };
+}
+
+/**
+ * Runs the command given on the command line.
+ * @async
+ * @returns {Promise<number>} The exit code.
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      prefix: { type: "string" },
+      owner: { type: "string" },
+      mode: { type: "string", default: "merge" },
+    },
+  });
+  const [command, file] = positionals;
+  if (!["export", "import"].includes(command) || !file) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (storageAdapter === "memory") {
+    console.error(
+      "The memory storage adapter keeps nothing between runs; set STORAGE_ADAPTER to orbitdb or file."
+    );
+    return 1;
+  }
+
+  if (command === "export") {
+    const filter = {
+      ...(values.prefix !== undefined && { prefix: values.prefix }),
+      ...(values.owner !== undefined && { owner: values.owner }),
+    };
+    const filterError = checkSnapshotFilter(filter);
+    if (filterError) {
+      console.error(filterError);
+      return 1;
+    }
+
+    const stores = await openSnapshotStores();
+    await fs.writeFile(file, await exportSnapshot(stores, filter));
+    console.log(`Snapshot written to ${file}`);
+    await Promise.all(Object.values(stores).map((store) => store.close()));
+    return 0;
+  }
+
+  if (!IMPORT_MODES.includes(values.mode)) {
+    console.error(`--mode must be one of: ${IMPORT_MODES.join(", ")}.`);
+    return 1;
+  }
+
+  // The server holds the stores in memory and would overwrite the import
+  const running = await findRunningServer(storagePath);
+  if (running !== undefined) {
+    console.error(
+      `The server (pid ${running}) is using ${storagePath}; stop it first, or use POST /admin/import-snapshot.`
+    );
+    return 1;
+  }
+
+  const text = await fs.readFile(file, "utf8");
+  const stores = await openSnapshotStores();
+  const result = await importSnapshot(stores, text, { mode: values.mode });
+  await Promise.all(Object.values(stores).map((store) => store.close()));
+  if (result.err) {
+    console.error(`Import failed: ${result.err}`);
+    return 1;
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  return 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error("Snapshot command failed:", error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,377 @@
+import { findOwner, isPublicKey, spaceOwner } from "./acl.js";
+import { isAccount } from "./accounts.js";
+import { parseHashedPath, verifyContent } from "./contentHashes.js";
+import { verifyProvenance } from "./provenance.js";
+import { createMemoryAdapter } from "./storage.js";
+
+export const SNAPSHOT_FORMAT = "fabstirdb-snapshot";
+export const SNAPSHOT_VERSION = 1;
+export const IMPORT_MODES = ["merge", "replace"];
+
+// The stores a snapshot holds, in the order they are written and imported, so
+// that the ACL entries of a path exist before its data
+const SNAPSHOT_STORES = ["acl_store", "users"];
+
+const ACCESS_LISTS = ["allowedPublicKeys", "allowedReaders", "allowedDeleters"];
+
+/**
+ * Validates the filter of a snapshot.
+ * @param {Object} filter - The filter.
+ * @param {string} [filter.prefix] - Only entries whose path starts with the prefix.
+ * @param {string} [filter.owner] - Only entries owned by the public key.
+ * @returns {string|undefined} Why the filter is invalid, or undefined if it is valid.
+ */
+export function checkSnapshotFilter({ prefix, owner } = {}) {
+  if (prefix !== undefined && typeof prefix !== "string") {
+    return "prefix must be a string.";
+  }
+  if (owner !== undefined && !isPublicKey(owner)) {
+    return "owner must be a public key.";
+  }
+  return undefined;
+}
+
+/**
+ * Returns the entries of the user and ACL stores selected by a filter. ACL entries
+ * are owned by their `owner`; accounts by their `publicKey`; data by the owner of
+ * the nearest ACL entry on its path.
+ *
+ * @async
+ * @param {Object} stores - The stores.
+ * @param {import("./storage.js").StorageAdapter} stores.userDb - The user store.
+ * @param {import("./storage.js").StorageAdapter} stores.aclStore - The ACL store.
+ * @param {Object} [filter={}] - The filter, as accepted by `checkSnapshotFilter`.
+ * @returns {Promise<{acl_store: Object[], users: Object[]}>} The documents of each store, sorted by `_id`.
+ */
+export async function selectEntries({ userDb, aclStore }, filter = {}) {
+  const { prefix = "", owner } = filter;
+  const acl = await aclStore.listByPrefix(prefix);
+  const users = await userDb.listByPrefix(prefix);
+  if (owner === undefined) return { acl_store: acl, users };
+
+  const owned = [];
+  for (const doc of users) {
+    const docOwner = isAccount(doc)
+      ? doc.publicKey
+      : await findOwner(aclStore, doc._id);
+    if (docOwner === owner) owned.push(doc);
+  }
+
+  return {
+    acl_store: acl.filter((doc) => doc.owner === owner),
+    users: owned,
+  };
+}
+
+/**
+ * Exports the user and ACL stores as a snapshot in JSON lines: a header line,
+ * `{ format, version, createdAt, filter, counts }`, followed by one
+ * `{ store, doc }` line per entry.
+ *
+ * @async
+ * @param {Object} stores - The stores, as accepted by `selectEntries`.
+ * @param {Object} [filter={}] - The filter, as accepted by `checkSnapshotFilter`.
+ * @returns {Promise<string>} The snapshot.
+ */
+export async function exportSnapshot(stores, filter = {}) {
+  const selected = await selectEntries(stores, filter);
+  const header = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: Date.now(),
+    filter,
+    counts: Object.fromEntries(
+      SNAPSHOT_STORES.map((store) => [store, selected[store].length])
+    ),
+  };
+
+  const lines = [JSON.stringify(header)];
+  for (const store of SNAPSHOT_STORES) {
+    for (const doc of selected[store]) {
+      lines.push(JSON.stringify({ store, doc }));
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Validates a document of an ACL entry: it must have an owner, which an import
+ * keeps, and its access lists must be lists of public keys or references.
+ * @param {Object} doc - The document.
+ * @returns {string|undefined} Why the document is invalid, or undefined if it is valid.
+ */
+function checkAclEntry(doc) {
+  if (!isPublicKey(doc.owner)) return "ACL entry has no valid owner.";
+
+  for (const field of ACCESS_LISTS) {
+    const list = doc[field];
+    if (
+      list !== undefined &&
+      (!Array.isArray(list) || !list.every((key) => typeof key === "string"))
+    ) {
+      return `${field} must be an array of strings.`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Validates a document of the user store: accounts must have a valid public
+ * key, hashed data must match its hash and signed data its signature.
+ * @async
+ * @param {Object} doc - The document.
+ * @returns {Promise<string|undefined>} Why the document is invalid, or undefined if it is valid.
+ */
+async function checkUserEntry(doc) {
+  if (isAccount(doc)) {
+    return isPublicKey(doc.publicKey)
+      ? undefined
+      : "Account has no valid public key.";
+  }
+
+  if (doc._id.startsWith("%23")) {
+    const parsed = parseHashedPath(doc._id);
+    if (parsed.err) return parsed.err;
+    if (!(await verifyContent(parsed, doc.data))) {
+      return "Data does not match its hash.";
+    }
+  }
+
+  if (doc.provenance !== undefined) {
+    const { publicKey, signature } = doc.provenance;
+    if (
+      !isPublicKey(publicKey) ||
+      verifyProvenance(doc._id, doc.data, signature, publicKey).err
+    ) {
+      return "Data signature verification failed.";
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parses and validates a snapshot. Every line is checked before anything is
+ * imported, so a damaged or truncated snapshot is rejected as a whole.
+ *
+ * @async
+ * @param {string} text - The snapshot, in JSON lines.
+ * @returns {Promise<{header?: Object, entries?: {store: string, doc: Object}[], err?: string}>}
+ * The snapshot, or why it is invalid, with the number of the offending line.
+ */
+export async function parseSnapshot(text) {
+  if (typeof text !== "string") return { err: "Snapshot must be JSON lines." };
+
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  const records = [];
+  for (const [i, line] of lines.entries()) {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      return { err: `Line ${i + 1}: invalid JSON.` };
+    }
+  }
+
+  const [header, ...entries] = records;
+  if (header?.format !== SNAPSHOT_FORMAT) {
+    return { err: "Line 1: not a snapshot header." };
+  }
+  if (header.version !== SNAPSHOT_VERSION) {
+    return {
+      err: `Line 1: unsupported snapshot version ${header.version}; expected ${SNAPSHOT_VERSION}.`,
+    };
+  }
+  const filterError = checkSnapshotFilter(header.filter);
+  if (filterError) return { err: `Line 1: ${filterError}` };
+
+  const seen = new Set();
+  for (const [i, entry] of entries.entries()) {
+    const line = `Line ${i + 2}`;
+    const { store, doc } = entry ?? {};
+
+    if (!SNAPSHOT_STORES.includes(store)) {
+      return { err: `${line}: unknown store.` };
+    }
+    if (typeof doc?._id !== "string" || doc._id === "") {
+      return { err: `${line}: entry has no _id.` };
+    }
+    if (seen.has(`${store}:${doc._id}`)) {
+      return { err: `${line}: duplicate entry ${doc._id}.` };
+    }
+    seen.add(`${store}:${doc._id}`);
+
+    const error =
+      store === "acl_store" ? checkAclEntry(doc) : await checkUserEntry(doc);
+    if (error) return { err: `${line}: ${error}` };
+  }
+
+  for (const store of SNAPSHOT_STORES) {
+    const count = entries.filter((entry) => entry.store === store).length;
+    if (header.counts?.[store] !== count) {
+      return {
+        err: `Snapshot holds ${count} ${store} entries but its header lists ${header.counts?.[store]}; it may be truncated.`,
+      };
+    }
+  }
+
+  return { header, entries };
+}
+
+/**
+ * Returns the owner of a path: the owner of the nearest ACL entry on the path or
+ * its ancestors or, if there is none, the user whose space the path is in.
+ * @async
+ * @param {import("./storage.js").StorageAdapter} aclStore - The ACL entries.
+ * @param {string} path - The path.
+ * @returns {Promise<string|undefined>} The owner's public key, or undefined if the path has no owner.
+ */
+const ownerOf = async (aclStore, path) =>
+  (await findOwner(aclStore, path)) || spaceOwner(path);
+
+/**
+ * Checks whether an entry of a snapshot can be imported without taking a path
+ * or an account from its current owner.
+ * @async
+ * @param {Object} stores - The stores, as accepted by `selectEntries`.
+ * @param {Object} doc - The document.
+ * @param {string} store - The store of the document, 'acl_store' or 'users'.
+ * @param {Object} context - What is known about the snapshot and the stores.
+ * @param {import("./storage.js").StorageAdapter} context.snapshotAclStore - The ACL entries of the snapshot.
+ * @param {Map<string, string>} context.accountsByKey - The alias of the account of each public key.
+ * @returns {Promise<boolean>} True if the entry can be imported.
+ */
+async function checkImport(
+  { userDb, aclStore },
+  doc,
+  store,
+  { snapshotAclStore, accountsByKey }
+) {
+  if (store === "acl_store") {
+    const owner = await ownerOf(aclStore, doc._id);
+    return owner === undefined || owner === doc.owner;
+  }
+
+  if (isAccount(doc)) {
+    const existing = await userDb.get(doc._id);
+    const alias = accountsByKey.get(doc.publicKey);
+    return (
+      (!existing ||
+        (isAccount(existing) && existing.publicKey === doc.publicKey)) &&
+      (alias === undefined || alias === doc._id)
+    );
+  }
+
+  const existing = await userDb.get(doc._id);
+  if (existing && isAccount(existing)) return false;
+
+  const owner = await ownerOf(aclStore, doc._id);
+  return (
+    owner === undefined || owner === (await ownerOf(snapshotAclStore, doc._id))
+  );
+}
+
+/**
+ * Imports a snapshot into the user and ACL stores.
+ *
+ * In 'merge' mode, entries of the snapshot are added to the stores, replacing
+ * entries at the same paths. In 'replace' mode, the entries selected by the
+ * snapshot's filter are deleted first, so that the stores hold what the snapshot
+ * holds within that selection. If deleting or writing an entry fails, the changes
+ * made before it are undone, as `applyBatch` does, and the error is thrown.
+ *
+ * In both modes the owners of ACL entries are kept as they are in the snapshot,
+ * and an import never takes a path or an account from its current owner. These
+ * entries are skipped as conflicts:
+ * - an ACL entry whose path already has another owner;
+ * - an account whose alias holds another account or data, or whose public key
+ *   belongs to an account with another alias;
+ * - data at the alias of an account, or whose path already has an owner other
+ *   than its owner in the snapshot.
+ * The owner of a path is the owner of the nearest ACL entry on the path or its
+ * ancestors or, if there is none, the user whose space 'users/<publicKey>' it is in.
+ *
+ * @async
+ * @param {Object} stores - The stores, as accepted by `selectEntries`.
+ * @param {string} text - The snapshot, in JSON lines.
+ * @param {Object} options - The options.
+ * @param {string} options.mode - 'merge' or 'replace'.
+ * @param {function(import("./storage.js").StorageAdapter, string): Promise<void>} [options.pinEntry] - Pins an entry written to a store.
+ * @returns {Promise<{mode?: string, imported?: Object<string, number>, removed?: Object<string, number>, conflicts?: string[], err?: string}>}
+ * The number of entries imported and removed per store and the paths skipped, or why the snapshot is rejected.
+ * @throws {Error} If an entry cannot be deleted or written, after undoing the changes made before it.
+ */
+export async function importSnapshot(stores, text, { mode, pinEntry }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    return { err: `mode must be one of: ${IMPORT_MODES.join(", ")}.` };
+  }
+
+  const parsed = await parseSnapshot(text);
+  if (parsed.err) return parsed;
+  const { header, entries } = parsed;
+
+  const storeOf = { acl_store: stores.aclStore, users: stores.userDb };
+  const removed = { acl_store: 0, users: 0 };
+  const imported = { acl_store: 0, users: 0 };
+  const conflicts = [];
+
+  const undo = [];
+  try {
+    if (mode === "replace") {
+      const selected = await selectEntries(stores, header.filter);
+      for (const store of [...SNAPSHOT_STORES].reverse()) {
+        for (const doc of selected[store]) {
+          await storeOf[store].del(doc._id);
+          undo.push(() => storeOf[store].put(doc));
+          removed[store]++;
+        }
+      }
+    }
+
+    // The owners of paths within the snapshot are those of its own ACL entries
+    const snapshotAclStore = createMemoryAdapter(
+      entries
+        .filter((entry) => entry.store === "acl_store")
+        .map(({ doc }) => doc)
+    );
+
+    const accountsByKey = new Map();
+    for (const doc of await stores.userDb.listByPrefix("")) {
+      if (isAccount(doc)) accountsByKey.set(doc.publicKey, doc._id);
+    }
+
+    for (const { store, doc } of entries) {
+      if (
+        !(await checkImport(stores, doc, store, {
+          snapshotAclStore,
+          accountsByKey,
+        }))
+      ) {
+        conflicts.push(doc._id);
+        continue;
+      }
+      if (store === "users" && isAccount(doc)) {
+        accountsByKey.set(doc.publicKey, doc._id);
+      }
+
+      const previous = await storeOf[store].get(doc._id);
+      const cid = await storeOf[store].put(doc);
+      undo.push(() =>
+        previous ? storeOf[store].put(previous) : storeOf[store].del(doc._id)
+      );
+      if (pinEntry) await pinEntry(storeOf[store], cid);
+      imported[store]++;
+    }
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error("Failed to undo snapshot import:", undoError);
+      }
+    }
+    throw error;
+  }
+
+  return { mode, imported, removed, conflicts };
+}
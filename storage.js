@@ -0,0 +1,460 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import fs from "fs/promises";
+import nodePath from "path";
+import { initUserDB } from "./initUserDB.js";
+import { initAclDB, initServerDB } from "./initAclDB.js";
+import { withPathIndex } from "./pathIndex.js";
+
+import { config } from "dotenv";
+config();
+
+// The storage adapter selected with STORAGE_ADAPTER
+export const storageAdapter = process.env.STORAGE_ADAPTER || "orbitdb";
+export const storagePath = process.env.STORAGE_PATH || "./data";
+
+// Stores holding state private to this server, such as used nonces, sessions and
+// rate-limit counters. They are never replicated: with OrbitDB they are kept in
+// files under STORAGE_PATH instead.
+const LOCAL_STORES = [
+  "nonces",
+  "challenges",
+  "sessions",
+  "rate_limits",
+  "tombstones",
+  "pins",
+];
+
+// Stores of large documents, such as the deleted documents kept by tombstones.
+// On disk they are kept as append-only logs, so that a change does not rewrite
+// the documents of the others.
+const LOG_STORES = ["tombstones"];
+
+/**
+ * A document store holding `{ _id, ... }` documents.
+ * Every backend the server can run against implements this interface.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} kind - The backend type ('orbitdb', 'memory', 'file' or 'log').
+ * @property {function(string): Promise<Object|undefined>} get - Returns the document whose `_id` equals the key.
+ * @property {function(string): Promise<string|undefined>} hashOf - Returns the entry hash of the document whose `_id` equals the key.
+ * @property {function(Object): Promise<string>} put - Stores a document and resolves to its entry hash.
+ * @property {function(string): Promise<string>} del - Deletes the document with the given `_id`.
+ * @property {function(string): Promise<Object[]>} listByPrefix - Returns all documents whose `_id` starts with the prefix, sorted by `_id`.
+ * @property {function(): Promise<void>} close - Releases the underlying resources.
+ * @property {EventEmitter} events - Emits a 'change' event ({@link StorageChange}) for every local or replicated put and delete.
+ */
+
+/**
+ * A change to a single document of a store.
+ *
+ * @typedef {Object} StorageChange
+ * @property {string} type - 'put' or 'del'.
+ * @property {string} path - The `_id` of the changed document.
+ * @property {Object} [doc] - The stored document, for puts.
+ * @property {string} origin - 'local' for writes made through the adapter, 'replicated' for writes received from peers.
+ */
+
+const byId = (a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+
+const hashEntry = (doc) =>
+  crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex");
+
+/**
+ * Wraps an OrbitDB docstore in the storage adapter interface.
+ * @param {Object} db - An opened and loaded OrbitDB docstore.
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createOrbitDBAdapter(db) {
+  const events = new EventEmitter();
+
+  // Entry hash of every document, used to work out what a replication changed
+  const snapshot = () =>
+    new Map(
+      db
+        .query(() => true, { fullOp: true })
+        .map((op) => [
+          op.payload.key,
+          op.hash || JSON.stringify(op.payload.value),
+        ])
+    );
+  let heads = snapshot();
+
+  db.events.on("replicated", () => {
+    const previous = heads;
+    heads = snapshot();
+
+    for (const [key, hash] of heads) {
+      if (previous.get(key) !== hash) {
+        const doc = db._index.get(key);
+        events.emit("change", {
+          type: "put",
+          path: key,
+          doc,
+          origin: "replicated",
+        });
+      }
+    }
+    for (const key of previous.keys()) {
+      if (!heads.has(key)) {
+        events.emit("change", { type: "del", path: key, origin: "replicated" });
+      }
+    }
+  });
+
+  return {
+    kind: "orbitdb",
+    events,
+    // docstore.get() scans for any _id containing the key, so read the index directly.
+    // db.index is the index's plain object of entries; db._index is the index itself.
+    get: async (key) => db._index.get(key) ?? undefined,
+    hashOf: async (key) => (db._index.get(key) ? heads.get(key) : undefined),
+    put: async (doc) => {
+      const hash = await db.put(doc);
+      heads.set(doc._id, hash);
+      events.emit("change", {
+        type: "put",
+        path: doc._id,
+        doc,
+        origin: "local",
+      });
+      return hash;
+    },
+    del: async (key) => {
+      const hash = await db.del(key);
+      heads.delete(key);
+      events.emit("change", { type: "del", path: key, origin: "local" });
+      return hash;
+    },
+    listByPrefix: async (prefix) =>
+      db.query((doc) => doc._id.startsWith(prefix)).sort(byId),
+    close: () => db.close(),
+  };
+}
+
+/**
+ * Creates a storage adapter that keeps documents in memory only.
+ * @param {Object[]} [docs=[]] - Documents to seed the store with.
+ * @returns {StorageAdapter} The adapter.
+ */
+export function createMemoryAdapter(docs = []) {
+  const entries = new Map(docs.map((doc) => [doc._id, structuredClone(doc)]));
+  const events = new EventEmitter();
+
+  return {
+    kind: "memory",
+    events,
+    get: async (key) => {
+      const doc = entries.get(key);
+      return doc && structuredClone(doc);
+    },
+    hashOf: async (key) => {
+      const doc = entries.get(key);
+      return doc && hashEntry(doc);
+    },
+    put: async (doc) => {
+      if (typeof doc?._id !== "string") {
+        throw new Error("The provided document doesn't contain field '_id'");
+      }
+      entries.set(doc._id, structuredClone(doc));
+      events.emit("change", {
+        type: "put",
+        path: doc._id,
+        doc: structuredClone(doc),
+        origin: "local",
+      });
+      return hashEntry(doc);
+    },
+    del: async (key) => {
+      if (!entries.has(key)) {
+        throw new Error(`No entry with key '${key}' in the database`);
+      }
+      entries.delete(key);
+      events.emit("change", { type: "del", path: key, origin: "local" });
+      return hashEntry({ _id: key, deleted: true });
+    },
+    listByPrefix: async (prefix) =>
+      [...entries.values()]
+        .filter((doc) => doc._id.startsWith(prefix))
+        .sort(byId)
+        .map((doc) => structuredClone(doc)),
+    close: async () => {},
+  };
+}
+
+/**
+ * Creates a storage adapter backed by a local JSON file.
+ * The whole store is held in memory, and every change rewrites the whole file, so
+ * this adapter only suits small stores. A change is applied in memory only once
+ * the file has been written, so that a failed write leaves both as they were.
+ * @async
+ * @param {string} filePath - The file holding the store's documents.
+ * @returns {Promise<StorageAdapter>} The adapter.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+export async function createFileAdapter(filePath) {
+  let docs = [];
+  try {
+    docs = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const memory = createMemoryAdapter(docs);
+  /** @type {Promise<unknown>} */
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Writes the store's documents to the file, replacing it atomically.
+   * @async
+   * @param {Object[]} nextDocs - The documents.
+   * @returns {Promise<void>}
+   */
+  const writeFile = async (nextDocs) => {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(nodePath.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(nextDocs));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  /**
+   * Runs a change after the ones queued before it. Changes are chained so that
+   * each one is written on top of the previous one; a failed change rejects only
+   * its own call, not the ones queued after it.
+   * @template T
+   * @param {function(): Promise<T>} change - The change.
+   * @returns {Promise<T>} The result of the change.
+   */
+  const enqueue = (change) => {
+    const result = pendingWrite.then(change);
+    pendingWrite = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    ...memory,
+    kind: "file",
+    put: (doc) => {
+      if (typeof doc?._id !== "string") {
+        return Promise.reject(
+          new Error("The provided document doesn't contain field '_id'")
+        );
+      }
+      return enqueue(async () => {
+        const current = await memory.listByPrefix("");
+        await writeFile([...current.filter(({ _id }) => _id !== doc._id), doc]);
+        return memory.put(doc);
+      });
+    },
+    del: (key) =>
+      enqueue(async () => {
+        const current = await memory.listByPrefix("");
+        if (!current.some(({ _id }) => _id === key)) {
+          throw new Error(`No entry with key '${key}' in the database`);
+        }
+        await writeFile(current.filter(({ _id }) => _id !== key));
+        return memory.del(key);
+      }),
+    close: async () => {
+      await pendingWrite;
+    },
+  };
+}
+
+/**
+ * Creates a storage adapter backed by a local append-only log of changes, one JSON
+ * line per put or delete. As with the file adapter, the whole store is held in
+ * memory, but a change only appends its own line, so that stores of large documents
+ * are not rewritten on every change. The log is compacted to one line per document
+ * when it is opened, and whenever it holds more superseded lines than documents.
+ * @async
+ * @param {string} filePath - The file holding the store's log.
+ * @returns {Promise<StorageAdapter>} The adapter.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+export async function createLogAdapter(filePath) {
+  const docs = new Map();
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const lines = (text ?? "").split("\n").filter(Boolean);
+  lines.forEach((line, i) => {
+    let change;
+    try {
+      change = JSON.parse(line);
+    } catch (error) {
+      // A crash while appending leaves the last line incomplete
+      if (i === lines.length - 1) return;
+      throw error;
+    }
+    if ("del" in change) docs.delete(change.del);
+    else docs.set(change.put._id, change.put);
+  });
+
+  const memory = createMemoryAdapter([...docs.values()]);
+  let size = docs.size;
+  // Lines of the log that a later line supersedes
+  let stale = 0;
+  /** @type {Promise<unknown>} */
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Appends a change to the log.
+   * @async
+   * @param {Object} change - `{ put: doc }` or `{ del: key }`.
+   * @returns {Promise<void>}
+   */
+  const append = async (change) => {
+    await fs.mkdir(nodePath.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(change)}\n`);
+  };
+
+  /**
+   * Replaces the log with one line per document, atomically.
+   * @async
+   * @returns {Promise<void>}
+   */
+  const compact = async () => {
+    const current = await memory.listByPrefix("");
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(nodePath.dirname(filePath), { recursive: true });
+    await fs.writeFile(
+      tmpPath,
+      current.map((doc) => `${JSON.stringify({ put: doc })}\n`).join("")
+    );
+    await fs.rename(tmpPath, filePath);
+    stale = 0;
+  };
+
+  /**
+   * Runs a change after the ones queued before it, as the file adapter does, and
+   * compacts the log once it holds more superseded lines than documents.
+   * @template T
+   * @param {function(): Promise<T>} change - The change.
+   * @returns {Promise<T>} The result of the change.
+   */
+  const enqueue = (change) => {
+    const result = pendingWrite.then(async () => {
+      const changed = await change();
+      if (stale > size) {
+        // The change is in the log already, so a failed compaction can wait
+        await compact().catch((error) =>
+          console.error(`Failed to compact ${filePath}:`, error)
+        );
+      }
+      return changed;
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+  };
+
+  if (text !== undefined && lines.length > docs.size) await compact();
+
+  return {
+    ...memory,
+    kind: "log",
+    put: (doc) => {
+      if (typeof doc?._id !== "string") {
+        return Promise.reject(
+          new Error("The provided document doesn't contain field '_id'")
+        );
+      }
+      return enqueue(async () => {
+        await append({ put: doc });
+        if (await memory.hashOf(doc._id)) stale++;
+        else size++;
+        return memory.put(doc);
+      });
+    },
+    del: (key) =>
+      enqueue(async () => {
+        if (!(await memory.hashOf(key))) {
+          throw new Error(`No entry with key '${key}' in the database`);
+        }
+        await append({ del: key });
+        stale += 2;
+        size--;
+        return memory.del(key);
+      }),
+    close: async () => {
+      await pendingWrite;
+    },
+  };
+}
+
+/**
+ * Opens a named store kept in a local file under STORAGE_PATH: an append-only log
+ * for the stores of large documents, a JSON file for the others.
+ * @async
+ * @param {string} name - The store name.
+ * @returns {Promise<StorageAdapter>} The opened store.
+ * @throws {Error} If the file exists but cannot be read or parsed.
+ */
+const openLocalStore = (name) =>
+  LOG_STORES.includes(name)
+    ? createLogAdapter(nodePath.join(storagePath, `${name}.jsonl`))
+    : createFileAdapter(nodePath.join(storagePath, `${name}.json`));
+
+/**
+ * Opens a single named store with the configured storage adapter.
+ * With OrbitDB, every store other than 'users' is only writable by the server,
+ * and the stores private to this server are kept in local files (see `openLocalStore`).
+ * @async
+ * @param {string} name - The store name, e.g. 'users', 'acl_store' or 'groups'.
+ * @returns {Promise<StorageAdapter>} The opened store.
+ * @throws {Error} If the configured adapter is unknown or the store fails to open.
+ */
+export async function openStore(name) {
+  switch (storageAdapter) {
+    case "orbitdb":
+      if (LOCAL_STORES.includes(name)) return openLocalStore(name);
+      if (name === "users") return createOrbitDBAdapter(await initUserDB());
+      if (name === "acl_store") return createOrbitDBAdapter(await initAclDB());
+      return createOrbitDBAdapter(await initServerDB(name));
+    case "memory":
+      return createMemoryAdapter();
+    case "file":
+      return openLocalStore(name);
+    default:
+      throw new Error(`Unknown storage adapter: ${storageAdapter}`);
+  }
+}
+
+/**
+ * Initializes the ACL and user stores with the adapter selected by the
+ * `STORAGE_ADAPTER` environment variable ('orbitdb', 'memory' or 'file').
+ * The user and history stores are wrapped with a path index.
+ * @async
+ * @returns {Promise<{aclStore: StorageAdapter, userDb: import("./pathIndex.js").IndexedStore, tombstoneStore: StorageAdapter, groupStore: StorageAdapter, nonceStore: StorageAdapter, challengeStore: StorageAdapter, sessionStore: StorageAdapter, aliasStore: StorageAdapter, profileStore: StorageAdapter, historyStore: import("./pathIndex.js").IndexedStore, pinStore: StorageAdapter, rateLimitStore?: StorageAdapter}>}
+ * The opened stores. The server adds `rateLimitStore` when rate limits are kept in storage.
+ * @throws {Error} If any store fails to open.
+ */
+export async function initStorage() {
+  const aclStore = await openStore("acl_store");
+  const userDb = await withPathIndex(await openStore("users"));
+  const tombstoneStore = await openStore("tombstones");
+  const groupStore = await openStore("groups");
+  const nonceStore = await openStore("nonces");
+  const challengeStore = await openStore("challenges");
+  const sessionStore = await openStore("sessions");
+  const aliasStore = await openStore("aliases");
+  const profileStore = await openStore("profiles");
+  const historyStore = await withPathIndex(await openStore("history"));
+  const pinStore = await openStore("pins");
+  return {
+    aclStore,
+    userDb,
+    tombstoneStore,
+    groupStore,
+    nonceStore,
+    challengeStore,
+    sessionStore,
+    aliasStore,
+    profileStore,
+    historyStore,
+    pinStore,
+  };
+}
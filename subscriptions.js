@@ -0,0 +1,82 @@
+import { isWithinPath } from "./capabilities.js";
+
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * Checks whether a changed path is covered by a subscription. A prefix
+ * subscription covers the path and the paths below it, segment by segment:
+ * 'notes' covers 'notes/a' but not 'notes2'. The empty path covers every path.
+ * @param {Object} subscription - The subscription.
+ * @param {string} subscription.path - The subscribed path.
+ * @param {boolean} subscription.prefix - Whether paths below the subscribed path match too.
+ * @param {string} changedPath - The path of the changed document.
+ * @returns {boolean} True if the subscriber should be notified.
+ */
+export function matchesSubscription({ path, prefix }, changedPath) {
+  if (!prefix) return changedPath === path;
+  return path.replace(/\/+$/, "") === "" || isWithinPath(changedPath, path);
+}
+
+/**
+ * Creates a registry of subscribers listening to the changes of a store.
+ * Every change emitted by the store, whether written locally or received
+ * through replication, is passed to the subscribers whose path it matches.
+ *
+ * @param {import("./storage.js").StorageAdapter} store - The store to watch.
+ * @returns {{subscribe: function(Object, function(import("./storage.js").StorageChange): (void|Promise<void>)): function(): void, size: function(): number}}
+ * The registry. `subscribe` returns a function that removes the subscriber.
+ */
+export function createSubscriptions(store) {
+  const subscribers = new Set();
+
+  store.events.on("change", (change) => {
+    for (const subscriber of subscribers) {
+      if (!matchesSubscription(subscriber.subscription, change.path)) continue;
+
+      Promise.resolve()
+        .then(() => subscriber.notify(change))
+        .catch((error) => console.error("Failed to notify subscriber:", error));
+    }
+  });
+
+  return {
+    subscribe(subscription, notify) {
+      const subscriber = { subscription, notify };
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+    size: () => subscribers.size,
+  };
+}
+
+/**
+ * Turns an Express response into a Server-Sent Events stream.
+ * A comment line is sent periodically so that proxies keep the connection open.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {function(): void} onClose - Called once the client disconnects.
+ * @returns {function(string, Object): void} A function sending an event with a JSON payload.
+ */
+export function openEventStream(req, res, onClose) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+}
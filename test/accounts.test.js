@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createAccounts } from "../accounts.js";
+import { createMemoryAdapter } from "../storage.js";
+
+/**
+ * Creates the stores used by the account operations, without pinning.
+ */
+const createStores = () => ({
+  userDb: createMemoryAdapter(),
+  aclStore: createMemoryAdapter(),
+  groupStore: createMemoryAdapter(),
+  tombstoneStore: createMemoryAdapter(),
+  historyStore: createMemoryAdapter(),
+});
+
+describe("deleteAccount", () => {
+  test("deletes the data within the user's space only", async () => {
+    const stores = createStores();
+    const { userDb, aclStore } = stores;
+    await userDb.put({ _id: "alice", publicKey: "alice-key" });
+    await userDb.put({ _id: "users/alice-key/notes", data: "mine" });
+    await userDb.put({ _id: "forum/post", data: "someone else's" });
+    await aclStore.put({ _id: "users/alice-key", owner: "alice-key" });
+    await aclStore.put({ _id: "forum", owner: "alice-key" });
+    await aclStore.put({
+      _id: "users/bob-key",
+      owner: "bob-key",
+      allowedReaders: ["alice-key"],
+    });
+
+    const accounts = createAccounts(stores, { pinEntry: async () => {} });
+    const deleted = await accounts.deleteAccount("alice", "alice-key");
+
+    assert.deepEqual(deleted, {
+      deletedPaths: 1,
+      deletedAccessRights: 2,
+      deletedGroups: 0,
+    });
+    assert.deepEqual(
+      (await userDb.listByPrefix("")).map(({ _id }) => _id),
+      ["forum/post"]
+    );
+    assert.deepEqual(await aclStore.listByPrefix(""), [
+      { _id: "users/bob-key", owner: "bob-key", allowedReaders: [] },
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  createAccessControl,
+  describeAccess,
+  findOwner,
+  getOrCreateAccessRights,
+  walkAccessRights,
+} from "../acl.js";
+import { createMemoryAdapter } from "../storage.js";
+
+const ALICE = "alice-key";
+const BOB = "bob-key";
+const CAROL = "carol-key";
+
+/**
+ * Creates the ACL and group stores of Alice's space, where Bob may write to
+ * 'docs' and Carol may read the private 'docs/secret'.
+ */
+const createStores = () => ({
+  aclStore: createMemoryAdapter([
+    {
+      _id: `users/${ALICE}`,
+      owner: ALICE,
+      allowedPublicKeys: [ALICE],
+    },
+    {
+      _id: `users/${ALICE}/docs`,
+      owner: ALICE,
+      allowedPublicKeys: [BOB],
+    },
+    {
+      _id: `users/${ALICE}/docs/secret`,
+      owner: ALICE,
+      allowedPublicKeys: [],
+      allowedReaders: [CAROL],
+      private: true,
+    },
+  ]),
+  groupStore: createMemoryAdapter([
+    { _id: "team", owner: ALICE, members: [CAROL] },
+  ]),
+});
+
+describe("walkAccessRights", () => {
+  test("visits the entries of a path and its ancestors, most specific first", async () => {
+    const { aclStore } = createStores();
+    const visited = [];
+    await walkAccessRights(
+      aclStore,
+      `users/${ALICE}/docs/secret/x`,
+      (accessRights) => {
+        visited.push(accessRights._id);
+        return undefined;
+      }
+    );
+
+    assert.deepEqual(visited, [
+      `users/${ALICE}/docs/secret`,
+      `users/${ALICE}/docs`,
+      `users/${ALICE}`,
+    ]);
+  });
+
+  test("stops at the first decision", async () => {
+    const { aclStore } = createStores();
+    const visited = [];
+    const decision = await walkAccessRights(
+      aclStore,
+      `users/${ALICE}/docs/x`,
+      (accessRights) => {
+        visited.push(accessRights._id);
+        return false;
+      }
+    );
+
+    assert.equal(decision, false);
+    assert.deepEqual(visited, [`users/${ALICE}/docs`]);
+  });
+});
+
+describe("access control", () => {
+  test("lets owners and writers write, and only owners delete", async () => {
+    const access = createAccessControl(createStores());
+
+    assert.equal(await access.canWrite(ALICE, `users/${ALICE}/a`), true);
+    assert.equal(await access.canWrite(BOB, `users/${ALICE}/docs/a`), true);
+    assert.equal(await access.canWrite(BOB, `users/${ALICE}/a`), false);
+    assert.equal(await access.canWrite(CAROL, `users/${ALICE}/docs`), false);
+    assert.equal(await access.canDelete(ALICE, `users/${ALICE}/docs/a`), true);
+    assert.equal(await access.canDelete(BOB, `users/${ALICE}/docs/a`), false);
+  });
+
+  test("keeps private paths from everyone but their owners, writers and readers", async () => {
+    const access = createAccessControl(createStores());
+    const secret = `users/${ALICE}/docs/secret/a`;
+
+    assert.equal(await access.canRead(undefined, `users/${ALICE}/docs`), true);
+    assert.equal(await access.canRead(undefined, secret), false);
+    assert.equal(await access.canRead(CAROL, secret), true);
+    // Writers of an ancestor are stopped by the private entry
+    assert.equal(await access.canRead(BOB, secret), false);
+    assert.equal(await access.canRead("dave-key", secret), false);
+  });
+
+  test("ignores expired grants and resolves groups", async () => {
+    const stores = createStores();
+    await stores.aclStore.put({
+      _id: `users/${ALICE}/shared`,
+      owner: ALICE,
+      allowedPublicKeys: [BOB, "group:team"],
+      expirations: { allowedPublicKeys: { [BOB]: Date.now() - 1 } },
+    });
+    const access = createAccessControl(stores);
+
+    assert.equal(await access.canWrite(BOB, `users/${ALICE}/shared/a`), false);
+    assert.equal(await access.canWrite(CAROL, `users/${ALICE}/shared/a`), true);
+  });
+});
+
+describe("getOrCreateAccessRights", () => {
+  test("gives a new entry the owner of the nearest ancestor", async () => {
+    const { aclStore } = createStores();
+    const accessRights = await getOrCreateAccessRights(
+      aclStore,
+      `users/${ALICE}/docs/new`,
+      BOB
+    );
+
+    assert.equal(accessRights.owner, ALICE);
+    assert.equal(await findOwner(aclStore, `users/${ALICE}/docs/new`), ALICE);
+  });
+
+  test("gives a new entry in a user's space to that user", async () => {
+    const accessRights = await getOrCreateAccessRights(
+      createMemoryAdapter(),
+      `users/${CAROL}/x`,
+      BOB
+    );
+
+    assert.equal(accessRights.owner, CAROL);
+  });
+
+  test("creates no entry for a shared path without an owner", async () => {
+    assert.equal(
+      await getOrCreateAccessRights(createMemoryAdapter(), "apps/x"),
+      undefined
+    );
+  });
+
+  test("gives a shared path without an owner to a claimant", async () => {
+    const accessRights = await getOrCreateAccessRights(
+      createMemoryAdapter(),
+      "apps/x",
+      BOB
+    );
+
+    assert.equal(accessRights.owner, BOB);
+  });
+});
+
+describe("describeAccess", () => {
+  test("lists who may write, delete and read a path", async () => {
+    const { aclStore } = createStores();
+    const described = await describeAccess(
+      aclStore,
+      `users/${ALICE}/docs/secret/a`
+    );
+
+    assert.equal(described.owner, ALICE);
+    assert.equal(described.private, true);
+    assert.deepEqual(described.writers, [ALICE, BOB]);
+    assert.deepEqual(described.deleters, [ALICE]);
+    assert.deepEqual(described.readers, [ALICE, CAROL]);
+    assert.equal(described.entries.length, 3);
+  });
+});
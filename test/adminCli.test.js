@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { after, beforeEach, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const CLI = fileURLToPath(new URL("../adminCli.js", import.meta.url));
+// Public keys are 32 bytes, in URL-safe base64 without padding
+const ALICE = Buffer.alloc(32, 1).toString("base64url");
+const BOB = Buffer.alloc(32, 2).toString("base64url");
+
+const root = await fs.mkdtemp(nodePath.join(os.tmpdir(), "fabstirdb-admin-"));
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe("fabstirdb-admin", () => {
+  let dir;
+  let stores = 0;
+
+  beforeEach(async () => {
+    dir = nodePath.join(root, `data${stores++}`);
+    await fs.mkdir(dir);
+    await writeStore("users", [
+      { _id: "alice", publicKey: ALICE, hashedPassword: "hash" },
+    ]);
+    await writeStore("sessions", [
+      {
+        _id: "alice/s1",
+        id: "s1",
+        alias: "alice",
+        pub: ALICE,
+        expiresAt: Date.now() + 60 * 1000,
+      },
+    ]);
+  });
+
+  /**
+   * Writes the documents of a store, as the file adapter keeps them.
+   */
+  const writeStore = (name, docs) =>
+    fs.writeFile(nodePath.join(dir, `${name}.json`), JSON.stringify(docs));
+
+  /**
+   * Reads the documents of a store.
+   */
+  const readStore = async (name) => {
+    try {
+      return JSON.parse(
+        await fs.readFile(nodePath.join(dir, `${name}.json`), "utf8")
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  };
+
+  /**
+   * Runs the CLI on the file stores of the test and resolves to its exit code and output.
+   */
+  const run = async (...args) => {
+    try {
+      const { stdout } = await promisify(execFile)(
+        process.execPath,
+        [CLI, ...args],
+        {
+          env: { ...process.env, STORAGE_ADAPTER: "file", STORAGE_PATH: dir },
+        }
+      );
+      return { code: 0, stdout, stderr: "" };
+    } catch (error) {
+      return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+  };
+
+  test("locks and unlocks an account, logging out its sessions", async () => {
+    const locked = await run("users", "lock", "Alice");
+    assert.equal(locked.code, 0, locked.stderr);
+    assert.match(locked.stdout, /Locked alice and revoked 1 sessions/);
+    const [account] = await readStore("users");
+    assert.equal(account.locked, true);
+
+    const listed = await run("users", "list");
+    assert.match(listed.stdout, new RegExp(`^alice\t${ALICE}\tlocked$`, "m"));
+
+    const unlocked = await run("users", "unlock", "alice");
+    assert.equal(unlocked.code, 0, unlocked.stderr);
+    assert.deepEqual(await readStore("users"), [
+      { _id: "alice", publicKey: ALICE, hashedPassword: "hash" },
+    ]);
+  });
+
+  test("grants and revokes access for the owner of the path", async () => {
+    const path = `users/${ALICE}/docs`;
+
+    const granted = await run("acl", "grant", path, BOB, "--access", "read");
+    assert.equal(granted.code, 0, granted.stderr);
+    assert.deepEqual(await readStore("acl_store"), [
+      {
+        _id: path,
+        owner: ALICE,
+        allowedPublicKeys: [],
+        allowedReaders: [BOB],
+      },
+    ]);
+
+    const taken = await run("acl", "grant", path, BOB, "--owner", BOB);
+    assert.equal(taken.code, 1);
+    assert.match(taken.stderr, /is owned by/);
+
+    const revoked = await run("acl", "revoke", path, BOB, "--access", "read");
+    assert.equal(revoked.code, 0, revoked.stderr);
+    assert.deepEqual((await readStore("acl_store"))[0].allowedReaders, []);
+
+    const again = await run("acl", "revoke", path, BOB, "--access", "read");
+    assert.equal(again.code, 1);
+  });
+
+  test("refuses to run while a server is using the stores", async () => {
+    // This process stands in for the running server
+    await fs.writeFile(nodePath.join(dir, "server.lock"), String(process.pid));
+
+    const locked = await run("users", "lock", "alice");
+    assert.equal(locked.code, 1);
+    assert.match(locked.stderr, new RegExp(`pid ${process.pid}`));
+    assert.equal((await readStore("users"))[0].locked, undefined);
+
+    // The lock of a server that is no longer running is ignored
+    await fs.writeFile(nodePath.join(dir, "server.lock"), "999999999");
+    assert.equal((await run("users", "lock", "alice")).code, 0);
+  });
+
+  test("prints the usage for unknown commands and arguments", async () => {
+    for (const args of [
+      ["users", "show"],
+      ["acl", "drop"],
+    ]) {
+      const { code, stderr } = await run(...args);
+      assert.equal(code, 1);
+      assert.match(stderr, /^Usage:/);
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyBatch } from "../batches.js";
+import { createMemoryAdapter } from "../storage.js";
+import { createTombstones } from "../tombstones.js";
+
+const RETENTION = 60 * 1000;
+
+describe("applyBatch", () => {
+  test("applies puts and deletes in order", async () => {
+    const store = createMemoryAdapter([{ _id: "a/old", data: 1 }]);
+    const tombstones = createTombstones(createMemoryAdapter(), {
+      retention: RETENTION,
+    });
+
+    const results = await applyBatch(
+      store,
+      tombstones,
+      [
+        { op: "put", path: "a/new", data: 2 },
+        { op: "delete", path: "a/", paths: ["a/new", "a/old"] },
+        { op: "put", path: "b", data: 3 },
+      ],
+      "alice-key"
+    );
+
+    assert.deepEqual(
+      results.map(({ op, path }) => [op, path]),
+      [
+        ["put", "a/new"],
+        ["delete", "a/"],
+        ["put", "b"],
+      ]
+    );
+    assert.deepEqual(results[1].deletedPaths, ["a/new", "a/old"]);
+    assert.deepEqual(
+      (await store.listByPrefix("")).map(({ _id }) => _id),
+      ["b"]
+    );
+  });
+
+  test("undoes the applied operations when one fails", async () => {
+    const store = createMemoryAdapter([
+      { _id: "kept", data: "before" },
+      { _id: "gone", data: "before" },
+    ]);
+    const tombstoneStore = createMemoryAdapter();
+    const tombstones = createTombstones(tombstoneStore, {
+      retention: RETENTION,
+    });
+    const failing = {
+      ...store,
+      put: async (doc) => {
+        if (doc._id === "fails") throw new Error("write failed");
+        return store.put(doc);
+      },
+    };
+
+    await assert.rejects(
+      applyBatch(
+        failing,
+        tombstones,
+        [
+          { op: "put", path: "kept", data: "after" },
+          { op: "put", path: "added", data: "after" },
+          { op: "delete", path: "gone", paths: ["gone"] },
+          { op: "put", path: "fails", data: "after" },
+        ],
+        "alice-key"
+      ),
+      /write failed/
+    );
+
+    assert.deepEqual(await store.listByPrefix(""), [
+      { _id: "gone", data: "before" },
+      { _id: "kept", data: "before" },
+    ]);
+    assert.deepEqual(await tombstoneStore.listByPrefix(""), []);
+  });
+
+  test("brings back the tombstone an undone delete replaced", async () => {
+    const earlier = {
+      _id: "gone",
+      doc: { _id: "gone", data: "first" },
+      deletedBy: "bob-key",
+      deletedAt: 1,
+      purgeAfter: Date.now() + RETENTION,
+    };
+    const store = createMemoryAdapter([{ _id: "gone", data: "second" }]);
+    const tombstoneStore = createMemoryAdapter([earlier]);
+    const tombstones = createTombstones(tombstoneStore, {
+      retention: RETENTION,
+    });
+    const failing = {
+      ...store,
+      put: async (doc) => {
+        if (doc._id === "fails") throw new Error("write failed");
+        return store.put(doc);
+      },
+    };
+
+    await assert.rejects(
+      applyBatch(
+        failing,
+        tombstones,
+        [
+          { op: "delete", path: "gone", paths: ["gone"] },
+          { op: "put", path: "fails", data: "after" },
+        ],
+        "alice-key"
+      ),
+      /write failed/
+    );
+
+    assert.deepEqual(await store.listByPrefix(""), [
+      { _id: "gone", data: "second" },
+    ]);
+    assert.deepEqual(await tombstoneStore.listByPrefix(""), [earlier]);
+  });
+});
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sodium from "libsodium-wrappers";
+import { isWithinPath, verifyCapability } from "../capabilities.js";
+
+await sodium.ready;
+
+const NOW = 1_700_000_000_000;
+
+/**
+ * Creates a key pair for a user.
+ */
+const createKeys = () => {
+  const { publicKey, privateKey } = sodium.crypto_sign_keypair();
+  return { pub: sodium.to_base64(publicKey), privateKey };
+};
+
+const alice = createKeys();
+const bob = createKeys();
+const carol = createKeys();
+
+/**
+ * Returns a capability token issued by a user, valid for an hour by default.
+ */
+const issue = (issuer, fields) => {
+  const encodedPayload = sodium.to_base64(
+    JSON.stringify({
+      v: 1,
+      iss: issuer.pub,
+      scope: ["read"],
+      expiresAt: NOW + 60 * 60 * 1000,
+      ...fields,
+    })
+  );
+  const signature = sodium.crypto_sign_detached(
+    encodedPayload,
+    issuer.privateKey
+  );
+  return `${encodedPayload}.${sodium.to_base64(signature)}`;
+};
+
+/**
+ * Verifies a token for a read of Alice's notes, which Alice owns.
+ */
+const verify = (token, request = {}) =>
+  verifyCapability(token, {
+    audience: carol.pub,
+    path: "users/alice/notes/a",
+    scope: "read",
+    findOwner: async (path) =>
+      isWithinPath(path, "users/alice") ? alice.pub : undefined,
+    now: NOW,
+    ...request,
+  });
+
+describe("isWithinPath", () => {
+  test("matches the path itself and the paths below it", () => {
+    assert.equal(isWithinPath("a/b", "a"), true);
+    assert.equal(isWithinPath("a/", "a"), true);
+    assert.equal(isWithinPath("a", "a/"), true);
+    assert.equal(isWithinPath("ab", "a"), false);
+    assert.equal(isWithinPath("a", "a/b"), false);
+  });
+});
+
+describe("verifyCapability", () => {
+  test("accepts a root capability of the path owner", async () => {
+    const token = issue(alice, { aud: carol.pub, path: "users/alice/notes" });
+    await verify(token);
+
+    await assert.rejects(
+      verify(token, { scope: "write" }),
+      /does not grant write access/
+    );
+    await assert.rejects(
+      verify(token, { path: "users/alice/photos" }),
+      /does not cover this path/
+    );
+    await assert.rejects(
+      verify(token, { audience: bob.pub }),
+      /not issued to this user/
+    );
+    await assert.rejects(
+      verify(token, { now: NOW + 2 * 60 * 60 * 1000 }),
+      /expired/
+    );
+  });
+
+  test("rejects a root capability not signed by the path owner", async () => {
+    const token = issue(bob, { aud: carol.pub, path: "users/alice" });
+    await assert.rejects(verify(token), /not signed by the path owner/);
+  });
+
+  test("accepts a chain that narrows each proof", async () => {
+    const proof = issue(alice, {
+      aud: bob.pub,
+      path: "users/alice",
+      scope: ["read", "write"],
+    });
+    const token = issue(bob, {
+      aud: carol.pub,
+      path: "users/alice/notes",
+      scope: ["read"],
+      prf: proof,
+    });
+
+    await verify(token);
+  });
+
+  test("rejects a chain that widens its proof", async () => {
+    const proof = issue(alice, { aud: bob.pub, path: "users/alice/notes" });
+
+    for (const fields of [
+      { path: "users/alice" },
+      { scope: ["read", "write"] },
+      { expiresAt: NOW + 2 * 60 * 60 * 1000 },
+    ]) {
+      const token = issue(bob, {
+        aud: carol.pub,
+        path: "users/alice/notes",
+        prf: proof,
+        ...fields,
+      });
+      await assert.rejects(verify(token), /exceeds the authority/);
+    }
+
+    // Only the audience of a proof may delegate it
+    const stolen = issue(carol, {
+      aud: carol.pub,
+      path: "users/alice/notes",
+      prf: proof,
+    });
+    await assert.rejects(verify(stolen), /exceeds the authority/);
+  });
+
+  test("rejects chains longer than eight tokens", async () => {
+    let token = issue(alice, { aud: alice.pub, path: "users/alice" });
+    for (let i = 0; i < 8; i++) {
+      token = issue(alice, { aud: alice.pub, path: "users/alice", prf: token });
+    }
+    await assert.rejects(
+      verify(token, { audience: alice.pub }),
+      /chain is too long/
+    );
+  });
+
+  test("rejects tampered and malformed tokens", async () => {
+    const token = issue(alice, { aud: carol.pub, path: "users/alice" });
+    const [, signature] = token.split(".");
+    const forged = `${sodium.to_base64(
+      JSON.stringify({
+        v: 1,
+        iss: alice.pub,
+        aud: carol.pub,
+        path: "users/alice",
+        scope: ["read", "write"],
+        expiresAt: NOW + 1000,
+      })
+    )}.${signature}`;
+
+    await assert.rejects(verify(forged), /signature verification failed/);
+    await assert.rejects(verify("not-a-token"), /Malformed/);
+    await assert.rejects(
+      verify(issue(alice, { aud: carol.pub, path: "users/alice", v: 2 })),
+      /Malformed/
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sodium from "libsodium-wrappers";
+import { challengeMessage, createChallenges } from "../challenges.js";
+import { createMemoryAdapter } from "../storage.js";
+
+await sodium.ready;
+
+const TTL = 60 * 1000;
+
+const { publicKey, privateKey } = sodium.crypto_sign_keypair();
+const pub = sodium.to_base64(publicKey);
+
+/**
+ * Returns the test key's answer to a challenge.
+ */
+const answerOf = (alias, challenge) =>
+  sodium.to_base64(
+    sodium.crypto_sign_detached(challengeMessage(alias, challenge), privateKey)
+  );
+
+describe("createChallenges", () => {
+  test("accepts a signed answer once", async () => {
+    const challenges = createChallenges(createMemoryAdapter(), { ttl: TTL });
+    const { challenge } = await challenges.issue("alice");
+    const signature = answerOf("alice", challenge);
+
+    assert.equal(
+      await challenges.answer("alice", challenge, signature, pub),
+      true
+    );
+    assert.equal(
+      await challenges.answer("alice", challenge, signature, pub),
+      false
+    );
+  });
+
+  test("uses up a challenge answered for another alias or with another key", async () => {
+    const challenges = createChallenges(createMemoryAdapter(), { ttl: TTL });
+    const other = sodium.to_base64(sodium.crypto_sign_keypair().publicKey);
+
+    const first = (await challenges.issue("alice")).challenge;
+    assert.equal(
+      await challenges.answer("bob", first, answerOf("bob", first), pub),
+      false
+    );
+    assert.equal(
+      await challenges.answer("alice", first, answerOf("alice", first), pub),
+      false
+    );
+
+    const second = (await challenges.issue("alice")).challenge;
+    assert.equal(
+      await challenges.answer(
+        "alice",
+        second,
+        answerOf("alice", second),
+        other
+      ),
+      false
+    );
+  });
+
+  test("lets only one of two concurrent answers succeed", async () => {
+    const challenges = createChallenges(createMemoryAdapter(), { ttl: TTL });
+    const { challenge } = await challenges.issue("alice");
+    const signature = answerOf("alice", challenge);
+
+    const answers = await Promise.all([
+      challenges.answer("alice", challenge, signature, pub),
+      challenges.answer("alice", challenge, signature, pub),
+    ]);
+    assert.deepEqual(answers.sort(), [false, true]);
+  });
+
+  test("rejects and purges expired challenges", async () => {
+    const challengeStore = createMemoryAdapter();
+    const challenges = createChallenges(challengeStore, { ttl: TTL });
+    const { challenge, expiresAt } = await challenges.issue("alice");
+    await challenges.issue("bob");
+
+    assert.equal(await challenges.purgeExpired(expiresAt - 1), 0);
+    assert.equal(await challenges.purgeExpired(expiresAt + TTL), 2);
+    assert.equal(
+      await challenges.answer(
+        "alice",
+        challenge,
+        answerOf("alice", challenge),
+        pub
+      ),
+      false
+    );
+
+    const expired = (await challenges.issue("alice")).challenge;
+    const stored = await challengeStore.get(expired);
+    await challengeStore.put({ ...stored, expiresAt: Date.now() - 1 });
+    assert.equal(
+      await challenges.answer(
+        "alice",
+        expired,
+        answerOf("alice", expired),
+        pub
+      ),
+      false
+    );
+  });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createPathQueue } from "../conditionalRequests.js";
+
+describe("createPathQueue", () => {
+  test("runs the tasks on a path one at a time, in order", async () => {
+    const queue = createPathQueue();
+    const events = [];
+    const task = (name, delay) => async () => {
+      events.push(`start ${name}`);
+      await sleep(delay);
+      events.push(`end ${name}`);
+    };
+
+    await Promise.all([
+      queue.run("a", task("first", 20)),
+      queue.run("a", task("second", 0)),
+    ]);
+    assert.deepEqual(events, [
+      "start first",
+      "end first",
+      "start second",
+      "end second",
+    ]);
+  });
+
+  test("runs a task on several paths after the earlier tasks on each of them", async () => {
+    const queue = createPathQueue();
+    const events = [];
+
+    const failed = queue.run("a", async () => {
+      await sleep(20);
+      events.push("a");
+      throw new Error("failed");
+    });
+    queue.run("b", async () => {
+      await sleep(10);
+      events.push("b");
+    });
+    const all = queue.runAll(["a", "b", "a"], async () => events.push("all"));
+    const after = queue.run("b", async () => events.push("after"));
+
+    await assert.rejects(failed);
+    await Promise.all([all, after]);
+    assert.deepEqual(events, ["b", "a", "all", "after"]);
+  });
+});
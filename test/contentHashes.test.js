@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { describe, test } from "node:test";
+import Gun from "gun";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256, sha512 } from "multiformats/hashes/sha2";
+import { parseHashedPath, verifyContent } from "../contentHashes.js";
+
+const DATA = { title: "hello" };
+const TEXT = JSON.stringify(DATA);
+
+/**
+ * Returns the hash segment of the data for an algorithm Node.js implements.
+ */
+const digestOf = (algorithm, text = TEXT) =>
+  `${algorithm}-${crypto
+    .createHash(algorithm)
+    .update(text)
+    .digest("base64url")}`;
+
+/**
+ * Returns the hash segment of the data as a CIDv1 with the raw codec.
+ */
+const cidOf = async (hasher, text = TEXT) =>
+  `cid-${CID.create(
+    1,
+    raw.code,
+    await hasher.digest(new TextEncoder().encode(text))
+  )}`;
+
+describe("parseHashedPath and verifyContent", () => {
+  test("verify the data of every algorithm", async () => {
+    const work = await Gun.SEA.work(DATA, null, null, { name: "SHA-256" });
+    const segments = {
+      sha256: digestOf("sha256"),
+      sha512: digestOf("sha512"),
+      blake2b512: digestOf("blake2b512"),
+      cid: await cidOf(sha256),
+      "sea-sha256": encodeURIComponent(work.split("/")[0]),
+    };
+
+    for (const [algorithm, segment] of Object.entries(segments)) {
+      const parsed = parseHashedPath(`%23media/${segment}`);
+      assert.equal(parsed.err, undefined, algorithm);
+      assert.equal(parsed.algorithm, algorithm);
+      assert.equal(parsed.namespace, "media");
+      assert.equal(parsed.path, `%23media/${segment}/`);
+
+      assert.equal(await verifyContent(parsed, DATA), true, algorithm);
+      assert.equal(
+        await verifyContent(parsed, { title: "other" }),
+        false,
+        algorithm
+      );
+      assert.equal(await verifyContent(parsed, undefined), false, algorithm);
+    }
+  });
+
+  test("hash strings as they are", async () => {
+    const parsed = parseHashedPath(`%23text/${digestOf("sha256", "plain")}/`);
+    assert.equal(await verifyContent(parsed, "plain"), true);
+
+    const cid = parseHashedPath(`%23text/${await cidOf(sha512, "plain")}/`);
+    assert.equal(cid.algorithm, "cid");
+    assert.equal(await verifyContent(cid, "plain"), true);
+  });
+
+  test("reject malformed and unsupported paths", async () => {
+    const digest = await sha256.digest(new TextEncoder().encode(TEXT));
+    const dagCbor = CID.create(1, 0x71, digest);
+
+    /** @type {[string, RegExp][]} */
+    const malformed = [
+      ["media/x", /must start with '%23'/],
+      ["%23/x", /expected '%23<namespace>\/<hash>\/'/],
+      ["%23media/a/b", /expected '%23<namespace>\/<hash>\/'/],
+      ["%23media/md5-abc", /Unsupported hash algorithm 'md5'/],
+      ["%23media/sha256-abc", /sha256 digest is 43 base64url characters/],
+      [`%23media/cid-${dagCbor}`, /Unsupported CID/],
+      ["%23media/cid-nope", /invalid CID/],
+    ];
+    for (const [path, message] of malformed) {
+      assert.match(parseHashedPath(path).err, message, path);
+    }
+  });
+});
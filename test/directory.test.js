@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  checkAlias,
+  createDirectory,
+  isReservedAlias,
+  normalizeAlias,
+} from "../directory.js";
+import { createMemoryAdapter } from "../storage.js";
+
+/**
+ * Creates a directory on memory stores, without pinning.
+ */
+const createTestDirectory = () =>
+  createDirectory(
+    { aliasStore: createMemoryAdapter(), profileStore: createMemoryAdapter() },
+    { pinEntry: async () => {} }
+  );
+
+describe("normalizeAlias", () => {
+  test("folds case, width and surrounding whitespace", () => {
+    for (const alias of ["Alice", " alice ", "ＡＬＩＣＥ", "ａｌｉｃｅ"]) {
+      assert.equal(normalizeAlias(alias), "alice", alias);
+    }
+    assert.equal(normalizeAlias(undefined), "");
+  });
+
+  test("checks aliases in their normalized form", () => {
+    assert.equal(checkAlias("Alice_1"), undefined);
+    assert.match(checkAlias("ab"), /3 to 32/);
+    assert.match(checkAlias("-alice"), /starting with/);
+    assert.equal(checkAlias("ＡＤＭＩＮ"), "Alias is reserved.");
+    assert.equal(isReservedAlias("Mallory", ["mallory"]), true);
+  });
+});
+
+describe("createDirectory", () => {
+  test("refuses an alias that normalizes to a claimed one", async () => {
+    const directory = createTestDirectory();
+
+    assert.equal(await directory.claim("Alice", "alice-key"), undefined);
+    assert.equal(
+      await directory.claim("ａｌｉｃｅ", "other-key"),
+      "Alias is already taken."
+    );
+    assert.equal(
+      await directory.claim("alicia", "alice-key"),
+      "Public key is already registered."
+    );
+
+    const profile = await directory.findByAlias(" ALICE");
+    assert.equal(profile.publicKey, "alice-key");
+    assert.equal(profile.alias, "alice");
+  });
+
+  test("lets only one of two concurrent claims of an alias succeed", async () => {
+    const directory = createTestDirectory();
+    const conflicts = await Promise.all([
+      directory.claim("bob", "bob-key"),
+      directory.claim("Bob", "other-key"),
+    ]);
+    assert.equal(conflicts.filter((conflict) => !conflict).length, 1);
+  });
+
+  test("claims the aliases of legacy accounts", async () => {
+    const directory = createTestDirectory();
+    const claimed = await directory.claimAccounts([
+      { _id: "Alice", publicKey: "alice-key" },
+      { _id: "bob", publicKey: "bob-key" },
+    ]);
+    assert.equal(claimed, 2);
+    assert.equal(
+      await directory.claimAccounts([{ _id: "bob", publicKey: "bob-key" }]),
+      0
+    );
+
+    assert.equal(
+      await directory.claim("alice", "new-key"),
+      "Alias is already taken."
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sodium from "libsodium-wrappers";
+import {
+  ENVELOPE_ALGORITHM,
+  findEncryptedAccessRights,
+  isEnvelope,
+  isWrappedKey,
+} from "../envelopes.js";
+import { createMemoryAdapter } from "../storage.js";
+
+await sodium.ready;
+
+/**
+ * Encrypts a payload with a data key the way clients do.
+ */
+const seal = (payload, key) => {
+  const nonce = sodium.randombytes_buf(
+    sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
+  );
+  const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+    payload,
+    null,
+    null,
+    nonce,
+    key
+  );
+  return {
+    v: 1,
+    alg: ENVELOPE_ALGORITHM,
+    keyVersion: 1,
+    nonce: sodium.to_base64(nonce),
+    ciphertext: sodium.to_base64(ciphertext),
+  };
+};
+
+describe("isEnvelope", () => {
+  test("accepts envelopes and rejects anything else", () => {
+    const envelope = seal(
+      "secret",
+      sodium.crypto_aead_xchacha20poly1305_ietf_keygen()
+    );
+
+    assert.equal(isEnvelope(envelope), true);
+    for (const value of [
+      "secret",
+      null,
+      { ...envelope, v: 2 },
+      { ...envelope, alg: "aes-256-gcm" },
+      { ...envelope, keyVersion: "1" },
+      { ...envelope, nonce: sodium.to_base64(new Uint8Array(12)) },
+      { ...envelope, ciphertext: "" },
+      { ...envelope, ciphertext: "not base64!" },
+    ]) {
+      assert.equal(isEnvelope(value), false, JSON.stringify(value));
+    }
+  });
+});
+
+describe("isWrappedKey", () => {
+  test("accepts a data key sealed to a reader's key", () => {
+    const reader = sodium.crypto_box_keypair();
+    const wrapped = sodium.crypto_box_seal(
+      sodium.crypto_aead_xchacha20poly1305_ietf_keygen(),
+      reader.publicKey
+    );
+
+    assert.equal(isWrappedKey(sodium.to_base64(wrapped)), true);
+    assert.equal(isWrappedKey(sodium.to_base64(wrapped.slice(1))), false);
+    assert.equal(isWrappedKey(undefined), false);
+  });
+});
+
+describe("findEncryptedAccessRights", () => {
+  test("finds the nearest entry that decides whether a path is encrypted", async () => {
+    const aclStore = createMemoryAdapter([
+      { _id: "users/a", owner: "a", encrypted: true },
+      { _id: "users/a/public", owner: "a", encrypted: false },
+      { _id: "users/a/public/x", owner: "a" },
+    ]);
+
+    assert.equal(
+      (await findEncryptedAccessRights(aclStore, "users/a/notes"))._id,
+      "users/a"
+    );
+    assert.equal(
+      await findEncryptedAccessRights(aclStore, "users/a/public/x"),
+      undefined
+    );
+    assert.equal(
+      await findEncryptedAccessRights(aclStore, "users/b"),
+      undefined
+    );
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createPathQueue } from "../conditionalRequests.js";
+import {
+  checkGraphStates,
+  createGraph,
+  ham,
+  MAX_DEFERRAL,
+  mergeNode,
+  toGraph,
+} from "../graph.js";
+import { createMemoryAdapter } from "../storage.js";
+
+describe("createGraph", () => {
+  test("merges fields with a later state and keeps those with an earlier one", async () => {
+    const graph = createGraph(createMemoryAdapter());
+    await graph.merge(toGraph("note", { title: "b", body: "x" }, 20));
+    await graph.merge(toGraph("note", { title: "a", body: "y" }, 10));
+    await graph.merge(toGraph("note", { body: "z" }, 30));
+
+    assert.deepEqual(await graph.get("note"), {
+      data: { title: "b", body: "z" },
+      state: { title: 20, body: 30 },
+    });
+  });
+
+  test("merges deferred fields once their state is reached", async () => {
+    const graph = createGraph(createMemoryAdapter());
+    const later = [];
+    const now = Date.now();
+
+    const results = await graph.merge(
+      { note: { data: { a: 1, b: 2 }, state: { a: now, b: now + 50 } } },
+      {
+        machineState: now,
+        onDeferredMerge: async (merged) => later.push(merged),
+      }
+    );
+
+    assert.deepEqual(results.note.changed, ["a"]);
+    assert.deepEqual(results.note.deferred, ["b"]);
+    assert.deepEqual((await graph.get("note")).data, { a: 1 });
+
+    for (let waited = 0; later.length === 0 && waited < 2000; waited += 10) {
+      await sleep(10);
+    }
+    assert.deepEqual((await graph.get("note")).data, { a: 1, b: 2 });
+    assert.equal(later.length, 1);
+    assert.deepEqual(later[0].note.changed, ["b"]);
+    assert.ok(later[0].note.doc);
+  });
+
+  test("merges after the other writes to the node queued before it", async () => {
+    const store = createMemoryAdapter();
+    const writes = createPathQueue();
+    const graph = createGraph(store, { writes });
+
+    const replaced = writes.run("note", async () => {
+      await sleep(20);
+      await store.put({ _id: "note", data: "replaced" });
+    });
+    const merged = graph.merge(toGraph("note", { title: "a" }, 10));
+
+    await Promise.all([replaced, merged]);
+    assert.deepEqual((await graph.get("note")).data, { title: "a" });
+  });
+});
+
+describe("checkGraphStates", () => {
+  test("rejects states too far in the future", () => {
+    const now = Date.now();
+    const graph = (state) => ({
+      note: { data: { a: 1 }, state: { a: state } },
+    });
+
+    assert.equal(checkGraphStates(graph(now + MAX_DEFERRAL), now), undefined);
+    assert.match(
+      checkGraphStates(graph(now + MAX_DEFERRAL + 1), now),
+      /note\.a: state is more than 300 seconds in the future/
+    );
+  });
+});
+
+describe("ham", () => {
+  test("prefers the later state and defers states from the future", () => {
+    assert.equal(ham(100, 20, 10, "a", "b"), "incoming");
+    assert.equal(ham(100, 10, 20, "a", "b"), "historical");
+    assert.equal(ham(100, 101, 10, "a", "b"), "defer");
+    assert.equal(ham(100, 10, -Infinity, "a", undefined), "incoming");
+  });
+
+  test("breaks ties by the JSON of the values, the same way on every peer", () => {
+    assert.equal(ham(100, 10, 10, "b", "a"), "incoming");
+    assert.equal(ham(100, 10, 10, "a", "b"), "current");
+    assert.equal(ham(100, 10, 10, "a", "a"), "same");
+    assert.equal(ham(100, 10, 10, { "#": "x" }, "x"), "incoming");
+    assert.equal(ham(100, 10, 10, null, 1), "incoming");
+  });
+});
+
+describe("mergeNode", () => {
+  test("converges on the same node whichever write arrives first", () => {
+    const empty = { data: {}, state: {} };
+    const first = { data: { a: "x", b: 1 }, state: { a: 10, b: 10 } };
+    const second = { data: { a: "y", b: 0 }, state: { a: 10, b: 5 } };
+
+    const one = mergeNode(mergeNode(empty, first, 100).node, second, 100);
+    const other = mergeNode(mergeNode(empty, second, 100).node, first, 100);
+
+    assert.deepEqual(one.node, other.node);
+    assert.deepEqual(one.node, {
+      data: { a: "y", b: 1 },
+      state: { a: 10, b: 10 },
+    });
+    assert.deepEqual(one.changed, ["a"]);
+    assert.deepEqual(other.changed, ["b"]);
+  });
+
+  test("leaves deferred fields out of the merged node", () => {
+    const result = mergeNode(
+      { data: { a: 1 }, state: { a: 10 } },
+      { data: { a: 2, b: 3 }, state: { a: 200, b: 20 } },
+      100
+    );
+
+    assert.deepEqual(result.node, {
+      data: { a: 1, b: 3 },
+      state: { a: 10, b: 20 },
+    });
+    assert.deepEqual(result.changed, ["b"]);
+    assert.deepEqual(result.deferred, ["a"]);
+  });
+});
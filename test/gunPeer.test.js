@@ -0,0 +1,257 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import { after, before, describe, test } from "node:test";
+import WebSocket from "ws";
+import { createAccessControl } from "../acl.js";
+import { createGraph } from "../graph.js";
+import { attachGunPeer, fromWirePut, toWireNode } from "../gunPeer.js";
+import { createMemoryAdapter } from "../storage.js";
+import { createSubscriptions } from "../subscriptions.js";
+
+const ALICE = "alice-key";
+const BOB = "bob-key";
+const USERS = { "alice-token": { pub: ALICE }, "bob-token": { pub: BOB } };
+const CAPABILITY = "alice-lets-bob-write";
+
+describe("toWireNode", () => {
+  const node = { data: { a: 1, b: "x" }, state: { a: 10, b: 20 } };
+
+  test("puts the soul and the states of the fields in the meta", () => {
+    assert.deepEqual(toWireNode("note", node), {
+      _: { "#": "note", ">": { a: 10, b: 20 } },
+      a: 1,
+      b: "x",
+    });
+  });
+
+  test("only includes the requested field", () => {
+    assert.deepEqual(toWireNode("note", node, "b"), {
+      _: { "#": "note", ">": { b: 20 } },
+      b: "x",
+    });
+    assert.deepEqual(toWireNode("note", node, "c"), {
+      _: { "#": "note", ">": {} },
+    });
+  });
+});
+
+describe("fromWirePut", () => {
+  test("converts wire nodes to nodes of the graph", () => {
+    assert.deepEqual(
+      fromWirePut({
+        note: {
+          _: { "#": "note", ">": { a: 10, link: 20 } },
+          a: null,
+          link: { "#": "other" },
+        },
+      }),
+      {
+        nodes: {
+          note: {
+            data: { a: null, link: { "#": "other" } },
+            state: { a: 10, link: 20 },
+          },
+        },
+      }
+    );
+  });
+
+  test("rejects nodes without meta, with another soul or without states", () => {
+    for (const put of [
+      null,
+      { note: { a: 1 } },
+      { note: { _: { "#": "other", ">": { a: 1 } }, a: 1 } },
+      { note: { _: { "#": "note" }, a: 1 } },
+      { note: { _: { "#": "note", ">": {} }, a: 1 } },
+    ]) {
+      assert.match(fromWirePut(put).err, /^Invalid graph/);
+    }
+  });
+
+  test("rejects arrays and objects that are not links", () => {
+    for (const value of [[1], { a: 1 }, Infinity]) {
+      const { err } = fromWirePut({
+        note: { _: { "#": "note", ">": { a: 1 } }, a: value },
+      });
+      assert.match(err, /'a' on 'note' is invalid/);
+    }
+  });
+});
+
+describe("attachGunPeer", () => {
+  let server, peer, baseUrl, store;
+  const written = [];
+  const clients = [];
+
+  before(async () => {
+    store = createMemoryAdapter();
+    const access = createAccessControl({
+      aclStore: createMemoryAdapter([
+        { _id: `users/${ALICE}`, owner: ALICE, allowedPublicKeys: [ALICE] },
+      ]),
+      groupStore: createMemoryAdapter(),
+    });
+
+    server = createServer();
+    peer = attachGunPeer(server, {
+      path: "/gun",
+      graph: createGraph(store),
+      subscriptions: createSubscriptions(store),
+      authenticate: async (token) => USERS[token],
+      canRead: (user, soul) => access.canRead(user?.pub, soul),
+      checkWrite: async (user, soul, capability) =>
+        (await access.canWrite(user.pub, soul)) || capability === CAPABILITY
+          ? undefined
+          : "Access denied.",
+      onWrite: async (result, user) => {
+        written.push({ path: result.doc._id, writer: user.pub });
+      },
+    });
+    server.listen(0);
+    await once(server, "listening");
+    const { port } = /** @type {import("node:net").AddressInfo} */ (
+      server.address()
+    );
+    baseUrl = `ws://localhost:${port}/gun`;
+  });
+
+  after(() => {
+    for (const ws of clients) ws.close();
+    peer.close();
+    server.close();
+  });
+
+  /**
+   * Connects a client to the peer and resolves once the connection is open.
+   * Every message the peer sends is kept in `received`.
+   */
+  const connect = async (query = "") => {
+    const ws = new WebSocket(`${baseUrl}${query}`);
+    const received = [];
+    ws.on("message", (raw) => {
+      received.push(...[JSON.parse(raw.toString())].flat());
+    });
+    clients.push(ws);
+    await once(ws, "open");
+    return { ws, received };
+  };
+
+  /**
+   * Sends messages, as a batch if there are several, and resolves to the answer
+   * to the last one.
+   */
+  const ask = ({ ws }, ...msgs) =>
+    new Promise((resolve) => {
+      const id = msgs[msgs.length - 1]["#"];
+      const onMessage = (raw) => {
+        const answer = [JSON.parse(raw.toString())]
+          .flat()
+          .find((msg) => msg["@"] === id);
+        if (!answer) return;
+        ws.off("message", onMessage);
+        resolve(answer);
+      };
+      ws.on("message", onMessage);
+      ws.send(JSON.stringify(msgs.length === 1 ? msgs[0] : msgs));
+    });
+
+  /**
+   * Returns a put message writing fields to a node.
+   */
+  const put = (id, soul, fields, state = Date.now()) => ({
+    "#": id,
+    put: {
+      [soul]: {
+        _: {
+          "#": soul,
+          ">": Object.fromEntries(Object.keys(fields).map((f) => [f, state])),
+        },
+        ...fields,
+      },
+    },
+  });
+
+  test("acknowledges puts and answers gets with the node or a field", async () => {
+    const alice = await connect("?token=alice-token");
+    const soul = `users/${ALICE}/profile`;
+
+    const ack = await ask(
+      alice,
+      put("put-1", soul, { name: "Alice", age: 30 }, 10)
+    );
+    assert.deepEqual(ack.ok, { "": 1 });
+    assert.deepEqual(written, [{ path: soul, writer: ALICE }]);
+
+    const node = await ask(alice, { "#": "get-1", get: { "#": soul } });
+    assert.deepEqual(node.put, {
+      [soul]: {
+        _: { "#": soul, ">": { name: 10, age: 10 } },
+        name: "Alice",
+        age: 30,
+      },
+    });
+
+    const field = await ask(alice, {
+      "#": "get-2",
+      get: { "#": soul, ".": "age" },
+    });
+    assert.deepEqual(field.put, {
+      [soul]: { _: { "#": soul, ">": { age: 10 } }, age: 30 },
+    });
+
+    const missing = await ask(alice, { "#": "get-3", get: { "#": "nothing" } });
+    assert.equal(missing.put, undefined);
+    assert.equal(missing.err, undefined);
+  });
+
+  test("handles a message only once", async () => {
+    const alice = await connect("?token=alice-token");
+    const soul = `users/${ALICE}/counter`;
+    const first = put("put-twice", soul, { n: 1 });
+
+    await ask(alice, first);
+    const count = written.length;
+    await ask(alice, first, { "#": "get-after", get: { "#": soul } });
+
+    assert.equal(
+      alice.received.filter((msg) => msg["@"] === "put-twice").length,
+      1
+    );
+    assert.equal(written.length, count);
+  });
+
+  test("pushes changes of a node to the clients that read it", async () => {
+    const soul = `users/${ALICE}/status`;
+    const alice = await connect("?token=alice-token");
+    const reader = await connect();
+    await ask(reader, { "#": "get-status", get: { "#": soul } });
+
+    const pushed = new Promise((resolve) => {
+      reader.ws.on("message", (raw) => {
+        const msg = JSON.parse(raw.toString());
+        if (msg.put?.[soul]) resolve(msg.put[soul]);
+      });
+    });
+    await ask(alice, put("put-status", soul, { text: "away" }));
+    assert.equal((await pushed).text, "away");
+  });
+
+  test("rejects writes to another user's space unless a capability allows them", async () => {
+    const soul = `users/${ALICE}/notes`;
+    const bob = await connect("?token=bob-token");
+
+    const denied = await ask(bob, put("bob-put", soul, { text: "hi" }));
+    assert.equal(denied.err, `${soul}: Access denied.`);
+    assert.equal(await store.get(soul), undefined);
+
+    const anonymous = await connect();
+    const refused = await ask(anonymous, put("anon-put", soul, { text: "hi" }));
+    assert.equal(refused.err, "Authentication required.");
+
+    const allowed = await connect(`?token=bob-token&capability=${CAPABILITY}`);
+    const ack = await ask(allowed, put("bob-put-2", soul, { text: "hi" }));
+    assert.deepEqual(ack.ok, { "": 1 });
+    assert.equal((await store.get(soul)).data.text, "hi");
+  });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createHistory } from "../history.js";
+import { withPathIndex } from "../pathIndex.js";
+import { createMemoryAdapter } from "../storage.js";
+
+/**
+ * Records a write of data to a path.
+ */
+const write = (history, path, data) =>
+  history.record({ _id: path, data }, { hash: `hash-${data}`, writer: "key" });
+
+describe("createHistory", () => {
+  test("numbers the versions of each path and keeps the latest ones", async () => {
+    const historyStore = createMemoryAdapter();
+    const history = createHistory(historyStore, {
+      maxVersions: 3,
+      pinEntry: async () => {},
+    });
+
+    for (const data of ["a", "b", "c", "d", "e"]) {
+      await write(history, "notes", data);
+    }
+    await write(history, "notes/sub", "x");
+
+    assert.deepEqual(
+      (await history.list("notes")).map(({ version, hash }) => [version, hash]),
+      [
+        [5, "hash-e"],
+        [4, "hash-d"],
+        [3, "hash-c"],
+      ]
+    );
+    assert.equal(await history.get("notes", 2), undefined);
+    assert.deepEqual((await history.get("notes", 3)).doc, {
+      _id: "notes",
+      data: "c",
+    });
+    assert.equal((await history.list("notes/sub"))[0].version, 1);
+    assert.equal((await historyStore.listByPrefix("")).length, 4);
+  });
+
+  test("gives concurrent writes to a path distinct versions", async () => {
+    const history = createHistory(createMemoryAdapter(), {
+      maxVersions: 10,
+      pinEntry: async () => {},
+    });
+
+    const recorded = await Promise.all(
+      ["a", "b", "c"].map((data) => write(history, "notes", data))
+    );
+    assert.deepEqual(
+      recorded.map(({ version }) => version),
+      [1, 2, 3]
+    );
+  });
+
+  test("looks the versions up in the path index of the store", async () => {
+    const historyStore = await withPathIndex(createMemoryAdapter());
+    const history = createHistory(historyStore, {
+      maxVersions: 2,
+      pinEntry: async () => {},
+    });
+
+    for (const data of ["a", "b", "c"]) await write(history, "notes", data);
+    await write(history, "notes2", "x");
+
+    assert.deepEqual(
+      (await history.list("notes")).map(({ version }) => version),
+      [3, 2]
+    );
+    assert.equal((await history.list("notes2")).length, 1);
+    assert.deepEqual(await historyStore.keysByPrefix("notes#"), [
+      "notes#0000000002",
+      "notes#0000000003",
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { decodeCursor, encodeCursor, listPath } from "../listing.js";
+import { withPathIndex } from "../pathIndex.js";
+import { createMemoryAdapter } from "../storage.js";
+
+/**
+ * Creates an indexed store holding documents at the given paths.
+ */
+const createStore = (ids) =>
+  withPathIndex(createMemoryAdapter(ids.map((_id) => ({ _id, data: _id }))));
+
+describe("listPath", () => {
+  test("lists the children of a path, including those without an entry", async () => {
+    const store = await createStore(["a/x", "a/y/z", "a/w/", "b"]);
+    const page = await listPath(store, "a/");
+
+    assert.deepEqual(
+      page.items.map(({ key, entry }) => [key, entry?._id ?? null]),
+      [
+        ["w", "a/w/"],
+        ["x", "a/x"],
+        ["y", null],
+      ]
+    );
+    assert.equal(page.nextCursor, null);
+  });
+
+  test("lists the top-level paths as the children of the root", async () => {
+    const store = await createStore(["a/x", "b"]);
+    const page = await listPath(store, "");
+
+    assert.deepEqual(
+      page.items.map(({ path, entry }) => [path, entry?._id ?? null]),
+      [
+        ["a", null],
+        ["b", "b"],
+      ]
+    );
+  });
+
+  test("lists every descendant with depth 'all'", async () => {
+    const store = await createStore(["a/x", "a/y/z", "ab"]);
+    const page = await listPath(store, "a", { depth: "all" });
+
+    assert.deepEqual(
+      page.items.map(({ key }) => key),
+      ["x", "y/z"]
+    );
+  });
+
+  test("pages through the children with cursors in either order", async () => {
+    const store = await createStore(["a/1", "a/2", "a/3", "a/4", "a/5"]);
+
+    /** @type {[string, string[]][]} */
+    const orders = [
+      ["asc", ["1", "2", "3", "4", "5"]],
+      ["desc", ["5", "4", "3", "2", "1"]],
+    ];
+    for (const [order, expected] of orders) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await listPath(store, "a", { limit: 2, cursor, order });
+        keys.push(...page.items.map(({ key }) => key));
+        cursor = page.nextCursor ?? undefined;
+      } while (cursor);
+
+      assert.deepEqual(keys, expected);
+    }
+  });
+
+  test("ends the last full page without a cursor", async () => {
+    const store = await createStore(["a/1", "a/2"]);
+    const page = await listPath(store, "a", { limit: 2 });
+
+    assert.equal(page.items.length, 2);
+    assert.equal(page.nextCursor, null);
+  });
+});
+
+describe("cursors", () => {
+  test("round-trip any key", () => {
+    const key = "héllo/wörld %23";
+    assert.equal(decodeCursor(encodeCursor(key)), key);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { after, before, describe, test } from "node:test";
+import { create } from "ipfs";
+import OrbitDB from "orbit-db";
+import { createOrbitDBAdapter } from "../storage.js";
+
+// js-ipfs relies on Promise.withResolvers, which Node.js has since version 22
+const skip = !("withResolvers" in Promise) && "js-ipfs needs Node.js 22";
+
+describe("OrbitDB adapter", { skip }, () => {
+  let dir, ipfs, orbitdb, db, store;
+
+  before(async () => {
+    dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), "fabstirdb-orbitdb-"));
+    ipfs = await create({
+      repo: `${dir}/ipfs`,
+      silent: true,
+      config: {
+        Bootstrap: [],
+        Addresses: { Swarm: [], API: "", Gateway: "" },
+        Discovery: { MDNS: { Enabled: false }, webRTCStar: { Enabled: false } },
+      },
+      EXPERIMENTAL: { pubsub: true },
+    });
+    orbitdb = await OrbitDB.createInstance(ipfs, {
+      directory: `${dir}/orbitdb`,
+    });
+    db = await orbitdb.docstore("test", {
+      accessController: { write: ["*"] },
+    });
+    await db.load();
+    store = createOrbitDBAdapter(db);
+  });
+
+  after(async () => {
+    await orbitdb?.disconnect();
+    await ipfs?.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test("reads back written documents by exact key", async () => {
+    const hash = await store.put({ _id: "users/a", value: 1 });
+    await store.put({ _id: "users/ab", value: 2 });
+
+    assert.deepEqual(await store.get("users/a"), { _id: "users/a", value: 1 });
+    assert.equal(await store.hashOf("users/a"), hash);
+    assert.equal(await store.get("users"), undefined);
+    assert.equal(await store.hashOf("users"), undefined);
+  });
+
+  test("lists documents by prefix and deletes them", async () => {
+    assert.deepEqual(
+      (await store.listByPrefix("users/a")).map((doc) => doc._id),
+      ["users/a", "users/ab"]
+    );
+
+    await store.del("users/ab");
+    assert.equal(await store.get("users/ab"), undefined);
+  });
+
+  test("emits changes made by replication", async () => {
+    const changes = [];
+    store.events.on("change", (change) => changes.push(change));
+
+    // Write behind the adapter's back, as replication does
+    await db.put({ _id: "users/b", value: 3 });
+    await db.del("users/a");
+    db.events.emit("replicated");
+
+    assert.deepEqual(changes, [
+      {
+        type: "put",
+        path: "users/b",
+        doc: { _id: "users/b", value: 3 },
+        origin: "replicated",
+      },
+      { type: "del", path: "users/a", origin: "replicated" },
+    ]);
+    assert.deepEqual(await store.get("users/b"), { _id: "users/b", value: 3 });
+  });
+});
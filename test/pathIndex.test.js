@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createPathIndex } from "../pathIndex.js";
+
+describe("createPathIndex", () => {
+  test("matches prefixes that end within a segment or on a boundary", () => {
+    const index = createPathIndex(["a/b", "a/bc/d", "a/c", "ab", "b"]);
+
+    assert.deepEqual(index.idsByPrefix("a/b"), ["a/b", "a/bc/d"]);
+    assert.deepEqual(index.idsByPrefix("a/"), ["a/b", "a/bc/d", "a/c"]);
+    assert.deepEqual(index.idsByPrefix("a"), ["a/b", "a/bc/d", "a/c", "ab"]);
+    assert.deepEqual(index.idsByPrefix(""), [
+      "a/b",
+      "a/bc/d",
+      "a/c",
+      "ab",
+      "b",
+    ]);
+    assert.deepEqual(index.idsByPrefix("x/y"), []);
+  });
+
+  test("lists the children of a path, with or without a document", () => {
+    const index = createPathIndex(["a/b/c", "a/d", "a/e/", "f"]);
+
+    assert.deepEqual(index.children(""), ["a", "f"]);
+    assert.deepEqual(index.children("a"), ["b", "d", "e"]);
+    assert.deepEqual(index.children("a/e"), []);
+    assert.deepEqual(index.children("missing"), []);
+    assert.equal(index.has("a"), false);
+    assert.equal(index.has("a/e/"), true);
+  });
+
+  test("prunes the segments that no longer lead to a document", () => {
+    const index = createPathIndex(["a/b/c", "a/b", "a/d"]);
+
+    index.remove("a/b/c");
+    assert.deepEqual(index.children("a/b"), []);
+    assert.deepEqual(index.children("a"), ["b", "d"]);
+
+    index.remove("a/b");
+    index.remove("a/missing");
+    assert.deepEqual(index.children("a"), ["d"]);
+    assert.equal(index.size(), 1);
+
+    index.add("a/d");
+    assert.equal(index.size(), 1);
+    index.rebuild(["x"]);
+    assert.deepEqual(index.idsByPrefix(""), ["x"]);
+  });
+});
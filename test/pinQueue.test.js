@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+import { createPinQueue } from "../pinQueue.js";
+import { createMemoryAdapter } from "../storage.js";
+
+// How often the queue checks for due jobs
+const POLL_INTERVAL = 5 * 1000;
+
+/**
+ * Lets the queue finish the attempts it has started.
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Creates a pinning provider that fails while `failing` is set.
+ */
+const createProvider = () => {
+  const provider = {
+    name: "test",
+    failing: true,
+    pinned: [],
+    pin: async (cid) => {
+      if (provider.failing) throw new Error("provider unavailable");
+      provider.pinned.push(cid);
+    },
+  };
+  return provider;
+};
+
+describe("createPinQueue", () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test("retries with doubling delays and then moves the job to the dead-letter list", async () => {
+    mock.timers.enable({ apis: ["setInterval", "Date"], now: 0 });
+    const pinStore = createMemoryAdapter();
+    const delays = [];
+    pinStore.events.on("change", ({ doc }) => {
+      if (doc?.attempts > 0 && doc.nextAttemptAt !== undefined) {
+        delays.push(doc.nextAttemptAt - doc.updatedAt);
+      }
+    });
+    const provider = createProvider();
+    const pins = createPinQueue(pinStore, provider, {
+      maxAttempts: 4,
+      retryBase: 1000,
+      retryMax: 3000,
+    });
+    await pins.start();
+
+    await pins.enqueue("cid-1");
+    await settle();
+    for (let i = 0; i < 3; i++) {
+      mock.timers.tick(POLL_INTERVAL);
+      await settle();
+    }
+    pins.stop();
+
+    assert.deepEqual(delays, [1000, 2000, 3000]);
+    const [failed, ...others] = await pins.listFailed();
+    assert.deepEqual(others, []);
+    assert.equal(failed.cid, "cid-1");
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.attempts, 4);
+    assert.equal(failed.lastError, "provider unavailable");
+    assert.equal(failed.nextAttemptAt, undefined);
+  });
+
+  test("queues a failed job again when it is retried", async () => {
+    const pinStore = createMemoryAdapter();
+    const provider = createProvider();
+    const pins = createPinQueue(pinStore, provider, {
+      maxAttempts: 1,
+      retryBase: 1000,
+      retryMax: 1000,
+    });
+
+    await pins.enqueue("cid-1");
+    await settle();
+    assert.equal((await pins.status("cid-1")).status, "failed");
+
+    provider.failing = false;
+    assert.deepEqual(await pins.retryFailed(["cid-2"]), []);
+    assert.deepEqual(await pins.retryFailed(), ["cid-1"]);
+    await settle();
+
+    const status = await pins.status("cid-1");
+    assert.equal(status.status, "pinned");
+    assert.equal(status.attempts, 1);
+    assert.deepEqual(provider.pinned, ["cid-1"]);
+    assert.deepEqual(await pins.listFailed(), []);
+  });
+
+  test("removes jobs from the store once they are pinned", async () => {
+    const pinStore = createMemoryAdapter([
+      { _id: "cid-old", cid: "cid-old", provider: "test", status: "pinned" },
+    ]);
+    const provider = createProvider();
+    provider.failing = false;
+    const pins = createPinQueue(pinStore, provider, {
+      maxAttempts: 1,
+      retryBase: 1000,
+      retryMax: 1000,
+    });
+    await pins.start();
+    pins.stop();
+
+    await pins.enqueue("cid-1");
+    await settle();
+    assert.deepEqual(await pinStore.listByPrefix(""), []);
+    assert.equal((await pins.status("cid-1")).status, "pinned");
+
+    assert.equal((await pins.enqueue("cid-1")).status, "pinned");
+    await settle();
+    assert.deepEqual(provider.pinned, ["cid-1"]);
+  });
+});
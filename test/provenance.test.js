@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sodium from "libsodium-wrappers";
+import {
+  provenanceMessage,
+  toSignedDoc,
+  verifyProvenance,
+} from "../provenance.js";
+
+await sodium.ready;
+
+const { publicKey, privateKey } = sodium.crypto_sign_keypair();
+const pub = sodium.to_base64(publicKey);
+
+/**
+ * Returns the test key's signature over a write of data to a path.
+ */
+const signWrite = (path, data) =>
+  sodium.to_base64(
+    sodium.crypto_sign_detached(provenanceMessage(path, data), privateKey)
+  );
+
+describe("provenanceMessage", () => {
+  test("signs the canonical JSON of the write", () => {
+    assert.equal(
+      provenanceMessage("notes/a", { b: 1, a: 2 }),
+      '{"data":{"a":2,"b":1},"op":"write","path":"notes/a"}'
+    );
+  });
+});
+
+describe("verifyProvenance", () => {
+  test("returns the provenance of a signed write", () => {
+    const data = { title: "hello" };
+    const signature = signWrite("notes/a", data);
+    const { provenance, err } = verifyProvenance(
+      "notes/a",
+      { title: "hello" },
+      signature,
+      pub
+    );
+
+    assert.equal(err, undefined);
+    assert.deepEqual(provenance, { publicKey: pub, signature });
+    assert.deepEqual(toSignedDoc("notes/a", data, provenance), {
+      _id: "notes/a",
+      data,
+      provenance,
+    });
+  });
+
+  test("accepts unsigned writes without provenance", () => {
+    assert.deepEqual(verifyProvenance("notes/a", "x", undefined, pub), {});
+    assert.deepEqual(toSignedDoc("notes/a", "x"), {
+      _id: "notes/a",
+      data: "x",
+    });
+  });
+
+  test("rejects signatures over another path, other data or by another key", () => {
+    const signature = signWrite("notes/a", "x");
+    const other = sodium.to_base64(sodium.crypto_sign_keypair().publicKey);
+
+    for (const [path, data, key] of [
+      ["notes/b", "x", pub],
+      ["notes/a", "y", pub],
+      ["notes/a", "x", other],
+    ]) {
+      assert.equal(
+        verifyProvenance(path, data, signature, key).err,
+        "Data signature verification failed."
+      );
+    }
+    assert.match(verifyProvenance("notes/a", "x", "%%", pub).err, /failed/);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import {
+  createMemoryCounterStore,
+  createRateLimits,
+  createStorageCounterStore,
+} from "../rateLimits.js";
+import { createMemoryAdapter } from "../storage.js";
+
+const NOW = 1_700_000_000_000;
+
+const OPTIONS = {
+  window: 60 * 1000,
+  lockoutThreshold: 3,
+  lockoutBase: 1000,
+  lockoutMax: 5000,
+};
+
+/**
+ * Creates a response recording its status, headers and body, and whether the
+ * request was passed on to the next handler.
+ */
+const createResponse = () => {
+  const res = {
+    passed: false,
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+/** @type {[string, function(): import("../rateLimits.js").CounterStore][]} */
+const COUNTER_STORES = [
+  ["memory", () => createMemoryCounterStore()],
+  ["storage", () => createStorageCounterStore(createMemoryAdapter())],
+];
+
+for (const [kind, createCounters] of COUNTER_STORES) {
+  describe(`rate limits with ${kind} counters`, () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ["Date"], now: NOW });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    test("doubles the lockout with every failed attempt past the threshold", async () => {
+      const limits = createRateLimits(createCounters(), OPTIONS);
+
+      const lockouts = [];
+      for (let i = 0; i < 6; i++) {
+        lockouts.push(await limits.recordFailure("alice"));
+      }
+      assert.deepEqual(lockouts, [
+        undefined,
+        undefined,
+        NOW + 1000,
+        NOW + 2000,
+        NOW + 4000,
+        NOW + 5000,
+      ]);
+      assert.equal(await limits.lockedUntil("alice"), NOW + 5000);
+      assert.equal(await limits.lockedUntil("bob"), undefined);
+
+      mock.timers.tick(5000);
+      assert.equal(await limits.lockedUntil("alice"), undefined);
+    });
+
+    test("starts counting failed attempts again after a successful login", async () => {
+      const limits = createRateLimits(createCounters(), OPTIONS);
+      await limits.recordFailure("alice");
+      await limits.recordFailure("alice");
+
+      await limits.recordSuccess("alice");
+      assert.equal(await limits.recordFailure("alice"), undefined);
+    });
+
+    test("answers requests over the limit with 429 until the window ends", async () => {
+      const limits = createRateLimits(createCounters(), OPTIONS);
+      const middleware = limits.limit("login", 2, (req) => req.ip);
+
+      const send = async (ip) => {
+        const res = createResponse();
+        await middleware({ ip }, res, () => {
+          res.passed = true;
+        });
+        return res;
+      };
+
+      assert.equal((await send("1.2.3.4")).passed, true);
+      assert.equal((await send("1.2.3.4")).passed, true);
+      const limited = await send("1.2.3.4");
+      assert.equal(limited.passed, false);
+      assert.equal(limited.statusCode, 429);
+      assert.equal(limited.headers["Retry-After"], "60");
+      assert.equal((await send("5.6.7.8")).passed, true);
+      assert.equal((await send(undefined)).passed, true);
+
+      mock.timers.tick(OPTIONS.window);
+      assert.equal((await send("1.2.3.4")).passed, true);
+    });
+  });
+}
@@ -0,0 +1,545 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import sodium from "libsodium-wrappers";
+import WebSocket from "ws";
+import { signedMessage } from "../signedRequests.js";
+
+await sodium.ready;
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+
+/**
+ * Returns a port no other process is listening on.
+ */
+const freePort = async () => {
+  const probe = createServer().listen(0);
+  await once(probe, "listening");
+  const { port } = /** @type {import("node:net").AddressInfo} */ (
+    probe.address()
+  );
+  probe.close();
+  return port;
+};
+
+/**
+ * Creates a key pair for a user.
+ */
+const createKeys = () => {
+  const { publicKey, privateKey } = sodium.crypto_sign_keypair();
+  return { pub: sodium.to_base64(publicKey), privateKey };
+};
+
+/**
+ * Returns a request body signed for an operation, as `/add-read-access` and the
+ * other ACL routes expect.
+ */
+const sign = (operation, fields, { privateKey }) => {
+  const body = {
+    ...fields,
+    nonce: sodium.to_base64(sodium.randombytes_buf(16)),
+    timestamp: Date.now(),
+  };
+  const signature = sodium.crypto_sign_detached(
+    signedMessage(operation, body),
+    privateKey
+  );
+  return { ...body, signature: sodium.to_base64(signature) };
+};
+
+describe("server", () => {
+  const admin = createKeys();
+  let server, baseUrl;
+
+  /**
+   * Sends a request to the server and resolves to its status and JSON body.
+   * @param {string} method - The HTTP method.
+   * @param {string} route - The route.
+   * @param {{body?: Object, token?: string}} [options] - The JSON body and access token.
+   * @returns {Promise<{status: number, body: any}>} The response.
+   */
+  const request = async (method, route, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text && JSON.parse(text) };
+  };
+
+  /**
+   * Registers a user and resolves to their keys and access token.
+   */
+  const register = async (alias, keys = createKeys()) => {
+    const temp = await request("POST", "/request-token", { body: { alias } });
+    const registered = await request("POST", "/register", {
+      body: { alias, publicKey: keys.pub, hashedPassword: "hash" },
+      token: temp.body.token,
+    });
+    assert.equal(registered.status, 200, registered.body.err);
+    return { alias, ...keys, token: registered.body.token };
+  };
+
+  before(async () => {
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [SERVER], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        STORAGE_ADAPTER: "memory",
+        JWT_SECRET: "test-secret",
+        ADMIN_PUBLIC_KEYS: admin.pub,
+        RATE_LIMIT_AUTH_PER_IP: "1000",
+        RATE_LIMIT_TOKENS_PER_IP: "1000",
+        RATE_LIMIT_PER_ALIAS: "1000",
+      },
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+
+    let output = "";
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+    });
+    while (!output.includes("Server is running")) {
+      const exited = once(server, "exit").then(() => {
+        throw new Error(`Server exited:\n${output}`);
+      });
+      await Promise.race([once(server.stdout, "data"), exited]);
+    }
+  });
+
+  after(() => {
+    server.kill();
+  });
+
+  describe("ACL changes", () => {
+    test("refuse to claim a shared path without an owner", async () => {
+      const mallory = await register("mallory");
+      const alice = await register("alice");
+      await request("POST", "/update-data", {
+        body: { path: "public/notes", value: "hello" },
+        token: alice.token,
+      });
+
+      /** @type {[string, string, Object][]} */
+      const changes = [
+        ["/set-read-privacy", "set-read-privacy", { private: true }],
+        ["/set-encryption", "set-encryption", { encrypted: true }],
+        ["/add-read-access", "add-read-access", { publicKey: mallory.pub }],
+        ["/add-write-access", "add-write-access", { publicKey: mallory.pub }],
+      ];
+      for (const [route, operation, fields] of changes) {
+        const claimed = await request("POST", route, {
+          body: sign(operation, { path: "public", ...fields }, mallory),
+          token: mallory.token,
+        });
+        assert.equal(claimed.status, 403, route);
+        assert.match(claimed.body.err, /no owner/);
+      }
+
+      const fetched = await request("POST", "/fetch-data", {
+        body: { path: "public/notes" },
+      });
+      assert.deepEqual(
+        fetched.body.map(({ data }) => data),
+        ["hello"]
+      );
+    });
+
+    test("let an administrator claim a shared path", async () => {
+      const registered = await register("operator", admin);
+
+      const claimed = await request("POST", "/set-read-privacy", {
+        body: sign(
+          "set-read-privacy",
+          { path: "announcements", private: true },
+          admin
+        ),
+        token: registered.token,
+      });
+      assert.equal(claimed.status, 200, claimed.body.err);
+
+      const fetched = await request("POST", "/fetch-data", {
+        body: { path: "announcements" },
+      });
+      assert.equal(fetched.status, 403);
+    });
+  });
+
+  describe("reads", () => {
+    test("never return accounts", async () => {
+      await register("carol");
+
+      const fetched = await request("POST", "/fetch-data", {
+        body: { path: "" },
+      });
+      assert.equal(fetched.status, 200);
+      assert.equal(
+        fetched.body.some((doc) => "hashedPassword" in doc),
+        false
+      );
+
+      const listed = await request("POST", "/list-data", {
+        body: { path: "" },
+      });
+      assert.equal(listed.status, 200);
+      assert.equal(
+        listed.body.items.some(({ key }) => key === "carol"),
+        false
+      );
+
+      const resource = await request("GET", "/data/carol");
+      assert.equal(resource.status, 404);
+    });
+  });
+
+  describe("registration", () => {
+    test("refuses an alias some data is stored at", async () => {
+      const rita = await register("rita");
+      await request("POST", "/update-data", {
+        body: { path: "squatted", value: "mine" },
+        token: rita.token,
+      });
+
+      const temp = await request("POST", "/request-token", {
+        body: { alias: "Squatted" },
+      });
+      const registered = await request("POST", "/register", {
+        body: { alias: "Squatted", publicKey: createKeys().pub },
+        token: temp.body.token,
+      });
+      assert.equal(registered.status, 409);
+
+      const resource = await request("GET", "/data/squatted");
+      assert.equal(resource.status, 200);
+    });
+  });
+
+  describe("deletes", () => {
+    test("delete the entries below a path wherever the user may delete them all", async () => {
+      const dave = await register("dave");
+      const erin = await register("erin");
+      for (const path of [
+        `users/${dave.pub}/shared/a`,
+        `users/${dave.pub}/shared/b/c`,
+        `users/${dave.pub}/private`,
+      ]) {
+        await request("POST", "/update-data", {
+          body: { path, value: "x" },
+          token: dave.token,
+        });
+      }
+
+      const denied = await request("DELETE", "/update-data", {
+        body: { path: `users/${dave.pub}/shared` },
+        token: erin.token,
+      });
+      assert.equal(denied.status, 403);
+
+      const granted = await request("POST", "/add-delete-access", {
+        body: sign(
+          "add-delete-access",
+          { path: `users/${dave.pub}/shared`, publicKey: erin.pub },
+          dave
+        ),
+        token: dave.token,
+      });
+      assert.equal(granted.status, 200, granted.body.err);
+
+      const deleted = await request("DELETE", "/update-data", {
+        body: { path: `users/${dave.pub}/shared` },
+        token: erin.token,
+      });
+      assert.equal(deleted.status, 200, deleted.body.err);
+      assert.deepEqual(deleted.body.deletedPaths, [
+        `users/${dave.pub}/shared/a`,
+        `users/${dave.pub}/shared/b/c`,
+      ]);
+    });
+
+    test("only list the denied paths the user may read", async () => {
+      const oscar = await register("oscar");
+      const peggy = await register("peggy");
+      const space = `users/${oscar.pub}`;
+      for (const path of [`${space}/notes`, `${space}/diary`]) {
+        await request("POST", "/update-data", {
+          body: { path, value: "x" },
+          token: oscar.token,
+        });
+      }
+      const hidden = await request("POST", "/set-read-privacy", {
+        body: sign(
+          "set-read-privacy",
+          { path: `${space}/diary`, private: true },
+          oscar
+        ),
+        token: oscar.token,
+      });
+      assert.equal(hidden.status, 200, hidden.body.err);
+
+      const denied = await request("DELETE", "/update-data", {
+        body: { path: space, dryRun: true },
+        token: peggy.token,
+      });
+      assert.equal(denied.status, 403);
+      assert.deepEqual(denied.body.deniedPaths, [`${space}/notes`]);
+    });
+
+    test("delete the entries below a shared path, but not accounts", async () => {
+      const frank = await register("frank");
+      for (const path of ["fr/a", "fr/b", "friends/x"]) {
+        await request("POST", "/update-data", {
+          body: { path, value: "x" },
+          token: frank.token,
+        });
+      }
+
+      const deleted = await request("DELETE", "/update-data", {
+        body: { path: "fr" },
+        token: frank.token,
+      });
+      assert.equal(deleted.status, 200, deleted.body.err);
+      assert.deepEqual(deleted.body.deletedPaths, ["fr/a", "fr/b"]);
+
+      const sibling = await request("POST", "/fetch-data", {
+        body: { path: "friends/x" },
+      });
+      assert.deepEqual(
+        sibling.body.map(({ data }) => data),
+        ["x"]
+      );
+
+      const account = await request("POST", "/acl", {
+        body: { alias: "frank" },
+      });
+      assert.equal(account.status, 200);
+    });
+  });
+
+  describe("batches", () => {
+    test("delete the entries put by the earlier operations of the batch", async () => {
+      const ivan = await register("ivan");
+      const space = `users/${ivan.pub}`;
+
+      const applied = await request("POST", "/batch-update-data", {
+        body: {
+          operations: [
+            { op: "put", path: `${space}/a/x`, value: "x" },
+            { op: "delete", path: `${space}/a/` },
+            { op: "put", path: `${space}/b`, value: "b" },
+          ],
+        },
+        token: ivan.token,
+      });
+      assert.equal(applied.status, 200, applied.body.err);
+      assert.deepEqual(applied.body.results[1].deletedPaths, [`${space}/a/x`]);
+
+      const fetched = await request("POST", "/fetch-data", {
+        body: { path: space },
+        token: ivan.token,
+      });
+      assert.deepEqual(
+        fetched.body.map(({ _id }) => _id),
+        [`${space}/b`]
+      );
+    });
+  });
+
+  describe("groups", () => {
+    test("only take public keys and group references as members", async () => {
+      const grace = await register("grace");
+      const heidi = createKeys();
+      const created = await request("POST", "/create-group", {
+        body: sign("create-group", { name: "team" }, grace),
+        token: grace.token,
+      });
+      assert.equal(created.status, 201, created.body.err);
+
+      for (const member of ["*", "not-a-key", "group:", ""]) {
+        const added = await request("POST", "/add-group-member", {
+          body: sign("add-group-member", { name: "team", member }, grace),
+          token: grace.token,
+        });
+        assert.equal(added.status, 400, member);
+      }
+
+      const added = await request("POST", "/add-group-member", {
+        body: sign(
+          "add-group-member",
+          { name: "team", member: heidi.pub },
+          grace
+        ),
+        token: grace.token,
+      });
+      assert.equal(added.status, 200, added.body.err);
+    });
+
+    test("lose their grants when the owner's account is deleted", async () => {
+      const judy = await register("judy");
+      const gus = await register("gus");
+      const mallory = await register("mal");
+      const path = `users/${judy.pub}/docs`;
+
+      await request("POST", "/create-group", {
+        body: sign("create-group", { name: "crew" }, gus),
+        token: gus.token,
+      });
+      const granted = await request("POST", "/add-write-access", {
+        body: sign("add-write-access", { path, publicKey: "group:crew" }, judy),
+        token: judy.token,
+      });
+      assert.equal(granted.status, 200, granted.body.err);
+
+      const deleted = await request("POST", "/delete-account", {
+        body: sign("delete-account", {}, gus),
+        token: gus.token,
+      });
+      assert.equal(deleted.status, 200, deleted.body.err);
+      assert.equal(deleted.body.deletedGroups, 1);
+
+      const recreated = await request("POST", "/create-group", {
+        body: sign("create-group", { name: "crew" }, mallory),
+        token: mallory.token,
+      });
+      assert.equal(recreated.status, 201, recreated.body.err);
+      const joined = await request("POST", "/add-group-member", {
+        body: sign(
+          "add-group-member",
+          { name: "crew", member: mallory.pub },
+          mallory
+        ),
+        token: mallory.token,
+      });
+      assert.equal(joined.status, 200, joined.body.err);
+
+      const written = await request("POST", "/update-data", {
+        body: { path: `${path}/note`, value: "x" },
+        token: mallory.token,
+      });
+      assert.equal(written.status, 403);
+    });
+  });
+
+  describe("subscriptions", () => {
+    test("push only the changes below the path that the user may read", async () => {
+      const nina = await register("nina");
+      const omar = await register("omar");
+      const notes = `users/${nina.pub}/notes`;
+      const hidden = await request("POST", "/set-read-privacy", {
+        body: sign(
+          "set-read-privacy",
+          { path: `${notes}/secret`, private: true },
+          nina
+        ),
+        token: nina.token,
+      });
+      assert.equal(hidden.status, 200, hidden.body.err);
+
+      const controller = new AbortController();
+      const response = await fetch(
+        `${baseUrl}/subscribe?path=${notes}&prefix=true&token=${omar.token}`,
+        { signal: controller.signal }
+      );
+      assert.equal(response.status, 200);
+      const reader = response.body.pipeThrough(new TextDecoderStream());
+      const received = [];
+      const read = (async () => {
+        try {
+          for await (const chunk of reader) received.push(chunk);
+        } catch (error) {
+          if (error.name !== "AbortError") throw error;
+        }
+      })();
+
+      for (const path of [`${notes}/secret/a`, `${notes}2`, `${notes}/open`]) {
+        const written = await request("POST", "/update-data", {
+          body: { path, value: "x" },
+          token: nina.token,
+        });
+        assert.equal(written.status, 200, written.body.err);
+      }
+      while (!received.join("").includes(`${notes}/open`)) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      controller.abort();
+      await read;
+
+      const events = received.join("");
+      assert.equal(events.includes(`${notes}/secret`), false);
+      assert.equal(events.includes(`${notes}2`), false);
+    });
+  });
+
+  describe("GUN peer", () => {
+    /**
+     * Sends a put of a field over a new connection to `/gun` and resolves to its answer.
+     */
+    const gunPut = async (query, soul, field, value) => {
+      const id = sodium.to_base64(sodium.randombytes_buf(9));
+      const ws = new WebSocket(`${baseUrl.replace("http", "ws")}/gun?${query}`);
+      const answered = new Promise((resolve) => {
+        ws.on("message", (raw) => {
+          const msg = JSON.parse(raw.toString());
+          if (msg["@"] === id) resolve(msg);
+        });
+      });
+      await once(ws, "open");
+      ws.send(
+        JSON.stringify({
+          "#": id,
+          put: {
+            [soul]: {
+              _: { "#": soul, ">": { [field]: Date.now() } },
+              [field]: value,
+            },
+          },
+        })
+      );
+      const answer = await answered;
+      ws.close();
+      return answer;
+    };
+
+    test("take capability tokens for writes, as the HTTP routes do", async () => {
+      const kate = await register("kate");
+      const leo = await register("leo");
+      const soul = `users/${kate.pub}/board`;
+
+      const denied = await gunPut(`token=${leo.token}`, soul, "note", "hi");
+      assert.equal(denied.err, `${soul}: Access denied.`);
+
+      const encodedPayload = sodium.to_base64(
+        JSON.stringify({
+          v: 1,
+          iss: kate.pub,
+          aud: leo.pub,
+          path: soul,
+          scope: ["write"],
+          expiresAt: Date.now() + 60 * 1000,
+        })
+      );
+      const signature = sodium.crypto_sign_detached(
+        encodedPayload,
+        kate.privateKey
+      );
+      const capability = `${encodedPayload}.${sodium.to_base64(signature)}`;
+
+      const allowed = await gunPut(
+        `token=${leo.token}&capability=${capability}`,
+        soul,
+        "note",
+        "hi"
+      );
+      assert.deepEqual(allowed.ok, { "": 1 }, allowed.err);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { after, describe, test } from "node:test";
+import { acquireServerLock, findRunningServer } from "../serverLock.js";
+
+const root = await fs.mkdtemp(nodePath.join(os.tmpdir(), "fabstirdb-lock-"));
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe("acquireServerLock", () => {
+  test("takes the lock unless a running server holds it", async () => {
+    const dir = nodePath.join(root, "data");
+    assert.equal(await findRunningServer(dir), undefined);
+
+    // A lock left by a server that is no longer running is taken over
+    await fs.mkdir(dir);
+    await fs.writeFile(nodePath.join(dir, "server.lock"), "999999999");
+    await acquireServerLock(dir);
+    assert.equal(await findRunningServer(dir), process.pid);
+
+    await assert.rejects(
+      acquireServerLock(dir),
+      new RegExp(`in use by the server with pid ${process.pid}`)
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createSessions } from "../sessions.js";
+import { createMemoryAdapter } from "../storage.js";
+
+const TTL = 60 * 1000;
+const ALICE = { alias: "alice", pub: "alice-key" };
+
+describe("createSessions", () => {
+  test("starts, lists and revokes sessions", async () => {
+    const sessions = createSessions(createMemoryAdapter(), { ttl: TTL });
+    const first = await sessions.start(ALICE, "browser");
+    const second = await sessions.start(ALICE);
+    await sessions.start({ alias: "bob", pub: "bob-key" });
+
+    assert.deepEqual(await sessions.get("alice", first.id), first);
+    assert.deepEqual(
+      (await sessions.list("alice")).map(({ id }) => id).sort(),
+      [first.id, second.id].sort()
+    );
+
+    assert.equal(await sessions.revoke("alice", first.id), true);
+    assert.equal(await sessions.revoke("alice", first.id), false);
+    assert.equal(await sessions.get("alice", first.id), undefined);
+
+    assert.equal(await sessions.revokeAll("alice"), 1);
+    assert.deepEqual(await sessions.list("alice"), []);
+    assert.equal((await sessions.list("bob")).length, 1);
+  });
+
+  test("rotates the refresh token and revokes the session when an old one is reused", async () => {
+    const sessions = createSessions(createMemoryAdapter(), { ttl: TTL });
+    const session = await sessions.start(ALICE);
+
+    const rotated = await sessions.rotate(
+      "alice",
+      session.id,
+      session.refreshId
+    );
+    assert.notEqual(rotated.refreshId, session.refreshId);
+
+    assert.equal(
+      await sessions.rotate("alice", session.id, session.refreshId),
+      undefined
+    );
+    assert.equal(await sessions.get("alice", session.id), undefined);
+  });
+
+  test("treats a refresh token used twice at once as reused", async () => {
+    const sessions = createSessions(createMemoryAdapter(), { ttl: TTL });
+    const session = await sessions.start(ALICE);
+
+    const results = await Promise.all([
+      sessions.rotate("alice", session.id, session.refreshId),
+      sessions.rotate("alice", session.id, session.refreshId),
+    ]);
+    assert.notEqual(results[0], undefined);
+    assert.equal(results[1], undefined);
+    assert.equal(await sessions.get("alice", session.id), undefined);
+  });
+
+  test("ignores and purges expired sessions", async () => {
+    const sessionStore = createMemoryAdapter();
+    const sessions = createSessions(sessionStore, { ttl: TTL });
+    const session = await sessions.start(ALICE);
+    await sessionStore.put({ ...session, expiresAt: Date.now() - 1 });
+
+    assert.equal(await sessions.get("alice", session.id), undefined);
+    assert.deepEqual(await sessions.list("alice"), []);
+    assert.equal(await sessions.purgeExpired(), 1);
+    assert.deepEqual(await sessionStore.listByPrefix(""), []);
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import sodium from "libsodium-wrappers";
+import {
+  canonicalize,
+  createSignedRequests,
+  signedMessage,
+} from "../signedRequests.js";
+import { createMemoryAdapter } from "../storage.js";
+
+await sodium.ready;
+
+const MAX_AGE = 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+const { publicKey, privateKey } = sodium.crypto_sign_keypair();
+const pub = sodium.to_base64(publicKey);
+
+/**
+ * Returns a request body signed with the test key.
+ */
+const sign = (operation, fields) => {
+  const body = { nonce: "n".repeat(16), timestamp: NOW, ...fields };
+  const signature = sodium.crypto_sign_detached(
+    signedMessage(operation, body),
+    privateKey
+  );
+  return { ...body, signature: sodium.to_base64(signature) };
+};
+
+describe("canonicalize", () => {
+  test("sorts the keys of nested objects", () => {
+    assert.equal(
+      canonicalize({ b: [{ d: 1, c: 2 }], a: null }),
+      '{"a":null,"b":[{"c":2,"d":1}]}'
+    );
+  });
+});
+
+describe("createSignedRequests", () => {
+  test("accepts a signed request once", async () => {
+    const signedRequests = createSignedRequests(createMemoryAdapter(), {
+      maxAge: MAX_AGE,
+    });
+    const body = sign("add-read-access", { path: "users/x" });
+
+    assert.equal(
+      await signedRequests.verify("add-read-access", body, pub, NOW),
+      undefined
+    );
+    assert.match(
+      await signedRequests.verify("add-read-access", body, pub, NOW),
+      /already been used/
+    );
+  });
+
+  test("accepts only one of two concurrent copies of a request", async () => {
+    const signedRequests = createSignedRequests(createMemoryAdapter(), {
+      maxAge: MAX_AGE,
+    });
+    const body = sign("add-read-access", { path: "users/x" });
+
+    const rejections = await Promise.all([
+      signedRequests.verify("add-read-access", body, pub, NOW),
+      signedRequests.verify("add-read-access", body, pub, NOW),
+    ]);
+    assert.equal(rejections.filter((rejection) => !rejection).length, 1);
+    assert.match(rejections.find(Boolean), /already been used/);
+  });
+
+  test("rejects a request signed for another operation or changed after signing", async () => {
+    const signedRequests = createSignedRequests(createMemoryAdapter(), {
+      maxAge: MAX_AGE,
+    });
+    const body = sign("add-read-access", { path: "users/x" });
+
+    assert.match(
+      await signedRequests.verify("add-write-access", body, pub, NOW),
+      /Signature/
+    );
+    assert.match(
+      await signedRequests.verify(
+        "add-read-access",
+        { ...body, path: "users/y" },
+        pub,
+        NOW
+      ),
+      /Signature/
+    );
+  });
+
+  test("rejects a stale timestamp or a malformed nonce", async () => {
+    const signedRequests = createSignedRequests(createMemoryAdapter(), {
+      maxAge: MAX_AGE,
+    });
+
+    assert.match(
+      await signedRequests.verify("op", sign("op", {}), pub, NOW + MAX_AGE + 1),
+      /timestamp/
+    );
+    assert.match(
+      await signedRequests.verify(
+        "op",
+        sign("op", { nonce: "short" }),
+        pub,
+        NOW
+      ),
+      /nonce/
+    );
+  });
+
+  test("purges nonces once their requests are too old", async () => {
+    const nonceStore = createMemoryAdapter();
+    const signedRequests = createSignedRequests(nonceStore, {
+      maxAge: MAX_AGE,
+    });
+    await signedRequests.verify("op", sign("op", {}), pub, NOW);
+
+    assert.equal(await signedRequests.purgeExpired(NOW + MAX_AGE), 0);
+    assert.equal(await signedRequests.purgeExpired(NOW + MAX_AGE + 1), 1);
+    assert.deepEqual(await nonceStore.listByPrefix(""), []);
+  });
+});
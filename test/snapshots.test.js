@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { exportSnapshot, importSnapshot, parseSnapshot } from "../snapshots.js";
+import { createMemoryAdapter } from "../storage.js";
+
+const keyOf = (byte) => Buffer.alloc(32, byte).toString("base64url");
+
+const ALICE = keyOf(1);
+const BOB = keyOf(2);
+const MALLORY = keyOf(3);
+
+/**
+ * Creates the stores of a server where Alice and Bob are registered and Alice
+ * has written to her space and to 'shared', which she owns.
+ */
+const createStores = () => ({
+  userDb: createMemoryAdapter([
+    { _id: "alice", publicKey: ALICE, hashedPassword: "a" },
+    { _id: "bob", publicKey: BOB, hashedPassword: "b" },
+    { _id: `users/${ALICE}/notes`, data: "mine" },
+    { _id: "shared/readme", data: "hello" },
+  ]),
+  aclStore: createMemoryAdapter([
+    { _id: `users/${ALICE}`, owner: ALICE, allowedPublicKeys: [ALICE] },
+    { _id: `users/${BOB}`, owner: BOB, allowedPublicKeys: [BOB] },
+    { _id: "shared", owner: ALICE, allowedPublicKeys: [] },
+  ]),
+});
+
+/**
+ * Writes a snapshot holding the given entries.
+ */
+const snapshotOf = (entries) => {
+  const counts = { acl_store: 0, users: 0 };
+  for (const { store } of entries) counts[store]++;
+  const header = {
+    format: "fabstirdb-snapshot",
+    version: 1,
+    filter: {},
+    counts,
+  };
+  return [header, ...entries].map((line) => JSON.stringify(line)).join("\n");
+};
+
+describe("exportSnapshot and importSnapshot", () => {
+  test("round-trips the stores", async () => {
+    const stores = createStores();
+    const text = await exportSnapshot(stores);
+
+    const restored = {
+      userDb: createMemoryAdapter(),
+      aclStore: createMemoryAdapter(),
+    };
+    const result = await importSnapshot(restored, text, { mode: "merge" });
+
+    assert.deepEqual(result.imported, { acl_store: 3, users: 4 });
+    assert.deepEqual(result.conflicts, []);
+    assert.deepEqual(
+      await restored.userDb.listByPrefix(""),
+      await stores.userDb.listByPrefix("")
+    );
+  });
+
+  test("exports only the entries of an owner", async () => {
+    const text = await exportSnapshot(createStores(), { owner: BOB });
+    const { entries } = await parseSnapshot(text);
+
+    assert.deepEqual(
+      entries.map(({ store, doc }) => `${store}:${doc._id}`),
+      [`acl_store:users/${BOB}`, "users:bob"]
+    );
+  });
+
+  test("rejects a truncated snapshot as a whole", async () => {
+    const stores = createStores();
+    const text = (await exportSnapshot(stores)).split("\n");
+    const result = await importSnapshot(stores, text.slice(0, -2).join("\n"), {
+      mode: "merge",
+    });
+
+    assert.match(result.err, /truncated/);
+  });
+
+  test("replace mode removes the selected entries first", async () => {
+    const stores = createStores();
+    const text = await exportSnapshot(stores, { prefix: "shared" });
+    await stores.userDb.put({ _id: "shared/extra", data: 1 });
+
+    const result = await importSnapshot(stores, text, { mode: "replace" });
+
+    assert.deepEqual(result.removed, { acl_store: 1, users: 2 });
+    assert.equal(await stores.userDb.get("shared/extra"), undefined);
+    assert.deepEqual(await stores.userDb.get("shared/readme"), {
+      _id: "shared/readme",
+      data: "hello",
+    });
+  });
+
+  test("replace mode restores the removed entries when a write fails", async () => {
+    const stores = createStores();
+    const text = await exportSnapshot(stores, { prefix: "shared" });
+    await stores.userDb.put({ _id: "shared/extra", data: 1 });
+    const before = await stores.userDb.listByPrefix("");
+    let failed = false;
+    const failing = {
+      ...stores,
+      userDb: {
+        ...stores.userDb,
+        put: async (doc) => {
+          if (doc._id === "shared/readme" && !failed) {
+            failed = true;
+            throw new Error("write failed");
+          }
+          return stores.userDb.put(doc);
+        },
+      },
+    };
+
+    await assert.rejects(
+      importSnapshot(failing, text, { mode: "replace" }),
+      /write failed/
+    );
+
+    assert.deepEqual(await stores.userDb.listByPrefix(""), before);
+    assert.equal((await stores.aclStore.get("shared")).owner, ALICE);
+  });
+});
+
+describe("importSnapshot conflicts", () => {
+  test("skips an account whose alias holds an account with another key", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([{ store: "users", doc: { _id: "bob", publicKey: MALLORY } }]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, ["bob"]);
+    assert.equal((await stores.userDb.get("bob")).publicKey, BOB);
+  });
+
+  test("skips an account whose key belongs to another alias", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([{ store: "users", doc: { _id: "bobby", publicKey: BOB } }]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, ["bobby"]);
+    assert.equal(await stores.userDb.get("bobby"), undefined);
+  });
+
+  test("skips data at the alias of an account", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([{ store: "users", doc: { _id: "bob", data: "taken" } }]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, ["bob"]);
+    assert.equal((await stores.userDb.get("bob")).publicKey, BOB);
+  });
+
+  test("skips an ACL entry, and the data below it, owned by someone else", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([
+        {
+          store: "acl_store",
+          doc: { _id: `users/${ALICE}/notes`, owner: MALLORY },
+        },
+        { store: "users", doc: { _id: `users/${ALICE}/notes`, data: "x" } },
+      ]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, [
+      `users/${ALICE}/notes`,
+      `users/${ALICE}/notes`,
+    ]);
+    assert.equal(await stores.aclStore.get(`users/${ALICE}/notes`), undefined);
+    assert.equal(
+      (await stores.userDb.get(`users/${ALICE}/notes`)).data,
+      "mine"
+    );
+  });
+
+  test("skips data whose path has another owner than in the snapshot", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([
+        { store: "users", doc: { _id: "shared/readme", data: "replaced" } },
+      ]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, ["shared/readme"]);
+    assert.equal((await stores.userDb.get("shared/readme")).data, "hello");
+  });
+
+  test("imports data owned by the same user as in the snapshot, or by no one", async () => {
+    const stores = createStores();
+    const result = await importSnapshot(
+      stores,
+      snapshotOf([
+        { store: "acl_store", doc: { _id: "shared", owner: ALICE } },
+        { store: "users", doc: { _id: "shared/readme", data: "updated" } },
+        { store: "users", doc: { _id: `users/${BOB}/x`, data: 1 } },
+        { store: "users", doc: { _id: "unowned/x", data: 1 } },
+      ]),
+      { mode: "merge" }
+    );
+
+    assert.deepEqual(result.conflicts, []);
+    assert.deepEqual(result.imported, { acl_store: 1, users: 3 });
+    assert.equal((await stores.userDb.get("shared/readme")).data, "updated");
+  });
+});
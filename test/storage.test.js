@@ -0,0 +1,260 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import nodePath from "node:path";
+import { after, describe, test } from "node:test";
+import {
+  createFileAdapter,
+  createLogAdapter,
+  createMemoryAdapter,
+} from "../storage.js";
+import { withPathIndex } from "../pathIndex.js";
+
+const dir = await fs.mkdtemp(nodePath.join(os.tmpdir(), "fabstirdb-storage-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+let files = 0;
+const adapters = {
+  memory: async () => createMemoryAdapter(),
+  file: () => createFileAdapter(nodePath.join(dir, `store${files++}.json`)),
+  log: () => createLogAdapter(nodePath.join(dir, `store${files++}.jsonl`)),
+};
+
+for (const [kind, open] of Object.entries(adapters)) {
+  describe(`${kind} adapter`, () => {
+    test("stores, lists and deletes documents", async () => {
+      const store = await open();
+      const hash = await store.put({ _id: "users/a/x", value: 1 });
+      await store.put({ _id: "users/a", value: 2 });
+      await store.put({ _id: "users/b", value: 3 });
+
+      assert.equal(store.kind, kind);
+      assert.deepEqual(await store.get("users/a/x"), {
+        _id: "users/a/x",
+        value: 1,
+      });
+      assert.equal(await store.hashOf("users/a/x"), hash);
+      assert.equal(await store.get("users"), undefined);
+      assert.deepEqual(
+        (await store.listByPrefix("users/a")).map((doc) => doc._id),
+        ["users/a", "users/a/x"]
+      );
+
+      await store.del("users/a");
+      assert.equal(await store.get("users/a"), undefined);
+      await assert.rejects(store.del("users/a"));
+      await assert.rejects(store.put({ value: 4 }));
+    });
+
+    test("returns copies of the stored documents", async () => {
+      const store = await open();
+      const doc = { _id: "a", list: [1] };
+      await store.put(doc);
+      doc.list.push(2);
+      (await store.get("a")).list.push(3);
+
+      assert.deepEqual(await store.get("a"), { _id: "a", list: [1] });
+    });
+
+    test("emits a change for every put and delete", async () => {
+      const store = await open();
+      const changes = [];
+      store.events.on("change", (change) => changes.push(change));
+      await store.put({ _id: "a", value: 1 });
+      await store.del("a");
+
+      assert.deepEqual(changes, [
+        {
+          type: "put",
+          path: "a",
+          doc: { _id: "a", value: 1 },
+          origin: "local",
+        },
+        { type: "del", path: "a", origin: "local" },
+      ]);
+    });
+  });
+}
+
+describe("file adapter", () => {
+  test("reloads the documents from its file", async () => {
+    const filePath = nodePath.join(dir, "reload.json");
+    const store = await createFileAdapter(filePath);
+    await store.put({ _id: "a", value: 1 });
+    await store.put({ _id: "b", value: 2 });
+    await store.del("b");
+    await store.close();
+
+    const reopened = await createFileAdapter(filePath);
+    assert.deepEqual(await reopened.listByPrefix(""), [{ _id: "a", value: 1 }]);
+  });
+
+  test("keeps memory and file unchanged when a write fails, and recovers", async () => {
+    const filePath = nodePath.join(dir, "failing.json");
+    const store = await createFileAdapter(filePath);
+    await store.put({ _id: "a", value: 1 });
+
+    // A directory in the way of the temporary file makes the next write fail
+    await fs.mkdir(`${filePath}.tmp`);
+    await assert.rejects(store.put({ _id: "b", value: 2 }));
+    await assert.rejects(store.del("a"));
+    assert.equal(await store.get("b"), undefined);
+    assert.deepEqual(await store.get("a"), { _id: "a", value: 1 });
+
+    await fs.rmdir(`${filePath}.tmp`);
+    await store.put({ _id: "c", value: 3 });
+    await store.close();
+
+    const reopened = await createFileAdapter(filePath);
+    assert.deepEqual(
+      (await reopened.listByPrefix("")).map((doc) => doc._id),
+      ["a", "c"]
+    );
+  });
+});
+
+describe("log adapter", () => {
+  /**
+   * Returns the lines of a log.
+   */
+  const readLog = async (filePath) =>
+    (await fs.readFile(filePath, "utf8")).split("\n").filter(Boolean);
+
+  test("appends each change and reloads the documents from its log", async () => {
+    const filePath = nodePath.join(dir, "reload.jsonl");
+    const store = await createLogAdapter(filePath);
+    await store.put({ _id: "a", value: 1 });
+    await store.put({ _id: "b", value: 2 });
+    await store.put({ _id: "c", value: 3 });
+    await store.del("b");
+    await store.close();
+    assert.equal((await readLog(filePath)).length, 4);
+
+    const reopened = await createLogAdapter(filePath);
+    assert.deepEqual(await reopened.listByPrefix(""), [
+      { _id: "a", value: 1 },
+      { _id: "c", value: 3 },
+    ]);
+    assert.deepEqual(await readLog(filePath), [
+      JSON.stringify({ put: { _id: "a", value: 1 } }),
+      JSON.stringify({ put: { _id: "c", value: 3 } }),
+    ]);
+  });
+
+  test("compacts the log once most of its lines are superseded", async () => {
+    const filePath = nodePath.join(dir, "compact.jsonl");
+    const store = await createLogAdapter(filePath);
+    await store.put({ _id: "a", value: 0 });
+    await store.put({ _id: "b", value: 0 });
+    for (let value = 1; value <= 3; value++) {
+      await store.put({ _id: "a", value });
+    }
+    await store.close();
+
+    assert.deepEqual(await readLog(filePath), [
+      JSON.stringify({ put: { _id: "a", value: 3 } }),
+      JSON.stringify({ put: { _id: "b", value: 0 } }),
+    ]);
+  });
+
+  test("drops a last line left incomplete by a crash", async () => {
+    const filePath = nodePath.join(dir, "torn.jsonl");
+    await fs.writeFile(
+      filePath,
+      `${JSON.stringify({ put: { _id: "a", value: 1 } })}\n{"put":{"_id":"b"`
+    );
+
+    const store = await createLogAdapter(filePath);
+    await store.put({ _id: "c", value: 3 });
+    await store.close();
+
+    const reopened = await createLogAdapter(filePath);
+    assert.deepEqual(
+      (await reopened.listByPrefix("")).map((doc) => doc._id),
+      ["a", "c"]
+    );
+  });
+});
+
+describe("orbitdb adapter", () => {
+  test("keeps the stores private to the server in local files", async () => {
+    const { STORAGE_ADAPTER, STORAGE_PATH } = process.env;
+    process.env.STORAGE_ADAPTER = "orbitdb";
+    process.env.STORAGE_PATH = nodePath.join(dir, "orbitdb");
+    // A fresh instance of the module, which reads the environment when loaded
+    const url = "../storage.js?orbitdb";
+    const { openStore } = await import(url);
+    for (const [name, value] of Object.entries({
+      STORAGE_ADAPTER,
+      STORAGE_PATH,
+    })) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+
+    for (const name of [
+      "nonces",
+      "challenges",
+      "sessions",
+      "rate_limits",
+      "pins",
+    ]) {
+      assert.equal((await openStore(name)).kind, "file", name);
+    }
+    const tombstones = await openStore("tombstones");
+    assert.equal(tombstones.kind, "log");
+    await tombstones.put({ _id: "a", doc: {} });
+    await tombstones.close();
+    assert.deepEqual(await fs.readdir(nodePath.join(dir, "orbitdb")), [
+      "tombstones.jsonl",
+    ]);
+  });
+});
+
+describe("path index", () => {
+  test("serves prefix, children and existence lookups", async () => {
+    const store = await withPathIndex(
+      createMemoryAdapter([{ _id: "users/a" }, { _id: "users/a/x/y" }])
+    );
+    await store.put({ _id: "users/ab" });
+    await store.del("users/a");
+
+    assert.equal(await store.has("users/a"), false);
+    assert.equal(await store.has("users/a/x"), false);
+    assert.deepEqual(await store.keysByPrefix("users/a"), [
+      "users/a/x/y",
+      "users/ab",
+    ]);
+    assert.deepEqual(await store.childKeys("users"), ["a", "ab"]);
+    assert.deepEqual(await store.childKeys("users/a"), ["x"]);
+  });
+
+  test("skips and unindexes documents missing from the store", async () => {
+    const raw = createMemoryAdapter([{ _id: "users/a" }, { _id: "users/b" }]);
+    const store = await withPathIndex(raw);
+    // The store loses a document without emitting a change
+    const get = raw.get;
+    raw.get = async (id) => (id === "users/a" ? undefined : get(id));
+
+    assert.deepEqual(await store.listByPrefix("users/"), [{ _id: "users/b" }]);
+    assert.equal(await store.has("users/a"), false);
+  });
+});
+
+describe("initStorage", () => {
+  test("indexes the paths of the user and history stores", async () => {
+    const { STORAGE_ADAPTER } = process.env;
+    process.env.STORAGE_ADAPTER = "memory";
+    const url = "../storage.js?memory";
+    const { initStorage } = await import(url);
+    if (STORAGE_ADAPTER === undefined) delete process.env.STORAGE_ADAPTER;
+    else process.env.STORAGE_ADAPTER = STORAGE_ADAPTER;
+
+    const { userDb, historyStore } = await initStorage();
+    await historyStore.put({ _id: "notes#0000000001", path: "notes" });
+    assert.deepEqual(await historyStore.keysByPrefix("notes#"), [
+      "notes#0000000001",
+    ]);
+    assert.equal(typeof userDb.keysByPrefix, "function");
+  });
+});
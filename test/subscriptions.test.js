@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createMemoryAdapter } from "../storage.js";
+import { createSubscriptions, matchesSubscription } from "../subscriptions.js";
+
+/**
+ * Lets the subscribers be notified of the changes made so far.
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("matchesSubscription", () => {
+  test("matches the exact path, or every path below it with prefix", () => {
+    assert.equal(
+      matchesSubscription({ path: "a/b", prefix: false }, "a/b"),
+      true
+    );
+    assert.equal(
+      matchesSubscription({ path: "a/b", prefix: false }, "a/b/c"),
+      false
+    );
+    assert.equal(
+      matchesSubscription({ path: "a/", prefix: true }, "a/b/c"),
+      true
+    );
+    assert.equal(
+      matchesSubscription({ path: "a/", prefix: true }, "ab"),
+      false
+    );
+    assert.equal(matchesSubscription({ path: "a", prefix: true }, "a/b"), true);
+    assert.equal(
+      matchesSubscription({ path: "a", prefix: true }, "ab/c"),
+      false
+    );
+    assert.equal(matchesSubscription({ path: "", prefix: true }, "ab"), true);
+  });
+});
+
+describe("createSubscriptions", () => {
+  test("notifies the matching subscribers until they unsubscribe", async () => {
+    const store = createMemoryAdapter();
+    const subscriptions = createSubscriptions(store);
+    const notes = [];
+    const all = [];
+
+    const unsubscribe = subscriptions.subscribe(
+      { path: "notes/", prefix: true },
+      (change) => {
+        notes.push(`${change.type} ${change.path}`);
+      }
+    );
+    subscriptions.subscribe({ path: "", prefix: true }, () => {
+      throw new Error("subscriber failed");
+    });
+    subscriptions.subscribe({ path: "", prefix: true }, (change) => {
+      all.push(change.path);
+    });
+
+    await store.put({ _id: "notes/a", data: 1 });
+    await store.put({ _id: "photos/b", data: 2 });
+    await store.del("notes/a");
+    await settle();
+    assert.deepEqual(notes, ["put notes/a", "del notes/a"]);
+    assert.deepEqual(all, ["notes/a", "photos/b", "notes/a"]);
+
+    unsubscribe();
+    assert.equal(subscriptions.size(), 2);
+    await store.put({ _id: "notes/c", data: 3 });
+    await settle();
+    assert.deepEqual(notes, ["put notes/a", "del notes/a"]);
+  });
+});
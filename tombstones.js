@@ -0,0 +1,124 @@
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Creates a graveyard of deleted entries. Deleting an entry through it keeps a
+ * tombstone holding the deleted document, from which the entry can be restored
+ * until its retention window has passed and the tombstone is purged.
+ *
+ * @param {import("./storage.js").StorageAdapter} tombstoneStore - The store holding the tombstones.
+ * @param {Object} options - The options.
+ * @param {number} options.retention - How long tombstones are kept, in milliseconds.
+ * @returns {Object} The graveyard.
+ */
+export function createTombstones(tombstoneStore, { retention }) {
+  let purgeTimer;
+
+  const tombstones = {
+    /**
+     * Deletes an entry from a store, keeping a tombstone of it.
+     * A tombstone of an earlier delete of the same path is replaced.
+     * @async
+     * @param {import("./storage.js").StorageAdapter} store - The store holding the entry.
+     * @param {string} path - The path of the entry.
+     * @param {string} deletedBy - The public key of the deleting user.
+     * @returns {Promise<Object|undefined>} The tombstone, or undefined if there was no entry.
+     */
+    async bury(store, path, deletedBy) {
+      const doc = await store.get(path);
+      if (!doc) return undefined;
+
+      const deletedAt = Date.now();
+      const tombstone = {
+        _id: path,
+        doc,
+        deletedBy,
+        deletedAt,
+        purgeAfter: deletedAt + retention,
+      };
+
+      // Tombstones are temporary, so they are not pinned
+      await tombstoneStore.put(tombstone);
+      await store.del(path);
+      return tombstone;
+    },
+
+    /**
+     * Returns the tombstone of a path, whether or not its retention window has passed.
+     * @async
+     * @param {string} path - The path.
+     * @returns {Promise<Object|undefined>} The tombstone, or undefined if the path has none.
+     */
+    async get(path) {
+      return tombstoneStore.get(path);
+    },
+
+    /**
+     * Returns the tombstones of the paths starting with a prefix.
+     * @async
+     * @param {string} prefix - The path prefix.
+     * @returns {Promise<Object[]>} The tombstones that have not been purged yet.
+     */
+    async listByPrefix(prefix) {
+      const now = Date.now();
+      return (await tombstoneStore.listByPrefix(prefix)).filter(
+        (tombstone) => tombstone.purgeAfter > now
+      );
+    },
+
+    /**
+     * Puts a buried entry back into a store and removes its tombstone. When a burial
+     * is undone, the tombstone it replaced is put back instead.
+     * @async
+     * @param {import("./storage.js").StorageAdapter} store - The store to restore the entry to.
+     * @param {Object} tombstone - The tombstone of the entry.
+     * @param {Object} [replaced] - The tombstone of an earlier delete of the path that the burial replaced.
+     * @returns {Promise<string>} The hash of the restored entry.
+     */
+    async restore(store, tombstone, replaced) {
+      const hash = await store.put(tombstone.doc);
+      if (replaced) await tombstoneStore.put(replaced);
+      else await tombstoneStore.del(tombstone._id);
+      return hash;
+    },
+
+    /**
+     * Deletes the tombstones whose retention window has passed.
+     * @async
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<number>} The number of purged tombstones.
+     */
+    async purgeExpired(now = Date.now()) {
+      const expired = (await tombstoneStore.listByPrefix("")).filter(
+        (tombstone) => tombstone.purgeAfter <= now
+      );
+      for (const tombstone of expired) {
+        await tombstoneStore.del(tombstone._id);
+      }
+      return expired.length;
+    },
+
+    /**
+     * Purges expired tombstones periodically.
+     */
+    startPurging() {
+      purgeTimer = setInterval(async () => {
+        try {
+          const purged = await tombstones.purgeExpired();
+          if (purged > 0) console.log(`Purged ${purged} expired tombstones`);
+        } catch (error) {
+          console.error("Tombstone purge failed:", error);
+        }
+      }, PURGE_INTERVAL);
+      purgeTimer.unref();
+    },
+
+    /**
+     * Stops purging expired tombstones.
+     */
+    stopPurging() {
+      clearInterval(purgeTimer);
+    },
+  };
+
+  return tombstones;
+}